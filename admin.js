@@ -0,0 +1,426 @@
+// ============================================================
+// ADMIN API — /__shield/admin/*
+// Config get/put/diff/rollback, rate-limit counters, cache purge,
+// semantic cache entries, R2 mirror objects, signed URLs, audit log.
+//
+// Auth (ADMIN_SECRET Worker secret — never stored in KV), either:
+//   X-CloudEdging-Admin-Token: {secret}
+// or an HMAC signature (secret never leaves the operator's machine):
+//   X-CloudEdging-Timestamp: {unix seconds}          (±300s)
+//   X-CloudEdging-Signature: hex(HMAC-SHA256(secret,
+//       "{timestamp}\n{METHOD}\n{pathname+search}\n{sha256hex(body)}"))
+// A signature is accepted once: used ones are kept (ADMIN_NONCE_{signature}
+// in CLOUDEDGING_CONFIG) for as long as their timestamp could pass.
+//
+// Operates on the tenant resolved from the Host header. Every mutation
+// is written to the audit log (AUDIT_{clientId}_… in CLOUDEDGING_CONFIG).
+// /r2 is the exception: the mirror is shared by every tenant, so it is
+// operator-only — answered for the deployment's own tenant (CLIENT_ID).
+//
+// Bodies are capped at ADMIN_MAX_BODY_BYTES before authentication: the
+// HMAC covers the body, so it is read first, but never more than the cap.
+// ============================================================
+
+const ADMIN_PREFIX = "/__shield/admin";
+const ADMIN_MAX_BODY_BYTES = 1024 * 1024;
+const ADMIN_SIGNATURE_SKEW_S = 300;
+const ADMIN_NONCE_PREFIX = "ADMIN_NONCE_";
+const AUDIT_TTL_S = 7776000; // 90 days
+
+async function handleAdminRequest(request, env, config, url, ctx) {
+    // Body is read once here so the HMAC covers exactly what the handlers parse
+    let bodyText = "";
+    if (["POST", "PUT", "PATCH", "DELETE"].includes(request.method) && request.body) {
+        const tooLarge = adminJson({ error: "Body too large", max_bytes: ADMIN_MAX_BODY_BYTES }, 413);
+        if (parseInt(request.headers.get("Content-Length") || "0", 10) > ADMIN_MAX_BODY_BYTES) return tooLarge;
+        const { text, truncated } = await readBodyPrefix(request, ADMIN_MAX_BODY_BYTES);
+        if (truncated) return tooLarge;
+        bodyText = text;
+    }
+
+    const actor = await authenticateAdmin(request, env, url, bodyText);
+    if (!actor) {
+        // 404 not 403 — same as /__shield/health, don't reveal the endpoint to scanners
+        return new Response("Not Found", { status: 404 });
+    }
+    if (!env.CLOUDEDGING_CONFIG) return adminJson({ error: "CLOUDEDGING_CONFIG not bound" }, 503);
+
+    let body = {};
+    if (bodyText) {
+        try {
+            body = JSON.parse(bodyText);
+        } catch (e) {
+            return adminJson({ error: "Invalid JSON body", message: e.message }, 400);
+        }
+    }
+
+    const op = {
+        request, env, config, url, ctx, body, actor,
+        clientId: config.client_id,
+        ip: request.headers.get("CF-Connecting-IP"),
+    };
+
+    try {
+        const [resource, ...rest] = url.pathname.slice(ADMIN_PREFIX.length).split("/").filter(Boolean).map(decodeURIComponent);
+        op.rest = rest;
+
+        switch (resource) {
+            case "config":    return await adminConfig(op);
+            case "ratelimit": return await adminRateLimit(op);
+            case "purge":     return await adminPurge(op);
+            case "semantic":  return await adminSemantic(op);
+            case "r2":        return await adminR2(op);
+            case "sign":      return await adminSign(op);
+            case "audit":     return await adminAudit(op);
+            default:          return adminJson({ error: "Unknown admin resource", resource: resource || null }, 404);
+        }
+    } catch (err) {
+        console.error(`[Shield Admin] ${request.method} ${url.pathname} failed: ${err.message}`);
+        return adminJson({ error: "Admin operation failed", message: err.message }, 500);
+    }
+}
+
+/**
+ * Returns "token" | "hmac" for an authenticated caller, null otherwise.
+ */
+async function authenticateAdmin(request, env, url, bodyText) {
+    if (!env.ADMIN_SECRET) return null;
+
+    const token = request.headers.get("X-CloudEdging-Admin-Token");
+    if (token) return timingSafeEqual(token, env.ADMIN_SECRET) ? "token" : null;
+
+    const timestamp = request.headers.get("X-CloudEdging-Timestamp");
+    const signature = (request.headers.get("X-CloudEdging-Signature") || "").toLowerCase();
+    if (!timestamp || !signature) return null;
+
+    const skew = Math.abs(Date.now() / 1000 - parseInt(timestamp, 10));
+    if (!(skew <= ADMIN_SIGNATURE_SKEW_S)) return null; // also rejects NaN
+
+    const payload = `${timestamp}\n${request.method}\n${url.pathname}${url.search}\n${await sha256Hex(bodyText)}`;
+    const expected = await hmacSha256Hex(env.ADMIN_SECRET, payload);
+    if (!timingSafeEqual(signature, expected)) return null;
+
+    // Replay protection. Without KV to remember signatures, only the token is accepted.
+    // KV is eventually consistent: a replay at another colo within ~60s can still pass.
+    if (!env.CLOUDEDGING_CONFIG) return null;
+    const nonceKey = `${ADMIN_NONCE_PREFIX}${signature}`;
+    if (await env.CLOUDEDGING_CONFIG.get(nonceKey)) {
+        console.warn("[Shield Admin] Replayed signature rejected");
+        return null;
+    }
+    // ±skew around the timestamp — the signature can pass for twice the skew
+    await env.CLOUDEDGING_CONFIG.put(nonceKey, "1", { expirationTtl: 2 * ADMIN_SIGNATURE_SKEW_S });
+    return "hmac";
+}
+
+// ── Config ───────────────────────────────────────────────────
+//   GET  /config                   active config + version + validation state
+//   PUT  /config                   { config, note } → new version, activated
+//   GET  /config/versions          version list (newest first)
+//   GET  /config/diff?from=&to=    key-level diff (defaults: previous → active)
+//   POST /config/rollback          { version? } → re-activate (default: previous)
+
+async function adminConfig(op) {
+    const { request, env, clientId, body, rest } = op;
+    const action = rest[0] || "";
+
+    if (action === "" && request.method === "GET") {
+        const active = await readActiveConfig(env, clientId);
+        const entry = CONFIG_CACHE.get(clientId);
+        return adminJson({
+            client_id: clientId,
+            version: active?.version ?? null,
+            config: active?.config ?? null,
+            validation: active ? validateConfig(active.config) : null,
+            in_use_version: entry?.version ?? null,
+            in_use_status: entry?.status || null,
+        });
+    }
+
+    if (action === "" && request.method === "PUT") {
+        const newConfig = body.config !== undefined ? body.config : body;
+        const { errors, warnings } = validateConfig(newConfig);
+        if (errors.length > 0) return adminJson({ error: "Config rejected", errors, warnings }, 400);
+
+        const version = await writeConfigVersion(env, clientId, newConfig, body.note || "");
+        await writeAuditLog(op, "config.put", { version, note: body.note || "" });
+        return adminJson({ ok: true, version, warnings, propagation_s: CONFIG_TTL_MS / 1000 });
+    }
+
+    if (action === "versions" && request.method === "GET") {
+        const active = await readActiveConfig(env, clientId);
+        return adminJson({ client_id: clientId, active: active?.version ?? null, versions: await listConfigVersions(env, clientId) });
+    }
+
+    if (action === "diff" && request.method === "GET") {
+        const active = await readActiveConfig(env, clientId);
+        const to = parseInt(op.url.searchParams.get("to") || active?.version || "", 10);
+        const from = parseInt(op.url.searchParams.get("from") || to - 1, 10);
+        if (!Number.isInteger(from) || !Number.isInteger(to)) {
+            return adminJson({ error: "from/to versions required (no versioned config stored)" }, 400);
+        }
+        const [a, b] = await Promise.all([readConfigVersion(env, clientId, from), readConfigVersion(env, clientId, to)]);
+        if (!a || !b) return adminJson({ error: "Version not found", from: !!a, to: !!b }, 404);
+        return adminJson({ from, to, diff: diffConfigs(a.config, b.config) });
+    }
+
+    if (action === "rollback" && request.method === "POST") {
+        const active = await readActiveConfig(env, clientId);
+        const target = parseInt(body.version || (active?.version ? active.version - 1 : ""), 10);
+        if (!Number.isInteger(target) || target < 1) return adminJson({ error: "No version to roll back to" }, 400);
+
+        const record = await readConfigVersion(env, clientId, target);
+        if (!record) return adminJson({ error: "Version not found", version: target }, 404);
+        const { errors } = validateConfig(record.config);
+        if (errors.length > 0) return adminJson({ error: "Target version is invalid", version: target, errors }, 409);
+
+        await setActiveConfigVersion(env, clientId, target);
+        await writeAuditLog(op, "config.rollback", { from: active?.version ?? null, to: target });
+        return adminJson({ ok: true, version: target, previous: active?.version ?? null });
+    }
+
+    return adminMethodNotAllowed();
+}
+
+function diffConfigs(a, b) {
+    const added = {}, removed = {}, changed = {};
+    for (const key of new Set([...Object.keys(a || {}), ...Object.keys(b || {})])) {
+        const inA = a && key in a, inB = b && key in b;
+        if (inA && !inB) removed[key] = a[key];
+        else if (!inA && inB) added[key] = b[key];
+        else if (JSON.stringify(a[key]) !== JSON.stringify(b[key])) changed[key] = { from: a[key], to: b[key] };
+    }
+    return { added, removed, changed };
+}
+
+// ── Rate-limit counters ──────────────────────────────────────
+//   GET    /ratelimit/{ip}    counters for the IP under every policy —
+//                             KV count and/or Durable Object limiter state
+//   DELETE /ratelimit/{ip}    clear them
+
+async function adminRateLimit(op) {
+    const { request, env, config, rest } = op;
+    const ip = rest[0];
+    if (!ip) return adminJson({ error: "IP required: /ratelimit/{ip}" }, 400);
+    if (!env.CLOUDEDGING_CACHE && !env.SHIELD_RATE_LIMITER) {
+        return adminJson({ error: "CLOUDEDGING_CACHE or SHIELD_RATE_LIMITER not bound" }, 503);
+    }
+
+    const keys = rateLimitKeysForIp(config, ip);
+
+    if (request.method === "GET") {
+        const counters = await Promise.all(keys.map(async ({ policy, key }) => ({
+            policy,
+            key,
+            count: env.CLOUDEDGING_CACHE ? parseInt((await env.CLOUDEDGING_CACHE.get(key)) || "0", 10) : null,
+            limiter: await peekRateLimiter(env, config, key),
+        })));
+        return adminJson({ ip, counters });
+    }
+
+    if (request.method === "DELETE") {
+        const cleared = await Promise.all(keys.map(async ({ policy, key }) => {
+            if (env.CLOUDEDGING_CACHE) await env.CLOUDEDGING_CACHE.delete(key);
+            return { policy, key, limiter_reset: await resetRateLimiter(env, config, key) };
+        }));
+        await writeAuditLog(op, "ratelimit.clear", { ip_target: ip, keys: cleared.length });
+        return adminJson({ ok: true, ip, cleared });
+    }
+
+    return adminMethodNotAllowed();
+}
+
+// ── Cache purge ──────────────────────────────────────────────
+//   POST /purge   { urls, prefixes, tags, all, r2 } → purge report
+//     urls:     exact URLs, every cache variant (device, language, vary)
+//     prefixes: "/blog/" or full URL prefixes
+//     tags:     Cache-Tag / Surrogate-Key values from origin
+//     all:      every indexed entry for this tenant
+//     r2:       also delete matching STORAGE_BUCKET mirror objects
+
+async function adminPurge(op) {
+    const { request, env, config, url, body } = op;
+    if (request.method !== "POST") return adminMethodNotAllowed();
+
+    const target = {
+        urls: Array.isArray(body.urls) ? body.urls : body.url ? [body.url] : [],
+        prefixes: Array.isArray(body.prefixes) ? body.prefixes : body.prefix ? [body.prefix] : [],
+        tags: Array.isArray(body.tags) ? body.tags : body.tag ? [body.tag] : [],
+        all: body.all === true,
+        r2: body.r2 === true,
+    };
+    if (!target.all && target.urls.length + target.prefixes.length + target.tags.length === 0) {
+        return adminJson({ error: "urls, prefixes, tags or all: true required" }, 400);
+    }
+
+    const report = await purgeCache(env, config, url, target);
+    await writeAuditLog(op, "cache.purge", {
+        urls: target.urls.slice(0, 20),
+        prefixes: target.prefixes.slice(0, 20),
+        tags: target.tags.slice(0, 20),
+        all: target.all,
+        r2: target.r2,
+        keys: report.cache_keys.length,
+        r2_deleted: report.r2_deleted.length,
+    });
+    return adminJson({ ok: report.errors.length === 0, ...report });
+}
+
+// ── Semantic cache ───────────────────────────────────────────
+//   GET    /semantic?prompt=…   nearest cached prompts (top 5) for a prompt
+//                               (&fingerprint=… limits to one cache scope)
+//   GET    /semantic/{id}       vector metadata + cached payload
+//   DELETE /semantic/{id}       evict vector + payload
+
+async function adminSemantic(op) {
+    const { request, env, config, rest, url } = op;
+    if (!env.SEMANTIC_DB) return adminJson({ error: "SEMANTIC_DB not bound" }, 503);
+    const id = rest[0];
+
+    if (!id && request.method === "GET") {
+        const prompt = url.searchParams.get("prompt");
+        if (!prompt || !env.AI) return adminJson({ error: "prompt query param and AI binding required" }, 400);
+        const embedding = await generateEmbedding(prompt.substring(0, 2000), env, config);
+        const fingerprint = url.searchParams.get("fingerprint");
+        const results = await env.SEMANTIC_DB.query(embedding, {
+            topK: 5,
+            returnMetadata: "all",
+            namespace: config.client_id,
+            ...(fingerprint ? { filter: { fingerprint } } : {}),
+        });
+        return adminJson({ matches: (results.matches || []).map((m) => ({ id: m.id, score: m.score, metadata: m.metadata })) });
+    }
+    if (!id) return adminJson({ error: "Entry id required: /semantic/{id}" }, 400);
+
+    if (request.method === "GET") {
+        const [vectors, payload] = await Promise.all([
+            env.SEMANTIC_DB.getByIds([id]),
+            env.CLOUDEDGING_CACHE ? env.CLOUDEDGING_CACHE.get(semanticPayloadKey(config, id)) : null,
+        ]);
+        const vector = (vectors || []).find((v) => v.namespace === undefined || v.namespace === config.client_id);
+        if (!vector && !payload) return adminJson({ error: "Not found", id }, 404);
+        return adminJson({ id, metadata: vector?.metadata || null, payload_bytes: payload ? payload.length : 0, payload });
+    }
+
+    if (request.method === "DELETE") {
+        // Vector ids are not scoped by namespace — never evict another tenant's entry
+        const vectors = (await env.SEMANTIC_DB.getByIds([id])) || [];
+        const owned = vectors.some((v) => v.namespace === undefined || v.namespace === config.client_id);
+        if (!owned && vectors.length > 0) return adminJson({ error: "Not found", id }, 404);
+        if (owned) await env.SEMANTIC_DB.deleteByIds([id]);
+        if (env.CLOUDEDGING_CACHE) await env.CLOUDEDGING_CACHE.delete(semanticPayloadKey(config, id));
+        await writeAuditLog(op, "semantic.evict", { id });
+        return adminJson({ ok: true, id });
+    }
+
+    return adminMethodNotAllowed();
+}
+
+// ── R2 mirror ────────────────────────────────────────────────
+//   GET    /r2?prefix=&cursor=   list mirrored objects
+//   GET    /r2/{key}             object metadata
+//   DELETE /r2/{key}             remove from the mirror (next request re-mirrors)
+// Mirror keys are bare paths shared by every tenant — operator-only, see top.
+
+async function adminR2(op) {
+    const { request, env, rest, url, clientId } = op;
+    if (clientId !== (env.CLIENT_ID || "default")) {
+        return adminJson({ error: "The R2 mirror is shared by every tenant — call /r2 on a host of the CLIENT_ID tenant" }, 403);
+    }
+    if (!env.STORAGE_BUCKET) return adminJson({ error: "STORAGE_BUCKET not bound" }, 503);
+    const key = rest.join("/");
+
+    if (!key && request.method === "GET") {
+        const listed = await env.STORAGE_BUCKET.list({
+            prefix: url.searchParams.get("prefix") || undefined,
+            cursor: url.searchParams.get("cursor") || undefined,
+            limit: Math.min(parseInt(url.searchParams.get("limit") || "100", 10) || 100, 1000),
+        });
+        return adminJson({
+            objects: listed.objects.map((o) => ({ key: o.key, size: o.size, uploaded: o.uploaded, etag: o.etag })),
+            cursor: listed.truncated ? listed.cursor : null,
+        });
+    }
+    if (!key) return adminJson({ error: "Object key required: /r2/{key}" }, 400);
+
+    if (request.method === "GET") {
+        const head = await env.STORAGE_BUCKET.head(key);
+        if (!head) return adminJson({ error: "Not found", key }, 404);
+        return adminJson({ key, size: head.size, uploaded: head.uploaded, etag: head.etag, http_metadata: head.httpMetadata });
+    }
+
+    if (request.method === "DELETE") {
+        await env.STORAGE_BUCKET.delete(key);
+        await writeAuditLog(op, "r2.delete", { key });
+        return adminJson({ ok: true, key });
+    }
+
+    return adminMethodNotAllowed();
+}
+
+// ── Signed URLs ──────────────────────────────────────────────
+//   POST /sign   { path, ttl_s?, ip? } → { url, expires, ttl_s, rule }
+//     path must fall under a signed_urls rule (signed_urls.js); ttl_s
+//     defaults to 3600 and is capped by the rule's max_ttl_s
+
+async function adminSign(op) {
+    const { request, env, config, url, body } = op;
+    if (request.method !== "POST") return adminMethodNotAllowed();
+
+    const minted = await mintSignedUrl(env, config, url.origin, body);
+    if (minted.error) return adminJson(minted, 400);
+    await writeAuditLog(op, "url.sign", { path: body.path, expires: minted.expires, ip: body.ip || null });
+    return adminJson(minted);
+}
+
+// ── Audit log ────────────────────────────────────────────────
+//   GET /audit?limit=50   newest first
+
+async function adminAudit(op) {
+    const { request, env, clientId, url } = op;
+    if (request.method !== "GET") return adminMethodNotAllowed();
+
+    const limit = Math.min(parseInt(url.searchParams.get("limit") || "50", 10) || 50, 1000);
+    const prefix = `AUDIT_${clientId}_`;
+    const page = await env.CLOUDEDGING_CONFIG.list({ prefix, limit });
+    // Only keys written by writeAuditLog for this tenant — never another tenant's under a longer id
+    const entries = page.keys
+        .filter((k) => /^\d{13}_[0-9a-f]{8}$/.test(k.name.slice(prefix.length)))
+        // Entries live in key metadata — one list call, no per-entry reads
+        .map((k) => k.metadata || { key: k.name });
+    return adminJson({ entries });
+}
+
+/**
+ * Keys sort newest-first: KV lists lexicographically, so the timestamp is
+ * inverted. Metadata is capped at 1024 bytes by KV — detail is truncated there
+ * and kept in full in the value.
+ */
+async function writeAuditLog(op, action, detail) {
+    const entry = {
+        at: new Date().toISOString(),
+        action,
+        actor: op.actor,
+        ip: op.ip,
+        detail,
+    };
+    const inverted = String(9999999999999 - Date.now()).padStart(13, "0");
+    const key = `AUDIT_${op.clientId}_${inverted}_${crypto.randomUUID().substring(0, 8)}`;
+    const metadata = { ...entry, detail: JSON.stringify(detail).substring(0, 700) };
+    try {
+        await op.env.CLOUDEDGING_CONFIG.put(key, JSON.stringify(entry), { expirationTtl: AUDIT_TTL_S, metadata });
+    } catch (e) {
+        console.error(`[Shield Admin] Audit write failed: ${action}`, e.message);
+    }
+}
+
+function adminJson(data, status = 200) {
+    return new Response(JSON.stringify(data, null, 2), {
+        status,
+        headers: { "Content-Type": "application/json", "Cache-Control": "no-store", "X-Shield-Admin": "true" },
+    });
+}
+
+function adminMethodNotAllowed() {
+    return adminJson({ error: "Method not allowed" }, 405);
+}
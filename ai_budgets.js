@@ -0,0 +1,280 @@
+// ============================================================
+// AI BUDGETS — token and spend limits per API key (or tenant)
+// Used by handleAIGateway: checked before a request goes to the
+// provider, charged from the provider's usage block afterwards
+//
+// ai_budgets: {
+//   enabled: true,
+//   key: "api_key",            // "api_key" | "tenant" | "header:{name}"
+//   daily_tokens: 2000000,  monthly_tokens: 40000000,
+//   daily_usd: 25,          monthly_usd: 400,
+//   soft_limit_pct: 80,        // X-Shield-AI-Budget-Warning from here on
+//   keys: { "{key id}": { daily_usd: 100 } }   // per-key overrides
+// }
+// ai_pricing: { "gpt-4o": { input: 2.5, output: 10 }, "claude-3-5-*": {...}, "*": {...} }
+//   USD per million tokens; exact model name first, then globs in order.
+//
+// The key id is a hash of the provider API key (Authorization Bearer,
+// x-api-key, api-key, x-goog-api-key) — returned in X-Shield-AI-Budget-Key
+// so overrides can be written without storing raw keys. A request without
+// the key value is budgeted by IP, as with rate-limit policies.
+//
+// Usage is read from OpenAI (usage.prompt/completion_tokens, Responses
+// API input/output_tokens), Anthropic (usage, message_start /
+// message_delta events) and Gemini (usageMetadata) — JSON bodies and SSE
+// streams alike. OpenAI chat streams only report usage when asked, so
+// stream_options.include_usage is added to those requests (one extra
+// final chunk with empty choices).
+//
+// Enforcement is on usage already recorded: the request that crosses a
+// limit completes, the next one gets 429 (token budget) or 402 (spend
+// budget). Counters: ShieldRateLimiter Durable Object (/usage) when bound —
+// exact across isolates; otherwise KV (CLOUDEDGING_CACHE), approximate.
+// Budget failures fail open, like rate limiting.
+// ============================================================
+
+const AI_BUDGET_WINDOWS = { daily: { s: 86400 }, monthly: { s: 2678400 } }; // 31 days of KV retention
+const AI_BUDGET_SOFT_DEFAULT_PCT = 80;
+const AI_BUDGET_KEY_HEADERS = ["x-api-key", "api-key", "x-goog-api-key"];
+const AI_BUDGET_UNPRICED = new Set(); // models already warned about, per isolate
+
+/**
+ * Returns null when budgets are off, otherwise
+ * { keyId, windows, exceeded, response, headers } — `response` is the
+ * 429 / 402 to return instead of calling the provider.
+ */
+async function checkAIBudget(request, env, config) {
+    const settings = config.ai_budgets || {};
+    if (!settings.enabled) return null;
+
+    try {
+        const keyId = await aiBudgetKeyId(request, config, settings);
+        const limits = { ...settings, ...(settings.keys?.[keyId] || {}) };
+        const now = new Date();
+
+        const windows = await Promise.all(Object.keys(AI_BUDGET_WINDOWS)
+            .filter((name) => limits[`${name}_tokens`] !== undefined || limits[`${name}_usd`] !== undefined)
+            .map(async (name) => {
+                const key = aiBudgetStorageKey(config, keyId, name, now);
+                return {
+                    name,
+                    key,
+                    tokens_limit: limits[`${name}_tokens`],
+                    usd_limit: limits[`${name}_usd`],
+                    used: await readAIUsage(env, config, key),
+                    reset_s: aiBudgetResetSeconds(name, now),
+                };
+            }));
+
+        const softPct = limits.soft_limit_pct ?? AI_BUDGET_SOFT_DEFAULT_PCT;
+        let exceeded = null;
+        const warnings = [];
+        for (const w of windows) {
+            for (const [metric, limit, used] of [["tokens", w.tokens_limit, w.used.tokens], ["usd", w.usd_limit, w.used.usd]]) {
+                if (limit === undefined) continue;
+                if (used >= limit && !exceeded) exceeded = { budget: `${w.name}_${metric}`, metric, limit, used, reset_s: w.reset_s };
+                else if (used >= (limit * softPct) / 100) warnings.push(`${w.name}_${metric} ${Math.floor((used / limit) * 100)}%`);
+            }
+        }
+
+        const remaining = (metric) => {
+            const values = windows.filter((w) => w[`${metric}_limit`] !== undefined).map((w) => Math.max(0, w[`${metric}_limit`] - w.used[metric]));
+            return values.length ? Math.min(...values) : null;
+        };
+        const headers = { "X-Shield-AI-Budget-Key": keyId };
+        const tokensLeft = remaining("tokens");
+        const usdLeft = remaining("usd");
+        if (tokensLeft !== null) headers["X-Shield-AI-Budget-Tokens-Remaining"] = String(Math.floor(tokensLeft));
+        if (usdLeft !== null) headers["X-Shield-AI-Budget-USD-Remaining"] = usdLeft.toFixed(4);
+        if (warnings.length) headers["X-Shield-AI-Budget-Warning"] = warnings.join(", ");
+
+        const budget = { keyId, windows, exceeded, headers, response: null };
+        if (exceeded) {
+            console.warn(`[AI Budget] ${config.client_id} key ${keyId} over ${exceeded.budget} (${exceeded.used} / ${exceeded.limit})`);
+            budget.response = new Response(JSON.stringify({
+                error: {
+                    type: "budget_exceeded",
+                    budget: exceeded.budget,
+                    limit: exceeded.limit,
+                    used: exceeded.metric === "usd" ? Number(exceeded.used.toFixed(4)) : exceeded.used,
+                    reset_s: exceeded.reset_s,
+                },
+            }), {
+                status: exceeded.metric === "usd" ? 402 : 429,
+                headers: { "Content-Type": "application/json", "Retry-After": String(exceeded.reset_s), ...headers },
+            });
+        }
+        return budget;
+    } catch (e) {
+        console.error("[AI Budget] Check failed — allowing request", e.message);
+        return null;
+    }
+}
+
+async function aiBudgetKeyId(request, config, settings) {
+    const keyBy = settings.key || "api_key";
+    if (keyBy === "tenant") return "tenant";
+
+    let value = null;
+    if (keyBy.startsWith("header:")) {
+        value = request.headers.get(keyBy.slice(7));
+    } else {
+        const bearer = /^Bearer\s+(.+)$/i.exec(request.headers.get("Authorization") || "");
+        value = bearer ? bearer[1] : AI_BUDGET_KEY_HEADERS.map((h) => request.headers.get(h)).find(Boolean);
+    }
+    return value ? await hashString(value) : `ip:${request.headers.get("CF-Connecting-IP") || "unknown"}`;
+}
+
+// One counter per key and calendar window (UTC) — a new day / month starts at zero
+function aiBudgetStorageKey(config, keyId, windowName, now) {
+    const iso = now.toISOString();
+    const period = windowName === "daily" ? iso.substring(0, 10) : iso.substring(0, 7);
+    return `AIB_${config.client_id || "default"}_${keyId}_${period}`;
+}
+
+function aiBudgetResetSeconds(windowName, now) {
+    const next = windowName === "daily"
+        ? Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1)
+        : Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1);
+    return Math.ceil((next - now.getTime()) / 1000);
+}
+
+async function readAIUsage(env, config, key) {
+    if (env.SHIELD_RATE_LIMITER) {
+        try {
+            const res = await rateLimiterStub(env, config, key).fetch("https://rate-limiter/usage");
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            return await res.json();
+        } catch (e) {
+            console.error(`[AI Budget] Durable Object read failed for ${key}, using KV`, e.message);
+        }
+    }
+    if (!env.CLOUDEDGING_CACHE) return { tokens: 0, usd: 0, requests: 0 };
+    return (await env.CLOUDEDGING_CACHE.get(key, { type: "json" })) || { tokens: 0, usd: 0, requests: 0 };
+}
+
+/**
+ * Charge `usage` ({ model, input_tokens, output_tokens }) to every window of
+ * the budget. Runs in ctx.waitUntil — never throws.
+ */
+async function recordAIUsage(env, config, budget, usage) {
+    if (!budget || !usage) return;
+    const tokens = usage.input_tokens + usage.output_tokens;
+    const usd = aiUsageCost(config, usage);
+
+    await Promise.all(budget.windows.map(async (w) => {
+        try {
+            if (env.SHIELD_RATE_LIMITER) {
+                try {
+                    const params = new URLSearchParams({ tokens: String(tokens), usd: String(usd) });
+                    const res = await rateLimiterStub(env, config, w.key).fetch(`https://rate-limiter/usage?${params}`, { method: "POST" });
+                    if (res.ok) return;
+                    throw new Error(`HTTP ${res.status}`);
+                } catch (e) {
+                    console.error(`[AI Budget] Durable Object charge failed for ${w.key}, using KV`, e.message);
+                }
+            }
+            if (!env.CLOUDEDGING_CACHE) return;
+            // Read-modify-write: concurrent requests can under-count — KV is the approximate fallback
+            const current = (await env.CLOUDEDGING_CACHE.get(w.key, { type: "json" })) || { tokens: 0, usd: 0, requests: 0 };
+            await env.CLOUDEDGING_CACHE.put(w.key, JSON.stringify({
+                tokens: current.tokens + tokens,
+                usd: current.usd + usd,
+                requests: current.requests + 1,
+            }), { expirationTtl: AI_BUDGET_WINDOWS[w.name].s });
+        } catch (e) {
+            console.error(`[AI Budget] Charge failed for ${w.key}`, e.message);
+        }
+    }));
+}
+
+function aiUsageCost(config, usage) {
+    const pricing = config.ai_pricing || {};
+    const model = String(usage.model || "");
+    const price = pricing[model] || Object.entries(pricing).find(([pattern]) => pattern.includes("*") && (pattern === "*" || globMatches(pattern, model)))?.[1];
+    if (!price) {
+        if (!AI_BUDGET_UNPRICED.has(model)) {
+            AI_BUDGET_UNPRICED.add(model);
+            console.warn(`[AI Budget] No ai_pricing entry for model "${model}" — spend counted as 0`);
+        }
+        return 0;
+    }
+    return (usage.input_tokens * (price.input || 0) + usage.output_tokens * (price.output || 0)) / 1e6;
+}
+
+/**
+ * Request-side preparation: the model (pricing fallback when the response
+ * doesn't name it) and, for OpenAI-style streams, include_usage so the
+ * final chunk carries token counts. Returns { model, body } — body is the
+ * rewritten JSON text, or null when the original can be sent unchanged.
+ */
+function prepareAIBudgetRequest(bodyText, provider) {
+    try {
+        const data = JSON.parse(bodyText);
+        const model = data.model || null;
+        const openAiStyle = ["openai", "azure-openai"].includes(provider) && Array.isArray(data.messages);
+        if (data.stream === true && openAiStyle && data.stream_options?.include_usage !== true) {
+            data.stream_options = { ...(data.stream_options || {}), include_usage: true };
+            return { model, body: JSON.stringify(data) };
+        }
+        return { model, body: null };
+    } catch (e) {
+        return { model: null, body: null };
+    }
+}
+
+/**
+ * Usage from a parsed provider payload (JSON body, SSE event, or Gemini's
+ * streamed JSON array). Returns { model, input_tokens, output_tokens } or null.
+ */
+function extractAIUsage(payload) {
+    if (Array.isArray(payload)) return payload.reduce((acc, item) => mergeAIUsage(acc, extractAIUsage(item)), null);
+    if (!payload || typeof payload !== "object") return null;
+
+    // Anthropic stream: message_start carries input usage, message_delta output
+    if (payload.type === "message_start" && payload.message) return extractAIUsage(payload.message);
+    // OpenAI Responses API stream
+    if (payload.type === "response.completed" && payload.response) return extractAIUsage(payload.response);
+
+    const model = payload.model || payload.modelVersion || null;
+    const u = payload.usage;
+    if (u && typeof u === "object") {
+        const input = (u.prompt_tokens ?? u.input_tokens ?? 0) + (u.cache_creation_input_tokens || 0) + (u.cache_read_input_tokens || 0);
+        const output = u.completion_tokens ?? u.output_tokens ?? 0;
+        return { model, input_tokens: input, output_tokens: output };
+    }
+    const g = payload.usageMetadata;
+    if (g && typeof g === "object") {
+        const output = g.candidatesTokenCount ?? Math.max(0, (g.totalTokenCount || 0) - (g.promptTokenCount || 0));
+        return { model, input_tokens: g.promptTokenCount || 0, output_tokens: output };
+    }
+    return model ? { model, input_tokens: 0, output_tokens: 0 } : null;
+}
+
+// Streamed counts are cumulative (Anthropic message_delta, Gemini chunks) —
+// keep the largest value seen per field rather than summing
+function mergeAIUsage(a, b) {
+    if (!a) return b;
+    if (!b) return a;
+    return {
+        model: b.model || a.model,
+        input_tokens: Math.max(a.input_tokens, b.input_tokens),
+        output_tokens: Math.max(a.output_tokens, b.output_tokens),
+    };
+}
+
+/**
+ * Pass an SSE body through unchanged while reading usage from its events
+ * (tapSSEStream, ai_stream.js). Returns { body, usage } — usage resolves
+ * when the provider stream ends, whether or not the client is still
+ * reading; a stream that errors resolves with the usage seen so far
+ * (e.g. Anthropic's message_start input tokens).
+ */
+function meterAIStream(body) {
+    let usage = null;
+    const tapped = tapSSEStream(body, (event, data) => {
+        if (!data || data === "[DONE]") return;
+        usage = mergeAIUsage(usage, extractAIUsage(JSON.parse(data)));
+    });
+    return { body: tapped.body, usage: tapped.done.then(() => usage) };
+}
@@ -0,0 +1,152 @@
+// ============================================================
+// AI CACHE SCOPE — which requests may share a semantic cache entry
+// Used by handleAIGateway (semanticCachePipeline / semanticCacheStore)
+// and the admin API (GET /__shield/admin/semantic?fingerprint=…)
+//
+// semantic_cache_scope: {
+//   fingerprint: ["model", "system", "tools", "params", "media", "key"],  // default: all
+//   key: "api_key",              // "api_key" | "tenant" | "header:{name}"
+//   turns: 3,                    // conversation messages embedded, newest last
+//   max_temperature: 1,          // hotter requests bypass the cache
+//   cache_multiple_choices: false  // true: n / candidateCount > 1 may be cached
+// }
+//
+// Similarity search only compares the conversation. Everything else that
+// shapes the answer is hashed into a fingerprint: provider, model, system
+// prompt, tool definitions, sampling parameters, images / files in the
+// embedded turns and the caller's key id (same ids as ai_budgets). The
+// fingerprint is stored as vector metadata and a lookup only considers
+// vectors with an equal one — Vectorize query filter, then a check of the
+// returned metadata. Field order in the request body doesn't matter.
+//
+// The filter needs a metadata index, created before the first store:
+//   wrangler vectorize create-metadata-index <index-name> --property-name=fingerprint --type=string
+//
+// Requests with a temperature above max_temperature, or asking for more
+// than one choice, neither read nor write the cache — the caller wants
+// varied answers (X-Shield-AI-Cache-Bypass says why).
+// ============================================================
+
+const SEMANTIC_SCOPE_PARTS = ["model", "system", "tools", "params", "media", "key"];
+const SEMANTIC_TURNS_DEFAULT = 3;
+const SEMANTIC_MAX_TEMPERATURE_DEFAULT = 1;
+
+// Request fields that change the answer for the same conversation
+// (OpenAI / Anthropic top level, Gemini generationConfig / safetySettings)
+const SEMANTIC_PARAM_FIELDS = [
+    "temperature", "top_p", "top_k", "max_tokens", "max_completion_tokens", "stop", "stop_sequences",
+    "presence_penalty", "frequency_penalty", "logit_bias", "logprobs", "top_logprobs", "seed", "n",
+    "response_format", "reasoning_effort", "reasoning", "thinking", "modalities", "audio",
+    "generationConfig", "generation_config", "safetySettings", "safety_settings",
+];
+const SEMANTIC_TOOL_FIELDS = ["tools", "tool_choice", "functions", "function_call", "parallel_tool_calls", "toolConfig", "tool_config"];
+
+/**
+ * Scope of one AI request for the semantic cache:
+ * { body, prompt, fingerprint, bypass } — `bypass` is a reason string
+ * when the request must not touch the cache, `prompt` the text to embed.
+ */
+async function semanticCacheScope(request, bodyText, provider, url, config) {
+    const settings = config.semantic_cache_scope || {};
+    let data = {};
+    try {
+        data = JSON.parse(bodyText) || {};
+    } catch {}
+
+    const scope = {
+        body: bodyText,
+        prompt: extractPromptForEmbedding(bodyText, settings.turns || SEMANTIC_TURNS_DEFAULT),
+        fingerprint: null,
+        bypass: null,
+    };
+
+    const generation = data.generationConfig || data.generation_config || {};
+    const temperature = data.temperature ?? generation.temperature;
+    const maxTemperature = settings.max_temperature ?? SEMANTIC_MAX_TEMPERATURE_DEFAULT;
+    const choices = data.n ?? generation.candidateCount ?? generation.candidate_count ?? 1;
+    if (typeof temperature === "number" && temperature > maxTemperature) {
+        scope.bypass = `temperature ${temperature} > ${maxTemperature}`;
+    } else if (typeof choices === "number" && choices > 1 && !settings.cache_multiple_choices) {
+        scope.bypass = `n ${choices}`;
+    }
+
+    const parts = settings.fingerprint || SEMANTIC_SCOPE_PARTS;
+    const components = { provider };
+    if (parts.includes("model")) components.model = semanticCacheModel(data, url);
+    if (parts.includes("system")) {
+        components.system = [
+            data.system,
+            data.systemInstruction ?? data.system_instruction,
+            ...(Array.isArray(data.messages) ? data.messages.filter((m) => m?.role === "system" || m?.role === "developer").map((m) => m.content) : []),
+        ];
+    }
+    if (parts.includes("tools")) components.tools = SEMANTIC_TOOL_FIELDS.map((field) => data[field]);
+    if (parts.includes("params")) components.params = SEMANTIC_PARAM_FIELDS.map((field) => data[field]);
+    if (parts.includes("media")) components.media = semanticCacheMedia(data, settings.turns || SEMANTIC_TURNS_DEFAULT);
+    if (parts.includes("key")) components.key = await aiBudgetKeyId(request, config, { key: settings.key || "api_key" });
+
+    scope.fingerprint = await hashString(canonicalJson(components));
+    return scope;
+}
+
+// Body model, else the model segment of Gemini / Vertex / Azure / Bedrock paths
+function semanticCacheModel(data, url) {
+    if (typeof data.model === "string") return data.model;
+    const match = /\/(?:models|deployments|model)\/([^/:]+)/.exec(url.pathname);
+    return match ? decodeURIComponent(match[1]) : url.pathname;
+}
+
+/**
+ * Conversation messages (system prompts excluded), oldest first:
+ * [{ role, parts }] — OpenAI / Anthropic `messages`, Gemini `contents`.
+ */
+function semanticConversation(data) {
+    if (Array.isArray(data.messages)) {
+        return data.messages
+            .filter((m) => m && m.role !== "system" && m.role !== "developer")
+            .map((m) => ({
+                role: m.role,
+                parts: [
+                    ...(typeof m.content === "string" ? [{ text: m.content }] : Array.isArray(m.content) ? m.content : m.content ? [m.content] : []),
+                    ...(Array.isArray(m.tool_calls) ? m.tool_calls.map((call) => ({ type: "tool_use", input: call.function || call })) : []),
+                ],
+            }));
+    }
+    if (Array.isArray(data.contents)) {
+        return data.contents.map((c) => ({ role: c?.role || "user", parts: Array.isArray(c?.parts) ? c.parts : [] }));
+    }
+    return null;
+}
+
+// Text of one content part. Tool calls / results are embedded as JSON;
+// media (images, audio, files) returns null — it goes into the fingerprint.
+function semanticPartText(part) {
+    if (typeof part === "string") return part;
+    if (!part || typeof part !== "object") return "";
+    if (typeof part.text === "string") return part.text;
+    if (part.type === "thinking" || part.type === "redacted_thinking") return "";
+    if (part.type === "tool_use") return JSON.stringify(part.input ?? {});
+    if (part.functionCall || part.functionResponse) return JSON.stringify(part.functionCall || part.functionResponse);
+    if (part.type === "tool_result") {
+        return typeof part.content === "string" ? part.content : (part.content || []).map(semanticPartText).filter(Boolean).join("\n");
+    }
+    if (["image_url", "input_audio", "file", "image", "document"].includes(part.type) || part.inlineData || part.fileData) return null;
+    return JSON.stringify(part);
+}
+
+function semanticCacheMedia(data, turns) {
+    const conversation = semanticConversation(data) || [];
+    return conversation.slice(-turns).flatMap((m) => m.parts.filter((part) => semanticPartText(part) === null));
+}
+
+// JSON with object keys sorted — equal requests hash equally regardless of field order
+function canonicalJson(value) {
+    if (Array.isArray(value)) return `[${value.map((v) => (v === undefined ? "null" : canonicalJson(v))).join(",")}]`;
+    if (value && typeof value === "object") {
+        return `{${Object.keys(value).sort()
+            .filter((k) => value[k] !== undefined)
+            .map((k) => `${JSON.stringify(k)}:${canonicalJson(value[k])}`)
+            .join(",")}}`;
+    }
+    return JSON.stringify(value ?? null);
+}
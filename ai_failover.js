@@ -0,0 +1,319 @@
+// ============================================================
+// AI FAILOVER — fallback chain for OpenAI-format chat requests
+// Used by handleAIGateway when ai_failover.enabled is set
+//
+// ai_failover: {
+//   enabled: true,
+//   chain: [
+//     "anthropic:claude-3-5-sonnet-latest",                   // provider:model shorthand
+//     { provider: "google-ai-studio", model: "gemini-1.5-pro",
+//       models: { "gpt-4o-mini*": "gemini-1.5-flash" } },      // per-model mapping, globs
+//     { provider: "workers-ai", model: "@cf/meta/llama-3.1-8b-instruct" }
+//   ],
+//   statuses: [408, 429, 500, 502, 503, 504, 529],  // plus network errors and timeouts
+//   timeout_ms: 60000,     // per attempt, time to response headers
+//   retries: 0,            // extra attempts per target before moving on (entries may override)
+//   backoff_ms: 250,       // full-jitter backoff base between retries
+//   max_attempts: 4,       // retry budget: upstream calls per request, all targets
+//   deadline_ms: 120000,   // retry budget: no new attempt starts after this
+//   server_keys: "authenticated"  // | "always" | "never" — see below
+// }
+//
+// The request's own provider is tried first. On a failover status, a
+// network error or a timeout the next entry in the chain gets the request,
+// translated to its format (ai_translate.js), and its answer — JSON or
+// stream — is translated back into chat.completion(.chunk). 429s move on
+// immediately instead of retrying the same target. Once response headers
+// have arrived the answer is final: a stream is never switched mid-way.
+//
+// Entry models: exact `models` key, then globs in order, then `model`;
+// an openai entry without either keeps the request's model. Entries
+// identical to the request's own target are skipped.
+//
+// Provider keys come from Worker secrets, never from KV config:
+// OPENAI_API_KEY, ANTHROPIC_API_KEY, GOOGLE_AI_API_KEY (key_secret names
+// another one). An entry for the request's own provider without a secret
+// reuses the client's credentials. Without AI Gateway, entries without a key
+// are skipped; through the gateway they are sent as-is, so keys stored
+// in the gateway work. workers-ai runs on the AI binding.
+//
+// Those secrets, gateway-stored keys and the AI binding bill the operator,
+// so by default (server_keys: "authenticated") they are only used for
+// callers whose bearer token passed jwt verification on this request.
+// Anyone else keeps to their own credentials: entries for the request's own
+// provider, and entries whose provider key the caller sent itself
+// (x-api-key for anthropic, x-goog-api-key for google-ai-studio). "always"
+// restores the operator-pays behaviour for deployments authenticated some
+// other way; "never" limits every caller to its own keys.
+//
+// X-Shield-AI-Fallback names the provider that answered; X-Shield-AI-Attempts
+// counts upstream calls. Fallback answers are not written to the semantic
+// cache — they come from another model than the request names.
+//
+// Unified endpoint requests (ai_unified.js) whose model routes them away
+// from OpenAI take the same path: their first target is already translated,
+// and without ai_failover it is the only one.
+// ============================================================
+
+const AI_FAILOVER_DEFAULTS = {
+    statuses: [408, 429, 500, 502, 503, 504, 529],
+    timeout_ms: 60000,
+    retries: 0,
+    backoff_ms: 250,
+    max_attempts: 4,
+    deadline_ms: 120000,
+};
+const AI_FAILOVER_PROVIDERS = ["openai", "anthropic", "google-ai-studio", "workers-ai"];
+const AI_FAILOVER_KEY_SECRETS = {
+    "openai": "OPENAI_API_KEY",
+    "anthropic": "ANTHROPIC_API_KEY",
+    "google-ai-studio": "GOOGLE_AI_API_KEY",
+};
+const AI_SERVER_KEY_MODES = ["authenticated", "always", "never"];
+// Provider-native key headers a caller may send to pay for a fallback itself
+const AI_CALLER_KEY_HEADERS = {
+    "anthropic": "x-api-key",
+    "google-ai-studio": "x-goog-api-key",
+};
+const AI_CREDENTIAL_HEADERS = [
+    "authorization", "x-api-key", "api-key", "x-goog-api-key", "x-goog-user-project",
+    "openai-organization", "openai-project", "anthropic-version", "anthropic-dangerous-direct-browser-access",
+];
+
+// Failover needs a body it can translate: OpenAI chat completions only
+function aiFailoverApplies(config, provider, path, method) {
+    return !!config.ai_failover?.enabled &&
+        Array.isArray(config.ai_failover.chain) && config.ai_failover.chain.length > 0 &&
+        ["openai", "azure-openai"].includes(provider) &&
+        method === "POST" &&
+        path.includes("/chat/completions");
+}
+
+// May this request spend the operator's provider keys? `settings` holds server_keys.
+function aiServerKeysAllowed(request, settings) {
+    const mode = settings?.server_keys || "authenticated";
+    if (mode === "always") return true;
+    if (mode === "never") return false;
+    return !!jwtVerifiedClaims(request);
+}
+
+// The caller's own key for `provider`, from the provider's native header or,
+// with `bearer` (a unified route: the OpenAI SDK only sends Authorization),
+// the bearer token — unless that token is the caller's verified JWT
+function aiCallerKey(request, provider, bearer = false) {
+    const header = AI_CALLER_KEY_HEADERS[provider];
+    if (!header) return null;
+    const native = request.headers.get(header);
+    if (native || !bearer || jwtVerifiedClaims(request)) return native;
+    return /^Bearer\s+(\S+)$/i.exec(request.headers.get("Authorization") || "")?.[1] || null;
+}
+
+/**
+ * "provider:model" or { provider, model, models, retries, key_secret } →
+ * { provider, model, retries, key_secret }, model resolved for requestModel.
+ */
+function aiFailoverTarget(entry, requestModel) {
+    if (typeof entry === "string") {
+        const sep = entry.indexOf(":");
+        entry = sep === -1 ? { provider: entry } : { provider: entry.slice(0, sep), model: entry.slice(sep + 1) };
+    }
+    const models = entry.models || {};
+    let model = models[requestModel];
+    if (model === undefined) {
+        const glob = Object.keys(models).find((pattern) => pattern.includes("*") && globMatches(pattern, requestModel));
+        model = glob ? models[glob] : entry.model;
+    }
+    if (!model && entry.provider === "openai") model = requestModel;
+    return { provider: entry.provider, model: model || null, retries: entry.retries, key_secret: entry.key_secret };
+}
+
+/**
+ * Send the request down the chain. `buildPrimary()` returns a fresh Request
+ * for the request's own target; `bodyText` is the JSON sent to it. `route`
+ * is a unified endpoint route ({ provider, model, kind }) replacing it.
+ * Returns { response, target, attempts, error } — response is null when
+ * every attempt failed without one; target is null when the first target answered.
+ */
+async function fetchAIWithFailover(buildPrimary, bodyText, request, env, config, provider, route = null) {
+    // Without ai_failover a routed request gets one attempt, no time-to-headers limit below the maximum
+    const settings = config.ai_failover?.enabled
+        ? { ...AI_FAILOVER_DEFAULTS, ...config.ai_failover }
+        : { ...AI_FAILOVER_DEFAULTS, chain: [], max_attempts: 1, timeout_ms: 300000, deadline_ms: 300000 };
+    let data = {};
+    try {
+        data = JSON.parse(bodyText) || {};
+    } catch (e) {}
+    const useGateway = !!(config.ai_gateway_id && env.ACCOUNT_ID);
+    // A unified route's first target follows ai_unified.server_keys, the chain ai_failover's
+    const serverKeys = aiServerKeysAllowed(request, config.ai_failover);
+    const routeServerKeys = aiServerKeysAllowed(request, config.ai_unified);
+    const started = Date.now();
+
+    const first = route && route.provider !== provider
+        ? { provider: route.provider, model: route.model, kind: route.kind }
+        : { provider, model: data.model, primary: true };
+    const targets = [{ ...first, first: true, retries: settings.retries }];
+    // Nothing to translate without messages — the first target gets its retries only
+    for (const entry of Array.isArray(data.messages) ? settings.chain || [] : []) {
+        const target = aiFailoverTarget(entry, data.model);
+        // Entries without a mapping for this model, or identical to the first target, are skipped
+        if (!AI_FAILOVER_PROVIDERS.includes(target.provider) || !target.model) continue;
+        if (target.provider === first.provider && target.model === first.model) continue;
+        // A unified model name ("anthropic/…") kept as-is is no OpenAI model
+        if (!first.primary && target.provider === "openai" && target.model === data.model) continue;
+        targets.push(target);
+    }
+
+    let attempts = 0;
+    let lastFailure = null;
+    for (const target of targets) {
+        const retries = target.retries ?? settings.retries;
+        for (let tryNo = 0; tryNo <= retries; tryNo++) {
+            const remainingMs = settings.deadline_ms - (Date.now() - started);
+            if (attempts >= settings.max_attempts || remainingMs <= 0) {
+                return { ...(await aiFailoverResult(lastFailure, attempts)), error: lastFailure?.error || "retry budget exhausted" };
+            }
+            if (tryNo > 0) await sleep(originBackoffMs({ backoffMs: settings.backoff_ms }, tryNo - 1));
+
+            const timeoutMs = Math.min(settings.timeout_ms, remainingMs);
+            let response;
+            try {
+                if (target.primary) {
+                    response = await fetchWithHeaderTimeout(buildPrimary(), timeoutMs);
+                } else {
+                    const call = await callAIFallback(target, data, request, env, config, provider, useGateway, timeoutMs, target.first ? routeServerKeys : serverKeys);
+                    if (!call) {
+                        // Not callable (no key / binding) — next target, no attempt spent
+                        lastFailure ??= { target, response: null, error: `${target.provider} not configured` };
+                        break;
+                    }
+                    response = call;
+                }
+                attempts++;
+            } catch (e) {
+                attempts++;
+                console.warn(`[AI Failover] ${target.provider}:${target.model} failed: ${e.message}`);
+                if (lastFailure?.response) lastFailure.response.body?.cancel();
+                lastFailure = { target, response: null, error: e.message };
+                continue;
+            }
+
+            if (!settings.statuses.includes(response.status)) {
+                // The earlier failure is no longer the answer — release its connection
+                if (lastFailure?.response) lastFailure.response.body?.cancel();
+                return { response: await aiFailoverResponse(response, target, data), target: target.first ? null : target, attempts };
+            }
+            console.warn(`[AI Failover] ${target.provider}:${target.model} → HTTP ${response.status} (attempt ${attempts})`);
+            if (lastFailure?.response) lastFailure.response.body?.cancel();
+            lastFailure = { target, response, error: `HTTP ${response.status}` };
+            if (response.status === 429) break; // rate limited — retrying the same target won't help
+        }
+    }
+    return { ...(await aiFailoverResult(lastFailure, attempts)), error: lastFailure?.error || "no failover target available" };
+}
+
+async function aiFailoverResult(lastFailure, attempts) {
+    const response = lastFailure?.response ? await aiFailoverResponse(lastFailure.response, lastFailure.target, null) : null;
+    return { response, target: null, attempts };
+}
+
+/**
+ * Call one fallback target. Returns the provider Response (native format),
+ * or null when the target can't be called from here. `serverKeys` says
+ * whether the operator's keys (secrets, gateway, AI binding) may be used.
+ */
+async function callAIFallback(target, data, request, env, config, provider, useGateway, timeoutMs, serverKeys) {
+    // Image downloads for Gemini come out of this attempt's timeout
+    const deadline = Date.now() + timeoutMs;
+    const translated = target.kind === "embeddings"
+        ? translateOpenAIEmbeddingsRequest(data, target.provider, target.model)
+        : await translateOpenAIRequest(data, target.provider, target.model, deadline);
+    const remainingMs = Math.max(deadline - Date.now(), 1);
+
+    if (target.provider === "workers-ai") {
+        if (!env.AI || !serverKeys) {
+            console.warn(`[AI Failover] workers-ai entry skipped — ${env.AI ? "caller not authenticated" : "AI binding not bound"}`);
+            return null;
+        }
+        const options = useGateway ? { gateway: { id: config.ai_gateway_id } } : {};
+        const result = await withTimeout(env.AI.run(target.model, translated.body, options), remainingMs);
+        return data.stream
+            ? new Response(result, { headers: { "content-type": "text/event-stream" } })
+            : new Response(JSON.stringify(result), { headers: { "content-type": "application/json" } });
+    }
+
+    const headers = buildAIHeaders(request, config, target.provider);
+    const ownProvider = target.provider === provider;
+    const secretName = target.key_secret || AI_FAILOVER_KEY_SECRETS[target.provider];
+    const key = (serverKeys && env[secretName]) || (ownProvider ? null : aiCallerKey(request, target.provider, target.first));
+    if (key || !ownProvider) AI_CREDENTIAL_HEADERS.forEach((h) => headers.delete(h));
+    if (key) {
+        if (target.provider === "anthropic") headers.set("x-api-key", key);
+        else if (target.provider === "google-ai-studio") headers.set("x-goog-api-key", key);
+        else headers.set("authorization", `Bearer ${key}`);
+    } else if (!ownProvider && !(useGateway && serverKeys)) {
+        // Keys stored in AI Gateway are the operator's too
+        console.warn(`[AI Failover] ${target.provider} entry skipped — ${serverKeys ? `${secretName} not set` : "caller not authenticated and sent no key"}`);
+        return null;
+    }
+    if (target.provider === "anthropic") headers.set("anthropic-version", ANTHROPIC_API_VERSION);
+    headers.set("content-type", "application/json");
+
+    const origin = useGateway
+        ? `https://gateway.ai.cloudflare.com/v1/${env.ACCOUNT_ID}/${config.ai_gateway_id}/${target.provider}`
+        : aiProviderOrigin(target.provider, request, env);
+    return fetchWithHeaderTimeout(new Request(origin + translated.path, {
+        method: "POST",
+        headers,
+        body: JSON.stringify(translated.body),
+    }), remainingMs);
+}
+
+/**
+ * Translate a target's answer into OpenAI format. Primary answers are
+ * returned untouched; `data` is null for failures (errors only).
+ */
+async function aiFailoverResponse(response, target, data) {
+    if (target.primary || target.provider === "openai") return response;
+    const headers = { "content-type": "application/json" };
+
+    if (!response.ok) {
+        const error = translateToOpenAIError(await response.text(), response.status);
+        return new Response(JSON.stringify(error), { status: response.status, headers });
+    }
+    if (target.kind === "embeddings") {
+        const payload = translateToOpenAIEmbeddings(await response.json(), target.provider, target.model, data?.encoding_format);
+        return new Response(JSON.stringify(payload), { status: 200, headers });
+    }
+    if (data?.stream && response.body) {
+        const includeUsage = data.stream_options?.include_usage === true;
+        return new Response(translateToOpenAIStream(response.body, target.provider, target.model, includeUsage), {
+            status: 200,
+            headers: { "content-type": "text/event-stream" },
+        });
+    }
+    const payload = translateToOpenAIResponse(await response.json(), target.provider, target.model);
+    return new Response(JSON.stringify(payload), { status: 200, headers });
+}
+
+// Timeout covers time-to-headers only — the timer is cleared once the
+// response arrives, so long generations and streams are never cut off
+async function fetchWithHeaderTimeout(request, timeoutMs) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+        return await fetch(request, { signal: controller.signal });
+    } catch (e) {
+        throw controller.signal.aborted ? new Error(`timeout after ${timeoutMs}ms`) : e;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+function withTimeout(promise, timeoutMs) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`timeout after ${timeoutMs}ms`)), timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
@@ -6,10 +6,16 @@
 //
 // Flow (semantic cache enabled):
 //   1. Validate request
-//   2. Extract prompt → embed via Workers AI or OpenAI
-//   3. Search Vectorize for semantic match (cosine >= threshold)
+//   2. Fingerprint request (ai_cache_scope.js) — hot / n>1 requests bypass
+//   3. Embed recent turns via Workers AI, search Vectorize for a match with
+//      the same fingerprint (cosine >= threshold)
 //   4. HIT  → return cached response (0 tokens!)
-//   5. MISS → route through CF AI Gateway → cache response async
+//   5. MISS → token / spend budget check (ai_budgets.js)
+//   6. route through CF AI Gateway → cache response + charge usage async;
+//      failover chain on 429 / 5xx / timeout (ai_failover.js)
+//
+// Unified endpoint (ai_unified.js): /v1/chat/completions and /v1/embeddings
+// are routed by model prefix before step 2, /v1/models answered from config.
 //
 // Flow (semantic cache disabled / non-AI path):
 //   Falls back to CF AI Gateway exact-match + standard routing
@@ -43,6 +49,21 @@ async function handleAIGateway(request, env, config, ctx, url) {
     const validationError = validateAIRequest(request, config);
     if (validationError) return validationError;
 
+    // ── UNIFIED ENDPOINT (ai_unified.js) ───────────────────
+    // Model prefix picks the provider; route.body replaces the request body
+    let route = null;
+    if (aiUnifiedApplies(config, request, path)) {
+        if (path.endsWith("/models")) {
+            const list = request.method === "GET" ? aiUnifiedModelList(config) : null;
+            if (list) return list;
+        } else if (request.method === "POST") {
+            const unified = aiUnifiedRoute(await request.clone().text(), path, config, request);
+            if (unified.response) return unified.response;
+            route = unified.route;
+            console.log(`[AI Unified] ${route.kind} ${route.model} → ${route.provider}`);
+        }
+    }
+
     // 2. Clone request early (body can only be read once)
     const clonedRequest = request.clone();
 
@@ -55,14 +76,19 @@ async function handleAIGateway(request, env, config, ctx, url) {
 
     // embedding is computed once on MISS and reused for the store step — avoids double Workers AI call
     let missEmbedding = null;
+    // fingerprint + embedded text (ai_cache_scope.js); null → nothing is stored
+    let cacheScope = null;
 
     if (semanticEnabled && request.method === "POST") {
         try {
-            const pipelineResult = await semanticCachePipeline(
-                clonedRequest.clone(), env, config, provider, startTime
-            );
-            if (pipelineResult.response) return pipelineResult.response; // Cache HIT
-            missEmbedding = pipelineResult.embedding; // reuse on store
+            cacheScope = await semanticCacheScope(request, route?.body ?? await clonedRequest.clone().text(), provider, url, config);
+            if (cacheScope.bypass) {
+                console.log(`[Semantic Cache] Bypass (${cacheScope.bypass}): ${path}`);
+            } else {
+                const pipelineResult = await semanticCachePipeline(cacheScope, env, config, provider, startTime, url);
+                if (pipelineResult.response) return pipelineResult.response; // Cache HIT
+                missEmbedding = pipelineResult.embedding; // reuse on store
+            }
         } catch (err) {
             console.error("[Semantic Cache] Pipeline error:", err.message);
             // Fall through to standard AI Gateway routing
@@ -72,39 +98,98 @@ async function handleAIGateway(request, env, config, ctx, url) {
     // ── STANDARD AI ROUTING ────────────────────────────────
     // Route through CF AI Gateway if configured, else direct to provider
     const normalizedPath = normalizeProviderPath(provider, path);
-    const PROVIDER_ORIGINS = {
-        "openai":          "https://api.openai.com",
-        "anthropic":       "https://api.anthropic.com",
-        "google-ai-studio":"https://generativelanguage.googleapis.com",
-        "azure-openai":    `https://${request.headers.get("X-Azure-Resource") || "your-resource"}.openai.azure.com`,
-        "aws-bedrock":     "https://bedrock-runtime.us-east-1.amazonaws.com",
-        "workers-ai":      `https://api.cloudflare.com/client/v4/accounts/${env.ACCOUNT_ID}/ai/run`,
-    };
-    const directOrigin = PROVIDER_ORIGINS[provider] || `https://api.${provider}.com`;
+    const directOrigin = aiProviderOrigin(provider, request, env);
     const gatewayOrigin = `https://gateway.ai.cloudflare.com/v1/${env.ACCOUNT_ID}/${config.ai_gateway_id}/${provider}`;
     const routingOrigin = useGateway ? gatewayOrigin : directOrigin;
     const fullUrl = routingOrigin + normalizedPath + url.search;
     console.log(`[AI Shield] Routing via ${useGateway ? "CF Gateway" : "direct"}: ${provider} → ${fullUrl}`);
-    const headers = buildAIHeaders(request, env, provider);
+    const headers = buildAIHeaders(request, config, provider);
 
     const hasBody = ["POST", "PUT", "PATCH"].includes(request.method);
+
+    // ── TOKEN / SPEND BUDGETS (ai_budgets.js) ──────────────
+    // Checked after the semantic cache — cache hits cost nothing and are
+    // served even on an exhausted budget.
+    const budget = await checkAIBudget(request, env, config);
+    if (budget?.response) return budget.response;
+    const budgetRequest = budget && hasBody ? prepareAIBudgetRequest(route?.body ?? await clonedRequest.clone().text(), provider) : null;
+
+    // ── FAILOVER CHAIN (ai_failover.js) ────────────────────
+    // Needs the body as text: every attempt re-sends (or translates) it.
+    // Unified requests for another provider take the same translated path.
+    const failover = aiFailoverApplies(config, provider, path, request.method);
+    const routed = !!route && route.provider !== provider;
+    const requestBody = budgetRequest?.body ?? route?.body ?? (failover ? await clonedRequest.clone().text() : clonedRequest.body);
+
     const newRequest = new Request(fullUrl, {
         method: request.method,
         headers: headers,
-        body: hasBody ? clonedRequest.body : null,
+        body: hasBody ? requestBody : null,
+    });
+
+    // Charge the provider-reported usage (request model as the pricing fallback)
+    const chargeUsage = (usage) => recordAIUsage(env, config, budget, usage && {
+        ...usage,
+        model: usage.model || budgetRequest?.model,
     });
 
     try {
-        const response = await fetch(newRequest);
+        let response;
+        let fallback = null;
+        const aiHeaders = { ...budget?.headers };
+        if (cacheScope?.bypass) aiHeaders["X-Shield-AI-Cache-Bypass"] = cacheScope.bypass;
+        if (route) aiHeaders["X-Shield-AI-Provider"] = route.provider;
+
+        if (failover || routed) {
+            const result = await fetchAIWithFailover(() => newRequest.clone(), requestBody, request, env, config, provider, route);
+            if (failover) aiHeaders["X-Shield-AI-Attempts"] = String(result.attempts);
+            if (!result.response) {
+                const errorResponse = handleAIError(new Error(result.error), route?.provider ?? provider, config);
+                if (failover) errorResponse.headers.set("X-Shield-AI-Attempts", String(result.attempts));
+                return errorResponse;
+            }
+            response = result.response;
+            fallback = result.target;
+            if (fallback) aiHeaders["X-Shield-AI-Fallback"] = fallback.provider;
+        } else {
+            response = await fetch(newRequest);
+        }
         const latency = Date.now() - startTime;
+        // A fallback answer comes from another model than the fingerprint names
+        const cacheable = !!cacheScope && !cacheScope.bypass && !fallback;
 
         // Streaming responses
         const contentType = response.headers.get("content-type") || "";
         if (contentType.includes("text/event-stream") || contentType.includes("stream")) {
-            return createStreamingResponse(response, provider, config);
+            let body = response.body;
+            if (budget && body) {
+                const metered = meterAIStream(body);
+                body = metered.body;
+                ctx.waitUntil(metered.usage.then(chargeUsage));
+            }
+            // Reassemble the stream into a cacheable record (ai_stream.js) — same
+            // store path as a JSON response, so either request kind can HIT it
+            const collected = cacheable && response.ok && body
+                ? collectAIStream(body, provider)
+                : null;
+            if (collected) {
+                body = collected.body;
+                ctx.waitUntil(collected.record
+                    .then((record) => record && semanticCacheStore(cacheScope, new Response(record), env, config, missEmbedding, provider))
+                    .catch((err) => console.error("[Semantic Cache] Stream store error:", err.message)));
+            }
+            return createStreamingResponse(new Response(body, response), provider, config, aiHeaders);
         }
 
         const finalResponse = createAIResponse(response, provider, config, env, latency);
+        Object.entries(aiHeaders).forEach(([name, value]) => finalResponse.headers.set(name, value));
+        if (budget) {
+            if (response.ok) {
+                ctx.waitUntil(finalResponse.clone().json()
+                    .then((payload) => chargeUsage(extractAIUsage(payload)))
+                    .catch((err) => console.error("[AI Budget] Usage parse error:", err.message)));
+            }
+        }
 
         // ── ASYNC: Store in semantic cache on MISS ─────────
         // CRITICAL: clone finalResponse, NOT the original response.
@@ -112,9 +197,9 @@ async function handleAIGateway(request, env, config, ctx, url) {
         // and locks the original stream. Calling response.clone() after that throws:
         //   TypeError: Cannot clone a response that has already been used
         // finalResponse is a fresh Response object with an unlocked body — safe to clone.
-        if (semanticEnabled && response.ok && request.method === "POST") {
+        if (cacheable && response.ok) {
             ctx.waitUntil(
-                semanticCacheStore(request.clone(), finalResponse.clone(), env, config, missEmbedding)
+                semanticCacheStore(cacheScope, finalResponse.clone(), env, config, missEmbedding, provider)
                     .catch((err) => console.error("[Semantic Cache] Store error:", err.message))
             );
         }
@@ -124,7 +209,7 @@ async function handleAIGateway(request, env, config, ctx, url) {
             logAIAnalytics(env, {
                 timestamp: new Date().toISOString(),
                 provider,
-                client_id: env.CLIENT_ID,
+                client_id: config.client_id,
                 status: response.status,
                 latency_ms: latency,
                 cache_status: "MISS",
@@ -134,7 +219,7 @@ async function handleAIGateway(request, env, config, ctx, url) {
 
         return finalResponse;
     } catch (e) {
-        return handleAIError(e, provider, env);
+        return handleAIError(e, provider, config);
     }
 }
 
@@ -146,6 +231,12 @@ async function handleAIGateway(request, env, config, ctx, url) {
 //   KV stores heavy payloads (full AI responses, no size limit)
 //   Vector ID is the key linking both stores
 //
+// Tenancy: vectors live in a Vectorize namespace per client_id and
+// KV payloads are prefixed SC_{client_id}_ — one index can serve
+// many tenants without one customer's answers leaking to another.
+// Within a tenant, entries are partitioned by the request fingerprint
+// (model, system prompt, tools, parameters, API key — ai_cache_scope.js).
+//
 // Why not store response in Vectorize metadata?
 //   Cloudflare Vectorize has a 10KB metadata limit per vector.
 //   AI responses routinely exceed this. Storing in KV is safe.
@@ -155,46 +246,60 @@ async function handleAIGateway(request, env, config, ctx, url) {
  * Attempt semantic cache lookup.
  * Returns { response: Response, embedding: null } on HIT (embedding not needed).
  * Returns { response: null, embedding: Float32Array } on MISS (embedding reused by store).
+ * A streaming request HITs with a synthetic stream replayed from the record (ai_stream.js).
+ * Only vectors stored under the same fingerprint (scope.fingerprint) can HIT.
  */
-async function semanticCachePipeline(request, env, config, provider, startTime) {
-    const body = await request.text();
-    const promptText = extractPromptForEmbedding(body);
+async function semanticCachePipeline(scope, env, config, provider, startTime, url) {
+    const body = scope.body;
+    const promptText = scope.prompt;
     if (!promptText || promptText.length < 10) return { response: null, embedding: null };
 
     const threshold = config.semantic_cache_threshold || 0.92;
 
     // 1. Generate embedding once — returned on MISS so caller can reuse for store
-    const safePrompt = promptText.substring(0, 2000);
+    const safePrompt = semanticEmbeddingText(promptText);
     const embedding = await generateEmbedding(safePrompt, env, config);
 
-    // 2. Search Vectorize for similar cached prompts
+    // 2. Search Vectorize for similar cached prompts with the same fingerprint
     const results = await env.SEMANTIC_DB.query(embedding, {
         topK: 1,
         returnMetadata: "all",
+        namespace: config.client_id,
+        filter: { fingerprint: scope.fingerprint },
     });
 
     if (results.matches && results.matches.length > 0) {
         const best = results.matches[0];
-        if (best.score >= threshold) {
+        // Metadata re-checked: a missing metadata index must not turn the filter into a no-op
+        if (best.score >= threshold && best.metadata?.fingerprint === scope.fingerprint) {
 
             // 3. CACHE HIT: Fetch the actual payload from KV using the Vector ID
-            const cachedResponseText = await env.CLOUDEDGING_CACHE.get(best.id);
+            const cachedResponseText = await env.CLOUDEDGING_CACHE.get(semanticPayloadKey(config, best.id));
 
-            if (cachedResponseText) {
+            const hitHeaders = {
+                "Content-Type": "application/json",
+                "X-Shield-Status": "HIT",
+                "X-Shield-AI-Provider": provider,
+                "X-Shield-AI-Cache": "SEMANTIC-HIT",
+                "X-Shield-AI-Cache-Score": best.score.toFixed(4),
+                "X-Shield-AI-Cache-Model": best.metadata?.model || "unknown",
+                "X-Shield-AI-Cache-Scope": scope.fingerprint,
+                "X-Shield-AI-Latency": String(Date.now() - startTime),
+                "X-Shield-Version": "3.1.0",
+            };
+
+            if (cachedResponseText && isStreamingAIRequest(body, provider, url)) {
+                let includeUsage = false;
+                try {
+                    includeUsage = JSON.parse(body).stream_options?.include_usage === true;
+                } catch {}
+                const replay = replayAIStream(cachedResponseText, provider, url, includeUsage, hitHeaders);
+                if (replay) return { response: replay, embedding: null };
+                // Record in another provider's format — fall through to the provider
+                console.warn(`[Semantic Cache] Cannot replay ${best.id} as a ${provider} stream — treating as MISS`);
+            } else if (cachedResponseText) {
                 return {
-                    response: new Response(cachedResponseText, {
-                        status: 200,
-                        headers: {
-                            "Content-Type": "application/json",
-                            "X-Shield-Status": "HIT",
-                            "X-Shield-AI-Provider": provider,
-                            "X-Shield-AI-Cache": "SEMANTIC-HIT",
-                            "X-Shield-AI-Cache-Score": best.score.toFixed(4),
-                            "X-Shield-AI-Cache-Model": best.metadata?.model || "unknown",
-                            "X-Shield-AI-Latency": String(Date.now() - startTime),
-                            "X-Shield-Version": "3.1.0",
-                        },
-                    }),
+                    response: new Response(cachedResponseText, { status: 200, headers: hitHeaders }),
                     embedding: null, // HIT — no need to store
                 };
             } else {
@@ -216,20 +321,20 @@ async function semanticCachePipeline(request, env, config, provider, startTime)
  * Rationale: a Vectorize-only orphan → harmless MISS on next lookup.
  *            a KV-only orphan → unreachable storage waste, never cleaned up.
  *
- * @param {Request} request - Cloned original request
+ * @param {object} scope - semanticCacheScope() result (embedded text + fingerprint)
  * @param {Response} response - Cloned provider response
  * @param {object} env - Worker env bindings
  * @param {object} config - Shield brain config
  * @param {Array|null} precomputedEmbedding - Reused from pipeline step (avoids second Workers AI call)
+ * @param {string} provider - Detected provider; Gemini streamed JSON arrays are stored as one response
  */
-async function semanticCacheStore(request, response, env, config, precomputedEmbedding = null) {
+async function semanticCacheStore(scope, response, env, config, precomputedEmbedding = null, provider = "unknown") {
     if (!env.CLOUDEDGING_CACHE) return; // KV required for payload storage
 
-    const body = await request.text();
-    const promptText = extractPromptForEmbedding(body);
+    const promptText = scope.prompt;
     if (!promptText || promptText.length < 10) return;
 
-    const responseText = await response.text();
+    const responseText = normalizeAIRecord(await response.text(), provider);
     if (!responseText) return;
 
     // Guard: CF KV hard limit is 25MB. Skip oversized responses rather than throw.
@@ -239,10 +344,13 @@ async function semanticCacheStore(request, response, env, config, precomputedEmb
         return;
     }
 
-    const safePrompt = promptText.substring(0, 2000);
+    const safePrompt = semanticEmbeddingText(promptText);
     // Reuse embedding from pipeline step — avoids a second Workers AI / OpenAI call on every MISS
     const embedding = precomputedEmbedding || await generateEmbedding(safePrompt, env, config);
-    const hash = await semanticHashString(safePrompt);
+    // Hash includes tenant and fingerprint: vector IDs are unique across the whole
+    // index, so the same prompt under another tenant, model or system prompt
+    // must not overwrite this entry.
+    const hash = await semanticHashString(`${config.client_id}\n${scope.fingerprint}\n${safePrompt}`);
     // ID is the prompt hash only — no Date.now() suffix.
     // Vectorize upsert overwrites identical hashes, preventing vector sprawl where
     // 10,000 requests for the same prompt create 10,000 duplicate vectors.
@@ -262,8 +370,10 @@ async function semanticCacheStore(request, response, env, config, precomputedEmb
         {
             id: id,
             values: embedding,
+            namespace: config.client_id,
             metadata: {
                 model,
+                fingerprint: scope.fingerprint,
                 cached_at: new Date().toISOString(),
                 prompt_hash: hash,
             },
@@ -271,7 +381,22 @@ async function semanticCacheStore(request, response, env, config, precomputedEmb
     ]);
 
     // 2. Write payload to KV — only reached if Vectorize write succeeded
-    await env.CLOUDEDGING_CACHE.put(id, responseText, { expirationTtl: ttl });
+    await env.CLOUDEDGING_CACHE.put(semanticPayloadKey(config, id), responseText, { expirationTtl: ttl });
+}
+
+/**
+ * Text sent to the embedding model, capped at ~512 tokens. Keeps the end —
+ * the newest turn is the one being answered.
+ */
+function semanticEmbeddingText(promptText) {
+    return promptText.length > 2000 ? promptText.slice(-2000) : promptText;
+}
+
+/**
+ * KV key for a semantic cache payload — tenant-prefixed vector ID.
+ */
+function semanticPayloadKey(config, vectorId) {
+    return `SC_${config.client_id || "default"}_${vectorId}`;
 }
 
 /**
@@ -293,44 +418,34 @@ async function generateEmbedding(text, env, config) {
 }
 
 /**
- * Extract user prompt text from AI API request body.
+ * Extract the conversation text to embed from an AI API request body.
  * Handles OpenAI, Anthropic, Google Gemini, legacy formats.
+ *
+ * Chat requests embed the last `turns` messages (user, assistant, tool),
+ * so a follow-up like "and in Python?" is matched together with what it
+ * follows. A single message is embedded as-is; several are role-labelled.
+ * System prompts are not embedded — they are part of the cache fingerprint.
  */
-function extractPromptForEmbedding(body) {
+function extractPromptForEmbedding(body, turns = SEMANTIC_TURNS_DEFAULT) {
     try {
         const data = JSON.parse(body);
 
-        // OpenAI / Anthropic messages format
-        if (data.messages && Array.isArray(data.messages)) {
-            return data.messages
-                .filter((m) => m.role === "user")
-                .map((m) => {
-                    if (typeof m.content === "string") return m.content;
-                    if (Array.isArray(m.content))
-                        return m.content
-                            .filter((p) => p.type === "text")
-                            .map((p) => p.text)
-                            .join("\n");
-                    return JSON.stringify(m.content);
-                })
-                .join("\n");
+        // OpenAI / Anthropic messages, Google Gemini contents
+        const conversation = semanticConversation(data);
+        if (conversation) {
+            const recent = conversation
+                .slice(-turns)
+                .map((m) => ({ role: m.role, text: m.parts.map(semanticPartText).filter(Boolean).join("\n") }))
+                .filter((m) => m.text);
+            if (recent.length === 1) return recent[0].text;
+            return recent.map((m) => `${m.role}: ${m.text}`).join("\n");
         }
 
         // Legacy completions
         if (data.prompt) return typeof data.prompt === "string" ? data.prompt : JSON.stringify(data.prompt);
         // Embedding input
         if (data.input) return typeof data.input === "string" ? data.input : JSON.stringify(data.input);
-        // Google Gemini — extract text from contents[].parts[].text
-        if (data.contents) {
-            if (Array.isArray(data.contents)) {
-                return data.contents
-                    .flatMap(c => Array.isArray(c.parts) ? c.parts : [])
-                    .filter(p => p.text)
-                    .map(p => p.text)
-                    .join("\n") || JSON.stringify(data.contents);
-            }
-            return JSON.stringify(data.contents);
-        }
+        if (data.contents) return JSON.stringify(data.contents);
 
         return JSON.stringify(data);
     } catch {
@@ -394,6 +509,18 @@ function detectProviderFromPath(path) {
     return "unknown";
 }
 
+function aiProviderOrigin(provider, request, env) {
+    const PROVIDER_ORIGINS = {
+        "openai":          "https://api.openai.com",
+        "anthropic":       "https://api.anthropic.com",
+        "google-ai-studio":"https://generativelanguage.googleapis.com",
+        "azure-openai":    `https://${request.headers.get("X-Azure-Resource") || "your-resource"}.openai.azure.com`,
+        "aws-bedrock":     "https://bedrock-runtime.us-east-1.amazonaws.com",
+        "workers-ai":      `https://api.cloudflare.com/client/v4/accounts/${env.ACCOUNT_ID}/ai/run`,
+    };
+    return PROVIDER_ORIGINS[provider] || `https://api.${provider}.com`;
+}
+
 function normalizeProviderPath(provider, originalPath) {
     switch (provider) {
         case "anthropic":
@@ -414,7 +541,7 @@ function normalizeProviderPath(provider, originalPath) {
     }
 }
 
-function buildAIHeaders(request, env, provider) {
+function buildAIHeaders(request, config, provider) {
     const headers = new Headers();
     const allowed = [
         "authorization", "content-type", "accept", "user-agent",
@@ -427,14 +554,14 @@ function buildAIHeaders(request, env, provider) {
         const value = request.headers.get(key);
         if (value) headers.set(key, value);
     });
-    headers.set("x-shield-client", env.CLIENT_ID || "unknown");
+    headers.set("x-shield-client", config.client_id || "unknown");
     headers.set("x-shield-provider", provider);
     const clientIp = request.headers.get("cf-connecting-ip");
     if (clientIp) headers.set("x-forwarded-for", clientIp);
     return headers;
 }
 
-function createStreamingResponse(response, provider, config) {
+function createStreamingResponse(response, provider, config, extraHeaders = {}) {
     return new Response(response.body, {
         status: response.status,
         headers: {
@@ -444,6 +571,7 @@ function createStreamingResponse(response, provider, config) {
             "X-Shield-AI-Gateway": config.ai_gateway_id,
             "X-Shield-AI-Stream": "true",
             "X-Shield-Version": "3.1.0",
+            ...extraHeaders,
         },
     });
 }
@@ -459,8 +587,8 @@ function createAIResponse(response, provider, config, env, latency) {
     return newRes;
 }
 
-function handleAIError(error, provider, env) {
-    console.error("[AI Gateway Error]", { provider, error: error.message, client_id: env.CLIENT_ID });
+function handleAIError(error, provider, config) {
+    console.error("[AI Gateway Error]", { provider, error: error.message, client_id: config.client_id });
     const isRateLimit = error.message?.includes("429") || error.message?.includes("rate limit");
     return new Response(
         JSON.stringify({
@@ -0,0 +1,330 @@
+// ============================================================
+// AI STREAMS — SSE tap, reassembly and replay for the semantic cache
+// Used by handleAIGateway / semanticCachePipeline (ai_handler.js),
+// meterAIStream (ai_budgets.js) and the stream translators (ai_translate.js)
+//
+// A streamed provider response is passed to the client untouched while
+// its events are read on the side (tapSSEStream) and reassembled into
+// the provider's own non-streaming JSON (collectAIStream). The side is a
+// tee() branch read inside ctx.waitUntil, independent of the client: a
+// client that disconnects early still gets its usage metered.
+//   openai / azure-openai   chat.completion.chunk → chat.completion
+//   anthropic               message_start … message_stop → message
+//   google-ai-studio        GenerateContentResponse chunks → one response
+// That record is what semanticCacheStore keeps, so one cache entry serves
+// both kinds of request. On a HIT for a streaming request the record is
+// replayed as a synthetic stream in the same provider's event format
+// (replayAIStream); non-streaming requests get the JSON as before.
+//
+// Providers without a reassembler (Bedrock, Vertex, Workers AI) are
+// streamed through and not cached, exactly as before.
+// ============================================================
+
+const AI_STREAM_FORMATS = {
+    "openai": "openai",
+    "azure-openai": "openai",
+    "anthropic": "anthropic",
+    "google-ai-studio": "gemini",
+};
+const AI_STREAM_MAX_RECORD_BYTES = 24 * 1024 * 1024; // same ceiling as semanticCacheStore
+
+/**
+ * Pass `body` through unchanged, calling onEvent(eventName, data) for every
+ * SSE data line. Returns { body, done } — done always settles, with true
+ * when the provider stream ended cleanly and false when it errored. The
+ * events are read from a tee() branch, so a cancelled client body doesn't
+ * stop them; the caller must keep `done` alive with ctx.waitUntil.
+ */
+function tapSSEStream(body, onEvent) {
+    const [client, side] = body.tee();
+    const decoder = new TextDecoder();
+    const read = sseLineReader(onEvent);
+
+    const done = (async () => {
+        const reader = side.getReader();
+        try {
+            for (;;) {
+                const { value, done: end } = await reader.read();
+                if (end) break;
+                read(decoder.decode(value, { stream: true }));
+            }
+            read(decoder.decode() + "\n");
+            return true;
+        } catch (e) {
+            console.warn(`[AI Stream] Provider stream failed: ${e.message}`);
+            return false;
+        }
+    })();
+    return { body: client, done };
+}
+
+/**
+ * Rewrite an SSE stream event by event. onEvent(eventName, data) and
+ * onEnd() return the text to send in its place (strings, "" for nothing).
+ * Used to translate provider streams into OpenAI chunks (ai_translate.js).
+ */
+function mapSSEStream(body, onEvent, onEnd) {
+    const decoder = new TextDecoder();
+    const encoder = new TextEncoder();
+    let out = [];
+    const read = sseLineReader((event, data) => out.push(onEvent(event, data)));
+    const emit = (controller) => {
+        const text = out.join("");
+        out = [];
+        if (text) controller.enqueue(encoder.encode(text));
+    };
+
+    return body.pipeThrough(new TransformStream({
+        transform(chunk, controller) {
+            read(decoder.decode(chunk, { stream: true }));
+            emit(controller);
+        },
+        flush(controller) {
+            read(decoder.decode() + "\n");
+            out.push(onEnd());
+            emit(controller);
+        },
+    }));
+}
+
+// Line splitter shared by tapSSEStream / mapSSEStream — one call per data line.
+// Handler errors (a malformed event) are swallowed: the stream keeps flowing.
+function sseLineReader(onEvent) {
+    let buffer = "";
+    let eventName = null;
+    return (text) => {
+        buffer += text;
+        const lines = buffer.split("\n");
+        buffer = lines.pop();
+        for (const raw of lines) {
+            const line = raw.replace(/\r$/, "");
+            if (line === "") eventName = null;
+            else if (line.startsWith("event:")) eventName = line.slice(6).trim();
+            else if (line.startsWith("data:")) {
+                try {
+                    onEvent(eventName, line.slice(5).trim());
+                } catch (e) {}
+            }
+        }
+    };
+}
+
+function isStreamingAIRequest(bodyText, provider, url) {
+    if (AI_STREAM_FORMATS[provider] === "gemini") return url.pathname.includes(":streamGenerateContent");
+    try {
+        return JSON.parse(bodyText).stream === true;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Reassemble a streamed response into a cacheable record. Returns null for
+ * providers without a reassembler, else { body, record } — record resolves
+ * to the JSON text (null if the stream was empty, truncated or too large).
+ */
+function collectAIStream(body, provider) {
+    const format = AI_STREAM_FORMATS[provider];
+    if (!format) return null;
+
+    const assembler = AI_STREAM_ASSEMBLERS[format]();
+    let bytes = 0;
+    let overflow = false;
+    const tapped = tapSSEStream(body, (event, data) => {
+        if (overflow || !data || data === "[DONE]") return;
+        bytes += data.length;
+        if (bytes > AI_STREAM_MAX_RECORD_BYTES) {
+            overflow = true;
+            return;
+        }
+        assembler.add(JSON.parse(data));
+    });
+
+    const record = tapped.done.then((complete) => {
+        if (!complete || overflow) return null;
+        const result = assembler.result();
+        return result ? JSON.stringify(result) : null;
+    });
+    return { body: tapped.body, record };
+}
+
+const AI_STREAM_ASSEMBLERS = {
+    openai() {
+        let head = null;
+        let usage = null;
+        const choices = [];
+        return {
+            add(chunk) {
+                if (!head && chunk.id) head = { id: chunk.id, created: chunk.created, model: chunk.model, system_fingerprint: chunk.system_fingerprint };
+                if (chunk.usage) usage = chunk.usage;
+                for (const c of chunk.choices || []) {
+                    const choice = choices[c.index || 0] ||= { index: c.index || 0, message: { role: "assistant", content: "" }, finish_reason: null };
+                    const delta = c.delta || {};
+                    if (delta.role) choice.message.role = delta.role;
+                    if (typeof delta.content === "string") choice.message.content += delta.content;
+                    if (delta.refusal) choice.message.refusal = (choice.message.refusal || "") + delta.refusal;
+                    for (const t of delta.tool_calls || []) {
+                        const calls = choice.message.tool_calls ||= [];
+                        const call = calls[t.index || 0] ||= { id: "", type: "function", function: { name: "", arguments: "" } };
+                        if (t.id) call.id = t.id;
+                        if (t.function?.name) call.function.name += t.function.name;
+                        if (t.function?.arguments) call.function.arguments += t.function.arguments;
+                    }
+                    if (c.finish_reason) choice.finish_reason = c.finish_reason;
+                }
+            },
+            result() {
+                // No finish_reason → the upstream stream was cut short
+                if (!head || choices.length === 0 || choices.some((c) => !c || !c.finish_reason)) return null;
+                return { ...head, object: "chat.completion", choices, ...(usage ? { usage } : {}) };
+            },
+        };
+    },
+
+    anthropic() {
+        let message = null;
+        let stopped = false;
+        const partialJson = [];
+        return {
+            add(event) {
+                if (event.type === "message_start") {
+                    message = { ...event.message, content: [] };
+                } else if (!message) {
+                    return;
+                } else if (event.type === "content_block_start") {
+                    message.content[event.index] = { ...event.content_block };
+                    if (event.content_block.type === "tool_use") partialJson[event.index] = "";
+                } else if (event.type === "content_block_delta") {
+                    const block = message.content[event.index];
+                    const d = event.delta || {};
+                    if (!block) return;
+                    if (d.type === "text_delta") block.text = (block.text || "") + d.text;
+                    else if (d.type === "thinking_delta") block.thinking = (block.thinking || "") + d.thinking;
+                    else if (d.type === "signature_delta") block.signature = d.signature;
+                    else if (d.type === "input_json_delta") partialJson[event.index] += d.partial_json;
+                } else if (event.type === "content_block_stop") {
+                    const block = message.content[event.index];
+                    if (block?.type === "tool_use") block.input = partialJson[event.index] ? JSON.parse(partialJson[event.index]) : {};
+                } else if (event.type === "message_delta") {
+                    Object.assign(message, event.delta || {});
+                    if (event.usage) message.usage = { ...message.usage, ...event.usage };
+                } else if (event.type === "message_stop") {
+                    stopped = true;
+                }
+            },
+            result() {
+                return message && stopped ? message : null;
+            },
+        };
+    },
+
+    gemini() {
+        let last = null;
+        const candidates = [];
+        return {
+            add(chunk) {
+                last = chunk;
+                for (const c of chunk.candidates || []) {
+                    const index = c.index || 0;
+                    const candidate = candidates[index] ||= { index, content: { role: "model", parts: [] } };
+                    for (const part of c.content?.parts || []) {
+                        const prev = candidate.content.parts[candidate.content.parts.length - 1];
+                        // Consecutive text parts merge; function calls etc. are kept as they are
+                        if (typeof part.text === "string" && prev && typeof prev.text === "string" && !part.thought === !prev.thought) prev.text += part.text;
+                        else candidate.content.parts.push({ ...part });
+                    }
+                    if (c.finishReason) candidate.finishReason = c.finishReason;
+                    if (c.safetyRatings) candidate.safetyRatings = c.safetyRatings;
+                }
+            },
+            result() {
+                if (!last || candidates.length === 0 || candidates.some((c) => !c || !c.finishReason)) return null;
+                const { candidates: _, ...rest } = last;
+                return { ...rest, candidates };
+            },
+        };
+    },
+};
+
+/**
+ * Synthetic stream for a cached record, in the format the request's provider
+ * streams in. Returns null when the record doesn't fit that format — the
+ * caller then treats the HIT as a MISS.
+ */
+function replayAIStream(recordText, provider, url, includeUsage, headers) {
+    let record;
+    try {
+        record = JSON.parse(recordText);
+    } catch (e) {
+        return null;
+    }
+    const format = AI_STREAM_FORMATS[provider];
+    const sse = (events) => events.map(([event, data]) => `${event ? `event: ${event}\n` : ""}data: ${typeof data === "string" ? data : JSON.stringify(data)}\n\n`).join("");
+    const streamHeaders = { ...headers, "Content-Type": "text/event-stream", "Cache-Control": "no-cache", "X-Shield-AI-Stream": "true" };
+
+    if (format === "openai" && record.object === "chat.completion") {
+        const base = { id: record.id, object: "chat.completion.chunk", created: record.created, model: record.model };
+        const events = [];
+        for (const choice of record.choices || []) {
+            const msg = choice.message || {};
+            events.push([null, { ...base, choices: [{ index: choice.index, delta: { role: msg.role || "assistant", content: "" }, finish_reason: null }] }]);
+            if (msg.content) events.push([null, { ...base, choices: [{ index: choice.index, delta: { content: msg.content }, finish_reason: null }] }]);
+            if (msg.tool_calls) {
+                const toolCalls = msg.tool_calls.map((t, i) => ({ index: i, id: t.id, type: t.type, function: t.function }));
+                events.push([null, { ...base, choices: [{ index: choice.index, delta: { tool_calls: toolCalls }, finish_reason: null }] }]);
+            }
+            events.push([null, { ...base, choices: [{ index: choice.index, delta: {}, finish_reason: choice.finish_reason }] }]);
+        }
+        if (includeUsage && record.usage) events.push([null, { ...base, choices: [], usage: record.usage }]);
+        events.push([null, "[DONE]"]);
+        return new Response(sse(events), { status: 200, headers: streamHeaders });
+    }
+
+    if (format === "anthropic" && record.type === "message") {
+        const { content = [], stop_reason: stopReason, stop_sequence: stopSequence, usage = {}, ...message } = record;
+        const events = [["message_start", { type: "message_start", message: { ...message, content: [], stop_reason: null, stop_sequence: null, usage: { ...usage, output_tokens: 1 } } }]];
+        content.forEach((block, index) => {
+            if (block.type === "text") {
+                events.push(["content_block_start", { type: "content_block_start", index, content_block: { type: "text", text: "" } }]);
+                events.push(["content_block_delta", { type: "content_block_delta", index, delta: { type: "text_delta", text: block.text || "" } }]);
+            } else if (block.type === "tool_use") {
+                events.push(["content_block_start", { type: "content_block_start", index, content_block: { ...block, input: {} } }]);
+                events.push(["content_block_delta", { type: "content_block_delta", index, delta: { type: "input_json_delta", partial_json: JSON.stringify(block.input || {}) } }]);
+            } else if (block.type === "thinking") {
+                events.push(["content_block_start", { type: "content_block_start", index, content_block: { type: "thinking", thinking: "" } }]);
+                events.push(["content_block_delta", { type: "content_block_delta", index, delta: { type: "thinking_delta", thinking: block.thinking || "" } }]);
+                if (block.signature) events.push(["content_block_delta", { type: "content_block_delta", index, delta: { type: "signature_delta", signature: block.signature } }]);
+            } else {
+                events.push(["content_block_start", { type: "content_block_start", index, content_block: block }]);
+            }
+            events.push(["content_block_stop", { type: "content_block_stop", index }]);
+        });
+        events.push(["message_delta", { type: "message_delta", delta: { stop_reason: stopReason, stop_sequence: stopSequence ?? null }, usage: { output_tokens: usage.output_tokens || 0 } }]);
+        events.push(["message_stop", { type: "message_stop" }]);
+        return new Response(sse(events), { status: 200, headers: streamHeaders });
+    }
+
+    if (format === "gemini" && Array.isArray(record.candidates)) {
+        // streamGenerateContent without alt=sse streams a JSON array
+        if (url.searchParams.get("alt") !== "sse") {
+            return new Response(JSON.stringify([record]), { status: 200, headers: { ...headers, "Content-Type": "application/json", "X-Shield-AI-Stream": "true" } });
+        }
+        return new Response(sse([[null, record]]), { status: 200, headers: streamHeaders });
+    }
+
+    return null;
+}
+
+// Gemini's streamGenerateContent without alt=sse is a JSON array of chunks —
+// store it as the single response a generateContent call would have returned
+function normalizeAIRecord(responseText, provider) {
+    if (AI_STREAM_FORMATS[provider] !== "gemini" || !responseText.startsWith("[")) return responseText;
+    try {
+        const assembler = AI_STREAM_ASSEMBLERS.gemini();
+        JSON.parse(responseText).forEach((chunk) => assembler.add(chunk));
+        const result = assembler.result();
+        return result ? JSON.stringify(result) : null;
+    } catch (e) {
+        return null;
+    }
+}
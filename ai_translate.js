@@ -0,0 +1,524 @@
+// ============================================================
+// AI TRANSLATE — OpenAI Chat Completions ⇄ Anthropic / Gemini / Workers AI
+// Used by the failover chain (ai_failover.js) and the unified endpoint (ai_unified.js)
+//
+// An OpenAI chat request is rewritten for the target provider:
+//   anthropic          POST /v1/messages
+//   google-ai-studio   POST /v1beta/models/{model}:generateContent
+//                      (:streamGenerateContent?alt=sse for stream: true)
+//   workers-ai         env.AI.run(model, { messages, … })
+//   openai             same body, model replaced
+// and the answer — JSON or SSE stream — is translated back into
+// chat.completion / chat.completion.chunk, usage included, so a client
+// written against OpenAI keeps working whoever answered.
+//
+// Covered: system / developer prompts, text + image content (data: URLs
+// inline; http(s) URLs by reference for Anthropic, fetched and inlined for
+// Gemini), assistant tool calls and tool results, tools + tool_choice,
+// temperature / top_p / max_tokens / stop / seed / penalties, JSON
+// response_format, n (Gemini). Fields without a counterpart (logprobs,
+// logit_bias, audio, …) are dropped. Workers AI gets text only.
+//
+// Embeddings (string or string[] input) go to Gemini batchEmbedContents or
+// a Workers AI embedding model and come back as an OpenAI embeddings list;
+// dimensions → outputDimensionality, encoding_format "base64" honoured.
+// ============================================================
+
+const AI_FINISH_REASONS = {
+    anthropic: { end_turn: "stop", stop_sequence: "stop", pause_turn: "stop", max_tokens: "length", tool_use: "tool_calls", refusal: "content_filter" },
+    gemini: { STOP: "stop", MAX_TOKENS: "length", SAFETY: "content_filter", RECITATION: "content_filter", BLOCKLIST: "content_filter", PROHIBITED_CONTENT: "content_filter", SPII: "content_filter", IMAGE_SAFETY: "content_filter" },
+};
+const ANTHROPIC_API_VERSION = "2023-06-01";
+const ANTHROPIC_MAX_TOKENS_DEFAULT = 4096; // required by the Messages API, optional in OpenAI
+const AI_IMAGE_MAX_BYTES = 20 * 1024 * 1024;
+// JSON Schema keywords Gemini's function declarations reject
+const GEMINI_SCHEMA_UNSUPPORTED = ["$schema", "$id", "additionalProperties", "default", "examples", "strict"];
+
+/**
+ * Rewrite a parsed OpenAI chat request for `provider` / `model`.
+ * Returns { path, body } — path is null for workers-ai (binding call).
+ * Remote images fetched for Gemini must arrive before `deadline` (ms epoch).
+ */
+async function translateOpenAIRequest(data, provider, model, deadline) {
+    switch (provider) {
+        case "anthropic":
+            return { path: "/v1/messages", body: openAIToAnthropic(data, model) };
+        case "google-ai-studio":
+            return {
+                path: `/v1beta/models/${encodeURIComponent(model)}:${data.stream ? "streamGenerateContent?alt=sse" : "generateContent"}`,
+                body: await openAIToGemini(data, deadline),
+            };
+        case "workers-ai":
+            return { path: null, body: openAIToWorkersAI(data) };
+        default:
+            return { path: "/v1/chat/completions", body: { ...data, model } };
+    }
+}
+
+/**
+ * Rewrite a parsed OpenAI embeddings request for `provider` / `model`.
+ * Returns { path, body } like translateOpenAIRequest.
+ */
+function translateOpenAIEmbeddingsRequest(data, provider, model) {
+    const inputs = Array.isArray(data.input) ? data.input : [data.input];
+    switch (provider) {
+        case "google-ai-studio":
+            return {
+                path: `/v1beta/models/${encodeURIComponent(model)}:batchEmbedContents`,
+                body: {
+                    requests: inputs.map((text) => ({
+                        model: `models/${model}`,
+                        content: { parts: [{ text }] },
+                        ...(data.dimensions ? { outputDimensionality: data.dimensions } : {}),
+                    })),
+                },
+            };
+        case "workers-ai":
+            return { path: null, body: { text: inputs } };
+        default:
+            return { path: "/v1/embeddings", body: { ...data, model } };
+    }
+}
+
+// ── Requests ─────────────────────────────────────────────────
+
+// OpenAI content (string | parts) → [{ type: "text", text } | { type: "image", url } | { type: "image", mime, data }]
+function openAIContentParts(content) {
+    if (content === null || content === undefined) return [];
+    if (typeof content === "string") return content ? [{ type: "text", text: content }] : [];
+    return (Array.isArray(content) ? content : [content]).flatMap((part) => {
+        if (typeof part?.text === "string") return part.text ? [{ type: "text", text: part.text }] : [];
+        if (part?.type === "image_url") {
+            const url = typeof part.image_url === "string" ? part.image_url : part.image_url?.url;
+            const inline = /^data:([^;,]+);base64,(.*)$/s.exec(url || "");
+            if (inline) return [{ type: "image", mime: inline[1], data: inline[2] }];
+            return url ? [{ type: "image", url }] : [];
+        }
+        return [];
+    });
+}
+
+function openAIContentText(content) {
+    return openAIContentParts(content).filter((p) => p.type === "text").map((p) => p.text).join("\n");
+}
+
+function parseToolArguments(args) {
+    if (args && typeof args === "object") return args;
+    try {
+        const parsed = JSON.parse(args || "{}");
+        return parsed && typeof parsed === "object" ? parsed : {};
+    } catch (e) {
+        return {};
+    }
+}
+
+// Append a turn, merging into the previous one when the role repeats —
+// Anthropic and Gemini require alternating roles (e.g. several tool results)
+function pushTurn(turns, role, content) {
+    const last = turns[turns.length - 1];
+    if (last && last.role === role) last.content.push(...content);
+    else turns.push({ role, content });
+}
+
+function openAIToAnthropic(data, model) {
+    const system = [];
+    const messages = [];
+    for (const m of data.messages || []) {
+        if (m.role === "system" || m.role === "developer") {
+            system.push(openAIContentText(m.content));
+        } else if (m.role === "tool") {
+            pushTurn(messages, "user", [{ type: "tool_result", tool_use_id: m.tool_call_id, content: openAIContentText(m.content) }]);
+        } else {
+            const blocks = openAIContentParts(m.content).map((p) => (p.type === "text"
+                ? { type: "text", text: p.text }
+                : { type: "image", source: p.url ? { type: "url", url: p.url } : { type: "base64", media_type: p.mime, data: p.data } }));
+            for (const call of m.tool_calls || []) {
+                blocks.push({ type: "tool_use", id: call.id, name: call.function?.name, input: parseToolArguments(call.function?.arguments) });
+            }
+            if (blocks.length > 0) pushTurn(messages, m.role === "assistant" ? "assistant" : "user", blocks);
+        }
+    }
+
+    const body = { model, messages, max_tokens: data.max_completion_tokens ?? data.max_tokens ?? ANTHROPIC_MAX_TOKENS_DEFAULT };
+    if (system.length > 0) body.system = system.join("\n\n");
+    if (typeof data.temperature === "number") body.temperature = Math.min(data.temperature, 1); // Anthropic range is 0–1
+    if (typeof data.top_p === "number") body.top_p = data.top_p;
+    if (data.stop) body.stop_sequences = toList(data.stop);
+    if (data.stream) body.stream = true;
+    if (data.user) body.metadata = { user_id: String(data.user) };
+
+    const tools = (data.tools || []).filter((t) => t.type === "function" && t.function?.name);
+    if (tools.length > 0) {
+        body.tools = tools.map((t) => ({
+            name: t.function.name,
+            description: t.function.description,
+            input_schema: t.function.parameters || { type: "object", properties: {} },
+        }));
+        let choice = null;
+        if (data.tool_choice === "required") choice = { type: "any" };
+        else if (data.tool_choice === "none") choice = { type: "none" };
+        else if (data.tool_choice?.type === "function") choice = { type: "tool", name: data.tool_choice.function?.name };
+        else if (data.tool_choice === "auto" || data.parallel_tool_calls === false) choice = { type: "auto" };
+        if (choice && data.parallel_tool_calls === false && choice.type !== "none") choice.disable_parallel_tool_use = true;
+        if (choice) body.tool_choice = choice;
+    }
+    return body;
+}
+
+async function openAIToGemini(data, deadline) {
+    const system = [];
+    const contents = [];
+    const toolNames = {}; // tool_call_id → function name; Gemini matches results by name
+
+    for (const m of data.messages || []) {
+        if (m.role === "system" || m.role === "developer") {
+            system.push(openAIContentText(m.content));
+            continue;
+        }
+        if (m.role === "tool") {
+            let response = parseToolArguments(openAIContentText(m.content));
+            if (Object.keys(response).length === 0) response = { content: openAIContentText(m.content) };
+            pushTurn(contents, "user", [{ functionResponse: { name: toolNames[m.tool_call_id] || m.name || "tool", response } }]);
+            continue;
+        }
+        const parts = [];
+        for (const p of openAIContentParts(m.content)) {
+            if (p.type === "text") parts.push({ text: p.text });
+            else if (p.data) parts.push({ inlineData: { mimeType: p.mime, data: p.data } });
+            else parts.push({ inlineData: await fetchInlineImage(p.url, deadline) });
+        }
+        for (const call of m.tool_calls || []) {
+            toolNames[call.id] = call.function?.name;
+            parts.push({ functionCall: { name: call.function?.name, args: parseToolArguments(call.function?.arguments) } });
+        }
+        if (parts.length > 0) pushTurn(contents, m.role === "assistant" ? "model" : "user", parts);
+    }
+
+    const body = { contents: contents.map((c) => ({ role: c.role, parts: c.content })) };
+    if (system.length > 0) body.systemInstruction = { parts: [{ text: system.join("\n\n") }] };
+
+    const generation = {};
+    if (typeof data.temperature === "number") generation.temperature = data.temperature;
+    if (typeof data.top_p === "number") generation.topP = data.top_p;
+    const maxTokens = data.max_completion_tokens ?? data.max_tokens;
+    if (maxTokens !== undefined) generation.maxOutputTokens = maxTokens;
+    if (data.stop) generation.stopSequences = toList(data.stop);
+    if (data.n !== undefined) generation.candidateCount = data.n;
+    if (data.seed !== undefined) generation.seed = data.seed;
+    if (data.presence_penalty !== undefined) generation.presencePenalty = data.presence_penalty;
+    if (data.frequency_penalty !== undefined) generation.frequencyPenalty = data.frequency_penalty;
+    if (["json_object", "json_schema"].includes(data.response_format?.type)) generation.responseMimeType = "application/json";
+    if (Object.keys(generation).length > 0) body.generationConfig = generation;
+
+    const tools = (data.tools || []).filter((t) => t.type === "function" && t.function?.name);
+    if (tools.length > 0) {
+        body.tools = [{
+            functionDeclarations: tools.map((t) => ({
+                name: t.function.name,
+                description: t.function.description,
+                ...(t.function.parameters ? { parameters: geminiSchema(t.function.parameters) } : {}),
+            })),
+        }];
+        const mode = data.tool_choice === "required" || data.tool_choice?.type === "function" ? "ANY"
+            : data.tool_choice === "none" ? "NONE" : "AUTO";
+        body.toolConfig = {
+            functionCallingConfig: {
+                mode,
+                ...(data.tool_choice?.type === "function" ? { allowedFunctionNames: [data.tool_choice.function?.name] } : {}),
+            },
+        };
+    }
+    return body;
+}
+
+function geminiSchema(schema) {
+    if (Array.isArray(schema)) return schema.map(geminiSchema);
+    if (!schema || typeof schema !== "object") return schema;
+    return Object.fromEntries(Object.entries(schema)
+        .filter(([key]) => !GEMINI_SCHEMA_UNSUPPORTED.includes(key))
+        .map(([key, value]) => [key, key === "enum" || key === "required" ? value : geminiSchema(value)]));
+}
+
+// Gemini only reads uploaded files by URI — remote images are inlined.
+// The URL comes from the caller: https only, redirects not followed (they
+// could lead to plain http), never more than AI_IMAGE_MAX_BYTES read,
+// whatever Content-Length claims, and the whole download — headers and
+// body — aborted at the attempt's deadline.
+async function fetchInlineImage(url, deadline) {
+    if (new URL(url).protocol !== "https:") throw new Error(`image ${url}: only https URLs are fetched`);
+    const timeoutMs = deadline - Date.now();
+    if (!(timeoutMs > 0)) throw new Error(`image ${url}: no time left to fetch`);
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    let res;
+    const chunks = [];
+    let size = 0;
+    try {
+        res = await fetch(url, { redirect: "manual", signal: controller.signal });
+        const tooLarge = `image ${url} larger than ${AI_IMAGE_MAX_BYTES} bytes`;
+        if (!res.ok || !res.body || parseInt(res.headers.get("content-length") || "0") > AI_IMAGE_MAX_BYTES) {
+            res.body?.cancel().catch(() => {});
+            if (res.status >= 300 && res.status < 400) throw new Error(`image ${url}: redirects are not followed`);
+            throw new Error(res.ok ? tooLarge : `image ${url} → HTTP ${res.status}`);
+        }
+
+        const reader = res.body.getReader();
+        for (let next = await reader.read(); !next.done; next = await reader.read()) {
+            size += next.value.byteLength;
+            if (size > AI_IMAGE_MAX_BYTES) {
+                reader.cancel().catch(() => {});
+                throw new Error(tooLarge);
+            }
+            chunks.push(next.value);
+        }
+    } catch (e) {
+        throw controller.signal.aborted ? new Error(`image ${url}: timeout after ${timeoutMs}ms`) : e;
+    } finally {
+        clearTimeout(timer);
+    }
+    const bytes = new Uint8Array(size);
+    let offset = 0;
+    for (const chunk of chunks) {
+        bytes.set(chunk, offset);
+        offset += chunk.byteLength;
+    }
+    return { mimeType: (res.headers.get("content-type") || "image/jpeg").split(";")[0], data: bytesToBase64(bytes) };
+}
+
+function bytesToBase64(bytes) {
+    let binary = "";
+    for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    return btoa(binary);
+}
+
+function openAIToWorkersAI(data) {
+    const body = {
+        messages: (data.messages || []).map((m) => ({
+            role: m.role === "developer" ? "system" : m.role,
+            content: openAIContentText(m.content),
+            ...(m.tool_call_id ? { tool_call_id: m.tool_call_id } : {}),
+            ...(m.tool_calls ? { tool_calls: m.tool_calls } : {}),
+        })),
+    };
+    const maxTokens = data.max_completion_tokens ?? data.max_tokens;
+    if (maxTokens !== undefined) body.max_tokens = maxTokens;
+    for (const key of ["temperature", "top_p", "seed", "presence_penalty", "frequency_penalty", "tools", "response_format"]) {
+        if (data[key] !== undefined) body[key] = data[key];
+    }
+    if (data.stream) body.stream = true;
+    return body;
+}
+
+// ── Responses ────────────────────────────────────────────────
+
+function openAIUsage(input, output) {
+    if (input === undefined && output === undefined) return null;
+    return { prompt_tokens: input || 0, completion_tokens: output || 0, total_tokens: (input || 0) + (output || 0) };
+}
+
+function openAICompletion(id, model, choices, usage) {
+    return {
+        id: id || `chatcmpl-${crypto.randomUUID()}`,
+        object: "chat.completion",
+        created: Math.floor(Date.now() / 1000),
+        model,
+        choices,
+        ...(usage ? { usage } : {}),
+    };
+}
+
+function openAIMessage(text, toolCalls) {
+    return {
+        role: "assistant",
+        content: text || (toolCalls.length > 0 ? null : ""),
+        ...(toolCalls.length > 0 ? { tool_calls: toolCalls } : {}),
+    };
+}
+
+/**
+ * Provider-native JSON → chat.completion.
+ */
+function translateToOpenAIResponse(payload, provider, model) {
+    if (provider === "anthropic") {
+        const blocks = payload.content || [];
+        const text = blocks.filter((b) => b.type === "text").map((b) => b.text).join("");
+        const toolCalls = blocks.filter((b) => b.type === "tool_use")
+            .map((b) => ({ id: b.id, type: "function", function: { name: b.name, arguments: JSON.stringify(b.input ?? {}) } }));
+        return openAICompletion(payload.id, payload.model || model, [{
+            index: 0,
+            message: openAIMessage(text, toolCalls),
+            finish_reason: AI_FINISH_REASONS.anthropic[payload.stop_reason] || "stop",
+        }], payload.usage && openAIUsage(payload.usage.input_tokens, payload.usage.output_tokens));
+    }
+
+    if (provider === "google-ai-studio") {
+        const choices = (payload.candidates || []).map((c, i) => {
+            const parts = c.content?.parts || [];
+            const text = parts.filter((p) => typeof p.text === "string" && !p.thought).map((p) => p.text).join("");
+            const toolCalls = parts.filter((p) => p.functionCall).map((p, n) => ({
+                id: `call_${i}_${n}`, type: "function", function: { name: p.functionCall.name, arguments: JSON.stringify(p.functionCall.args ?? {}) },
+            }));
+            return {
+                index: c.index ?? i,
+                message: openAIMessage(text, toolCalls),
+                finish_reason: toolCalls.length > 0 ? "tool_calls" : AI_FINISH_REASONS.gemini[c.finishReason] || "stop",
+            };
+        });
+        // Prompt blocked before generation — no candidates at all
+        if (choices.length === 0) choices.push({ index: 0, message: openAIMessage("", []), finish_reason: "content_filter" });
+        const u = payload.usageMetadata;
+        return openAICompletion(payload.responseId, payload.modelVersion || model, choices, u && openAIUsage(u.promptTokenCount, u.candidatesTokenCount));
+    }
+
+    if (provider === "workers-ai") {
+        const result = payload?.result ?? payload;
+        if (Array.isArray(result.choices)) return { ...openAICompletion(result.id, model, result.choices, result.usage), ...result };
+        const toolCalls = (result.tool_calls || []).map((t, n) => {
+            const args = t.arguments ?? t.function?.arguments;
+            return { id: t.id || `call_${n}`, type: "function", function: { name: t.name ?? t.function?.name, arguments: typeof args === "string" ? args : JSON.stringify(args ?? {}) } };
+        });
+        const text = typeof result.response === "string" ? result.response : result.response == null ? "" : JSON.stringify(result.response);
+        return openAICompletion(null, model, [{
+            index: 0,
+            message: openAIMessage(text, toolCalls),
+            finish_reason: toolCalls.length > 0 ? "tool_calls" : "stop",
+        }], result.usage && openAIUsage(result.usage.prompt_tokens, result.usage.completion_tokens));
+    }
+
+    return payload;
+}
+
+/**
+ * Provider error body → OpenAI error shape, status kept.
+ */
+function translateToOpenAIError(text, status) {
+    let message = text;
+    let type = "upstream_error";
+    try {
+        const body = JSON.parse(text);
+        const error = Array.isArray(body) ? body[0]?.error : body.error;
+        message = error?.message || body.message || text;
+        type = error?.type || error?.status || type;
+    } catch (e) {}
+    return { error: { message, type, code: status } };
+}
+
+/**
+ * Provider-native embeddings JSON → OpenAI embeddings list. Neither
+ * Gemini nor Workers AI reports token counts, so usage is zero.
+ */
+function translateToOpenAIEmbeddings(payload, provider, model, encodingFormat) {
+    let vectors;
+    if (provider === "google-ai-studio") vectors = (payload.embeddings || []).map((e) => e.values || []);
+    else if (provider === "workers-ai") vectors = (payload?.result ?? payload).data || [];
+    else return payload;
+    return {
+        object: "list",
+        data: vectors.map((values, index) => ({
+            object: "embedding",
+            index,
+            // base64: little-endian float32 bytes, as OpenAI sends them
+            embedding: encodingFormat === "base64" ? bytesToBase64(new Uint8Array(Float32Array.from(values).buffer)) : values,
+        })),
+        model,
+        usage: { prompt_tokens: 0, total_tokens: 0 },
+    };
+}
+
+/**
+ * Provider-native SSE stream → chat.completion.chunk stream ending in
+ * [DONE]. A usage chunk (empty choices) is sent last when includeUsage.
+ */
+function translateToOpenAIStream(body, provider, model, includeUsage) {
+    const id = `chatcmpl-${crypto.randomUUID()}`;
+    const created = Math.floor(Date.now() / 1000);
+    let usage = null;
+    const started = new Set(); // choice indexes that have had their role chunk
+    const toolIndex = {};      // anthropic block index / gemini candidate → tool_calls counter
+
+    const chunk = (index, delta, finishReason = null) => {
+        const out = [];
+        if (!started.has(index)) {
+            started.add(index);
+            out.push({ id, object: "chat.completion.chunk", created, model, choices: [{ index, delta: { role: "assistant", content: "" }, finish_reason: null }] });
+        }
+        if (delta) out.push({ id, object: "chat.completion.chunk", created, model, choices: [{ index, delta, finish_reason: finishReason }] });
+        return out;
+    };
+    const sse = (chunks) => chunks.map((c) => `data: ${JSON.stringify(c)}\n\n`).join("");
+
+    const handlers = {
+        anthropic(event) {
+            if (event.type === "message_start") {
+                if (event.message?.model) model = event.message.model;
+                usage = openAIUsage(event.message?.usage?.input_tokens, 0);
+                return chunk(0, null);
+            }
+            if (event.type === "content_block_start" && event.content_block?.type === "tool_use") {
+                toolIndex[event.index] = Object.keys(toolIndex).length;
+                const block = event.content_block;
+                return chunk(0, { tool_calls: [{ index: toolIndex[event.index], id: block.id, type: "function", function: { name: block.name, arguments: "" } }] });
+            }
+            if (event.type === "content_block_delta") {
+                const d = event.delta || {};
+                if (d.type === "text_delta") return chunk(0, { content: d.text });
+                if (d.type === "input_json_delta") return chunk(0, { tool_calls: [{ index: toolIndex[event.index], function: { arguments: d.partial_json } }] });
+                return [];
+            }
+            if (event.type === "message_delta") {
+                if (event.usage) usage = openAIUsage(usage?.prompt_tokens, event.usage.output_tokens);
+                return chunk(0, {}, AI_FINISH_REASONS.anthropic[event.delta?.stop_reason] || "stop");
+            }
+            if (event.type === "error") return [{ error: { message: event.error?.message, type: event.error?.type } }];
+            return [];
+        },
+        "google-ai-studio"(event) {
+            if (event.modelVersion) model = event.modelVersion;
+            const u = event.usageMetadata;
+            if (u) usage = openAIUsage(u.promptTokenCount, u.candidatesTokenCount);
+            return (event.candidates || []).flatMap((c, i) => {
+                const index = c.index ?? i;
+                const out = chunk(index, null);
+                for (const part of c.content?.parts || []) {
+                    if (typeof part.text === "string" && !part.thought) out.push(...chunk(index, { content: part.text }));
+                    if (part.functionCall) {
+                        toolIndex[index] = (toolIndex[index] ?? -1) + 1;
+                        out.push(...chunk(index, { tool_calls: [{
+                            index: toolIndex[index], id: `call_${index}_${toolIndex[index]}`, type: "function",
+                            function: { name: part.functionCall.name, arguments: JSON.stringify(part.functionCall.args ?? {}) },
+                        }] }));
+                    }
+                }
+                if (c.finishReason) {
+                    out.push(...chunk(index, {}, toolIndex[index] !== undefined ? "tool_calls" : AI_FINISH_REASONS.gemini[c.finishReason] || "stop"));
+                }
+                return out;
+            });
+        },
+        "workers-ai"(event) {
+            if (event.usage) usage = openAIUsage(event.usage.prompt_tokens, event.usage.completion_tokens);
+            const out = [];
+            if (typeof event.response === "string" && event.response) out.push(...chunk(0, { content: event.response }));
+            (event.tool_calls || []).forEach((t) => {
+                toolIndex[0] = (toolIndex[0] ?? -1) + 1;
+                const args = t.arguments ?? t.function?.arguments;
+                out.push(...chunk(0, { tool_calls: [{
+                    index: toolIndex[0], id: t.id || `call_${toolIndex[0]}`, type: "function",
+                    function: { name: t.name ?? t.function?.name, arguments: typeof args === "string" ? args : JSON.stringify(args ?? {}) },
+                }] }));
+            });
+            return out;
+        },
+    };
+
+    return mapSSEStream(body, (event, data) => {
+        if (!data || data === "[DONE]") return "";
+        return sse(handlers[provider](JSON.parse(data)));
+    }, () => {
+        // Workers AI has no finish event — the end of the stream is the finish
+        const tail = provider === "workers-ai" ? chunk(0, {}, toolIndex[0] !== undefined ? "tool_calls" : "stop") : [];
+        if (includeUsage && usage) tail.push({ id, object: "chat.completion.chunk", created, model, choices: [], usage });
+        return sse(tail) + "data: [DONE]\n\n";
+    });
+}
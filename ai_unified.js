@@ -0,0 +1,123 @@
+// ============================================================
+// AI UNIFIED ENDPOINT — one OpenAI-compatible API in front of every provider
+// Used by handleAIGateway when ai_unified.enabled is set
+//
+// ai_unified: {
+//   enabled: true,
+//   models: [                                  // GET /v1/models, in this order
+//     "gpt-4o",
+//     "anthropic/claude-3-5-sonnet-latest",
+//     "google/gemini-1.5-pro",
+//     "google/text-embedding-004",
+//     "@cf/meta/llama-3.1-8b-instruct"
+//   ],
+//   aliases: { "fast": "google/gemini-1.5-flash" },  // listed as well
+//   restrict_models: false,  // true: models and aliases not listed → 404
+//   server_keys: "authenticated"  // | "always" | "never"
+// }
+//
+// POST /v1/chat/completions and /v1/embeddings take OpenAI bodies and the
+// model picks the provider:
+//   anthropic/{model}         Anthropic Messages API (chat only)
+//   google/{model}            Gemini generateContent / batchEmbedContents
+//   @cf/{…}                   Workers AI, on the AI binding
+//   openai/{model}, no prefix OpenAI, body passed through
+// Messages, images, tool calls, stream deltas and usage are translated
+// both ways by ai_translate.js, so an OpenAI SDK pointed at the Worker
+// reaches every provider. The client's own credentials go to OpenAI.
+//
+// Other providers are paid with the failover chain's secrets (ai_failover.js)
+// and the AI binding only for callers allowed server_keys — by default
+// those whose JWT was verified on this request. Anyone else brings their
+// own key for the routed provider: the bearer token the OpenAI SDK sends,
+// or x-api-key / x-goog-api-key. Without one, or for a Workers AI model,
+// they get a 401 before anything is sent upstream.
+//
+// Semantic cache, budgets and failover apply as to any OpenAI request;
+// X-Shield-AI-Provider names the provider the model routed to. Without
+// configured models GET /v1/models is OpenAI's own list. An X-Provider
+// header opts a request out of the unified routing.
+// ============================================================
+
+const AI_UNIFIED_PREFIXES = { "anthropic/": "anthropic", "google/": "google-ai-studio", "openai/": "openai" };
+const AI_UNIFIED_PATH = /^(?:\/v1)?\/(?:chat\/completions|embeddings|models)$/;
+
+function aiUnifiedApplies(config, request, path) {
+    return !!config.ai_unified?.enabled && !request.headers.get("X-Provider") && AI_UNIFIED_PATH.test(path);
+}
+
+// Unified model name → { provider, model } — model as the provider knows it
+function aiUnifiedModel(name) {
+    if (name.startsWith("@cf/")) return { provider: "workers-ai", model: name };
+    const prefix = Object.keys(AI_UNIFIED_PREFIXES).find((p) => name.startsWith(p));
+    return prefix
+        ? { provider: AI_UNIFIED_PREFIXES[prefix], model: name.slice(prefix.length) }
+        : { provider: "openai", model: name };
+}
+
+/**
+ * GET /v1/models — configured models and aliases in OpenAI list format,
+ * or null when none are configured.
+ */
+function aiUnifiedModelList(config) {
+    const settings = config.ai_unified;
+    const aliases = settings.aliases || {};
+    const ids = [...new Set([...(settings.models || []), ...Object.keys(aliases)])];
+    if (ids.length === 0) return null;
+    const data = ids.map((id) => ({ id, object: "model", created: 0, owned_by: aiUnifiedModel(aliases[id] || id).provider }));
+    return new Response(JSON.stringify({ object: "list", data }), {
+        headers: { "Content-Type": "application/json", "X-Shield-Version": "3.1.0" },
+    });
+}
+
+/**
+ * Resolve a unified chat / embeddings request. Returns { route } with
+ * route = { provider, model, kind, body } — body is the request JSON with
+ * the alias resolved and, for OpenAI, the prefix stripped — or { response }
+ * for a request refused here — including a caller who may not use the
+ * operator's keys and brought none for the routed provider.
+ */
+function aiUnifiedRoute(bodyText, path, config, request) {
+    const settings = config.ai_unified;
+    const kind = path.endsWith("/embeddings") ? "embeddings" : "chat";
+    let data = null;
+    try {
+        data = JSON.parse(bodyText);
+    } catch (e) {}
+    if (!data || typeof data !== "object" || typeof data.model !== "string") {
+        return { response: aiUnifiedError(400, "model is required") };
+    }
+
+    const aliases = settings.aliases || {};
+    if (settings.restrict_models && !Object.hasOwn(aliases, data.model) && !(settings.models || []).includes(data.model)) {
+        return { response: aiUnifiedError(404, `The model '${data.model}' does not exist`, "model_not_found") };
+    }
+    const name = Object.hasOwn(aliases, data.model) ? aliases[data.model] : data.model;
+    const { provider, model } = aiUnifiedModel(name);
+
+    if (kind === "embeddings" && provider === "anthropic") {
+        return { response: aiUnifiedError(400, `${data.model}: Anthropic has no embeddings API`) };
+    }
+    const inputs = Array.isArray(data.input) ? data.input : [data.input];
+    if (kind === "embeddings" && provider !== "openai" && !inputs.every((input) => typeof input === "string")) {
+        return { response: aiUnifiedError(400, "input must be a string or an array of strings") };
+    }
+
+    if (provider !== "openai" && !aiServerKeysAllowed(request, settings)
+        && (provider === "workers-ai" || !aiCallerKey(request, provider, true))) {
+        const message = provider === "workers-ai" ? "authentication required" : `authenticate, or send your own ${provider} API key`;
+        return { response: aiUnifiedError(401, `${data.model}: ${message}`, "invalid_api_key") };
+    }
+
+    // Non-OpenAI routes keep the unified name: it is what the semantic cache fingerprints
+    const body = JSON.stringify({ ...data, model: provider === "openai" ? model : name });
+    return { route: { provider, model, kind, body } };
+}
+
+// OpenAI error shape — SDKs raise their usual exception for it
+function aiUnifiedError(status, message, code = null) {
+    return new Response(JSON.stringify({ error: { message, type: "invalid_request_error", code } }), {
+        status,
+        headers: { "Content-Type": "application/json", "X-Shield-AI-Error": "true" },
+    });
+}
@@ -0,0 +1,452 @@
+// ============================================================
+// BOT MANAGEMENT — scoring, proof-of-work challenge, clearance cookie
+// Used by runSecurityPipeline (section F) and the WAF "challenge" action
+//
+// bot: { enabled: true, challenge_threshold: 50, block_threshold: 90, … }
+//
+// Score (0–100, higher = more bot-like) is the sum of:
+//   user agent    missing, automation library, headless browser, too short
+//   consistency   browser UA without Accept / Accept-Language /
+//                 Accept-Encoding, Chromium UA without or contradicting its
+//                 client hints (Sec-CH-UA-*)
+//   cf bot score  request.cf.botManagement.score below 30 (Bot Management)
+//   rate          requests per minute from the IP in this isolate above
+//                 bot.rate_per_minute (approximate by design — hard limits
+//                 belong to ratelimit.js)
+//
+// score ≥ block_threshold → 403; ≥ challenge_threshold → challenge.
+// HTML navigations get an interstitial page that solves a SHA-256
+// proof-of-work (bot.difficulty leading zero bits) and POSTs it to
+// /__shield/challenge, which sets __shield_clearance — an expiring cookie
+// HMAC-signed with the BOT_SECRET Worker secret and bound to the tenant,
+// the client's /24 (IPv6 /64) and its user agent. Other requests get a
+// plain 403. Cleared clients are not scored again until the cookie expires.
+// A solved challenge is redeemed once: its random part is held in a
+// ShieldLock (SHIELD_LOCKS) or, without the binding, in CLOUDEDGING_CACHE
+// (BOTCHAL_{clientId}_{random}) until the challenge expires.
+// Without BOT_SECRET nothing can be signed: challenges become 403s.
+//
+// Good bots: a user agent claiming to be a known crawler is verified by
+// reverse DNS (PTR over DNS-over-HTTPS, then forward-confirmed) against
+// the crawler's published domains, or by request.cf.botManagement.verifiedBot.
+// Verified crawlers skip scoring; impostors score +60. Results are cached
+// per isolate and in CLOUDEDGING_CACHE (BOTDNS_{ip}) for a day.
+//
+// bot.log_only: score and record security events, never challenge or block.
+// ============================================================
+
+const BOT_CLEARANCE_COOKIE = "__shield_clearance";
+const BOT_CHALLENGE_PATH = "/__shield/challenge";
+const BOT_CHALLENGE_THRESHOLD_DEFAULT = 50;
+const BOT_CLEARANCE_TTL_DEFAULT_S = 3600;
+const BOT_CHALLENGE_TTL_S = 300; // time to solve and submit a challenge
+const BOT_DIFFICULTY_DEFAULT = 16; // ~65k hashes — about a second in a browser
+const BOT_RATE_DEFAULT = 120; // requests per minute per IP
+const BOT_RATE_WINDOW_MS = 60000;
+const BOT_RATE_TRACKED_MAX = 10000;
+const BOT_DNS_TTL_S = 86400;
+const BOT_DNS_FAILURE_TTL_S = 300;
+const BOT_DNS_TIMEOUT_MS = 2000;
+const BOT_DOH_URL = "https://cloudflare-dns.com/dns-query";
+
+const BOT_AUTOMATION_UA = /\b(curl|wget|python-requests|python-urllib|aiohttp|httpx|go-http-client|java\/|okhttp|apache-httpclient|libwww-perl|scrapy|node-fetch|axios|undici|guzzlehttp|ruby|httpie|postmanruntime|colly|mechanize)\b/i;
+const BOT_HEADLESS_UA = /\b(headlesschrome|phantomjs|selenium|puppeteer|playwright|slimerjs)\b/i;
+
+// Crawlers that publish reverse-DNS verification domains
+const BOT_GOOD_BOTS = [
+    { name: "googlebot", user_agent: "googlebot|google-inspectiontool|adsbot-google|mediapartners-google", domains: ["googlebot.com", "google.com", "googleusercontent.com"] },
+    { name: "bingbot", user_agent: "bingbot|adidxbot|bingpreview", domains: ["search.msn.com"] },
+    { name: "applebot", user_agent: "applebot", domains: ["applebot.apple.com"] },
+    { name: "yandexbot", user_agent: "yandex(bot|images|mobilebot)", domains: ["yandex.ru", "yandex.net", "yandex.com"] },
+    { name: "baiduspider", user_agent: "baiduspider", domains: ["baidu.com", "baidu.jp"] },
+];
+
+const BOT_RATE = new Map(); // ip → { start, current, previous }
+const BOT_DNS_CACHE = new Map(); // ip → { hostname, expires }
+const BOT_UA_PATTERNS = new Map(); // pattern → RegExp
+
+/**
+ * Section F of the security pipeline. Returns a challenge / 403 Response,
+ * or null when the request may continue.
+ */
+async function runBotManagement(request, env, config, url, ip, ctx) {
+    const bot = config.bot || {};
+    if (!bot.enabled) return null;
+
+    const goodBot = await verifyGoodBot(request, env, config, ip);
+    if (goodBot?.verified) {
+        if (config.debug_headers) setResponseHeaders(request, { "X-Shield-Bot": `verified:${goodBot.name}` });
+        return null;
+    }
+    if (await hasBotClearance(request, env, config, ip)) return null;
+
+    const { score, reasons } = scoreBotRequest(request, config, ip);
+    if (goodBot) reasons.push(`fake_${goodBot.name}`); // claims a crawler, failed verification
+    const total = Math.min(100, score + (goodBot ? 60 : 0));
+
+    const blockAt = bot.block_threshold || Infinity;
+    const challengeAt = bot.challenge_threshold || BOT_CHALLENGE_THRESHOLD_DEFAULT;
+    const action = total >= blockAt ? "block" : total >= challengeAt ? "challenge" : null;
+    if (config.debug_headers) setResponseHeaders(request, { "X-Shield-Bot-Score": `${total} ${reasons.join(",")}`.trim() });
+    if (!action) return null;
+
+    const simulated = bot.log_only === true;
+    recordSecurityEvents(ctx, env, config, request, [{
+        kind: "bot",
+        rule: reasons.join(",") || "score",
+        action,
+        outcome: simulated ? `would_${action}` : action,
+        simulated,
+        field: "score",
+        value: String(total),
+    }]);
+    if (simulated) {
+        setResponseHeaders(request, { "X-Shield-Bot-Simulated": action });
+        return null;
+    }
+
+    console.warn(`[Shield Bot] ${action} ${request.method} ${url.pathname} score=${total} reasons=${reasons.join(",")}`);
+    const headers = { "X-Shield-Bot-Score": String(total) };
+    if (action === "block") return botForbidden("block", headers);
+    return serveBotChallenge(request, env, config, url, ip, headers);
+}
+
+function scoreBotRequest(request, config, ip) {
+    const headers = request.headers;
+    const ua = headers.get("User-Agent") || "";
+    let score = 0;
+    const reasons = [];
+    const add = (points, reason) => {
+        score += points;
+        reasons.push(reason);
+    };
+
+    // User agent
+    const automation = BOT_AUTOMATION_UA.test(ua);
+    if (!ua) add(40, "no_user_agent");
+    else if (automation) add(50, "automation_ua");
+    else if (BOT_HEADLESS_UA.test(ua)) add(50, "headless_ua");
+    if (ua && ua.length < 20) add(20, "short_user_agent");
+
+    // Header consistency — only meaningful for clients claiming to be browsers
+    if (/^Mozilla\/5\.0 /.test(ua) && !automation) {
+        if (!headers.get("Accept")) add(10, "no_accept");
+        if (!headers.get("Accept-Language")) add(15, "no_accept_language");
+        if (!headers.get("Accept-Encoding")) add(10, "no_accept_encoding");
+
+        // Chromium 90+ sends Sec-CH-UA on every HTTPS request
+        const chromium = /\b(Chrome|Edg)\/(\d+)/.exec(ua);
+        if (chromium && parseInt(chromium[2], 10) >= 90 && !/\bFirefox\//.test(ua)) {
+            const hints = headers.get("Sec-CH-UA");
+            if (!hints) {
+                add(15, "missing_client_hints");
+            } else {
+                const mobile = headers.get("Sec-CH-UA-Mobile");
+                const platform = (headers.get("Sec-CH-UA-Platform") || "").replace(/"/g, "").toLowerCase();
+                if (mobile && (mobile === "?1") !== /\bMobile\b/.test(ua)) add(15, "client_hint_mismatch");
+                else if (platform === "windows" && !/Windows/.test(ua)) add(15, "client_hint_mismatch");
+                else if (platform === "macos" && !/Macintosh/.test(ua)) add(15, "client_hint_mismatch");
+            }
+        }
+    }
+
+    // Cloudflare Bot Management (Enterprise) — 1 = certainly automated, 99 = human
+    const cfScore = request.cf?.botManagement?.score;
+    if (typeof cfScore === "number" && cfScore > 0 && cfScore < 30) add((30 - cfScore) * 2, `cf_bot_score_${cfScore}`);
+
+    // Request rate from this IP, as seen by this isolate
+    if (ip) {
+        const limit = config.bot?.rate_per_minute || BOT_RATE_DEFAULT;
+        const rate = trackBotRate(ip);
+        if (rate > limit * 2) add(40, "high_rate");
+        else if (rate > limit) add(20, "elevated_rate");
+    }
+
+    return { score: Math.min(100, score), reasons };
+}
+
+// Sliding-window estimate of requests per minute from ip (counts this one)
+function trackBotRate(ip) {
+    const now = Date.now();
+    let entry = BOT_RATE.get(ip);
+    if (!entry) {
+        if (BOT_RATE.size >= BOT_RATE_TRACKED_MAX) BOT_RATE.delete(BOT_RATE.keys().next().value);
+        entry = { start: now, current: 0, previous: 0 };
+        BOT_RATE.set(ip, entry);
+    }
+    const elapsed = Math.floor((now - entry.start) / BOT_RATE_WINDOW_MS);
+    if (elapsed > 0) {
+        entry.previous = elapsed === 1 ? entry.current : 0;
+        entry.current = 0;
+        entry.start += elapsed * BOT_RATE_WINDOW_MS;
+    }
+    entry.current++;
+    return entry.previous * (1 - (now - entry.start) / BOT_RATE_WINDOW_MS) + entry.current;
+}
+
+// ── Good bots ────────────────────────────────────────────────
+
+/**
+ * null when the user agent claims no known crawler, else
+ * { name, verified } — verified by cf.verifiedBot or reverse DNS.
+ */
+async function verifyGoodBot(request, env, config, ip) {
+    const ua = request.headers.get("User-Agent") || "";
+    const claimed = [...(config.bot?.good_bots || []), ...BOT_GOOD_BOTS].find((b) => botUaPattern(b.user_agent).test(ua));
+    if (!claimed) return null;
+    if (request.cf?.botManagement?.verifiedBot) return { name: claimed.name, verified: true };
+    if (config.bot?.verify_good_bots === false || !ip) return { name: claimed.name, verified: false };
+
+    const hostname = await reverseDnsConfirmed(env, ip);
+    const verified = !!hostname && claimed.domains.some((d) => hostname === d || hostname.endsWith(`.${d}`));
+    return { name: claimed.name, verified };
+}
+
+function botUaPattern(pattern) {
+    if (!BOT_UA_PATTERNS.has(pattern)) BOT_UA_PATTERNS.set(pattern, new RegExp(pattern, "i"));
+    return BOT_UA_PATTERNS.get(pattern);
+}
+
+/**
+ * PTR hostname for ip, only if it resolves back to ip (forward-confirmed
+ * reverse DNS); null otherwise. Cached per isolate and in KV.
+ */
+async function reverseDnsConfirmed(env, ip) {
+    const now = Date.now();
+    const cached = BOT_DNS_CACHE.get(ip);
+    if (cached && cached.expires > now) return cached.hostname;
+
+    const kvKey = `BOTDNS_${ip}`;
+    if (env.CLOUDEDGING_CACHE) {
+        try {
+            const stored = await env.CLOUDEDGING_CACHE.get(kvKey, { type: "json" });
+            if (stored) {
+                BOT_DNS_CACHE.set(ip, { hostname: stored.hostname, expires: now + BOT_DNS_TTL_S * 1000 });
+                return stored.hostname;
+            }
+        } catch (e) {}
+    }
+
+    let hostname = null;
+    let ttl = BOT_DNS_TTL_S;
+    try {
+        const address = parseIp(ip);
+        const ptr = address && (await dohQuery(ptrName(address), "PTR"))[0];
+        if (ptr) {
+            const candidate = ptr.replace(/\.$/, "").toLowerCase();
+            const forward = await dohQuery(candidate, address.version === 4 ? "A" : "AAAA");
+            if (forward.some((a) => parseIp(a)?.value === address.value)) hostname = candidate;
+        }
+    } catch (e) {
+        console.error(`[Shield Bot] Reverse DNS failed for ${ip}`, e.message);
+        ttl = BOT_DNS_FAILURE_TTL_S; // don't pin a DNS outage for a day
+    }
+
+    BOT_DNS_CACHE.set(ip, { hostname, expires: now + ttl * 1000 });
+    if (env.CLOUDEDGING_CACHE && ttl === BOT_DNS_TTL_S) {
+        env.CLOUDEDGING_CACHE.put(kvKey, JSON.stringify({ hostname }), { expirationTtl: ttl }).catch(() => {});
+    }
+    return hostname;
+}
+
+function ptrName(address) {
+    if (address.version === 4) {
+        const v = Number(address.value);
+        return `${v & 255}.${(v >>> 8) & 255}.${(v >>> 16) & 255}.${v >>> 24}.in-addr.arpa`;
+    }
+    return `${address.value.toString(16).padStart(32, "0").split("").reverse().join(".")}.ip6.arpa`;
+}
+
+async function dohQuery(name, type) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), BOT_DNS_TIMEOUT_MS);
+    try {
+        const res = await fetch(`${BOT_DOH_URL}?name=${encodeURIComponent(name)}&type=${type}`, {
+            headers: { Accept: "application/dns-json" },
+            signal: controller.signal,
+        });
+        if (!res.ok) throw new Error(`DoH HTTP ${res.status}`);
+        const data = await res.json();
+        const typeCode = { A: 1, PTR: 12, AAAA: 28 }[type];
+        return (data.Answer || []).filter((a) => a.type === typeCode).map((a) => a.data);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// ── Clearance & challenge ────────────────────────────────────
+
+// What a clearance or challenge is bound to: tenant, network and user agent
+async function botBinding(request, config, ip) {
+    const network = ip ? ipPrefix(ip, 24) : "";
+    return `${config.client_id || "default"}:${network}:${await hashString(request.headers.get("User-Agent") || "")}`;
+}
+
+async function hasBotClearance(request, env, config, ip) {
+    if (!env.BOT_SECRET) return false;
+    const cookie = parseCookieHeader(request.headers.get("Cookie") || "")[BOT_CLEARANCE_COOKIE];
+    const match = /^(\d+)\.([0-9a-f]{64})$/.exec(cookie || "");
+    if (!match || parseInt(match[1], 10) * 1000 < Date.now()) return false;
+    const expected = await hmacSha256Hex(env.BOT_SECRET, `clearance:${match[1]}:${await botBinding(request, config, ip)}`);
+    return timingSafeEqual(match[2], expected);
+}
+
+/**
+ * Interstitial proof-of-work page for HTML navigations, plain 403 for
+ * everything else (and when BOT_SECRET is missing). `headers` are added
+ * to either — the WAF passes its rule headers here.
+ */
+async function serveBotChallenge(request, env, config, url, ip, headers = {}) {
+    const navigation = request.method === "GET" && (request.headers.get("Accept") || "").includes("text/html");
+    if (!env.BOT_SECRET || !navigation) return botForbidden("challenge", headers);
+
+    const difficulty = config.bot?.difficulty || BOT_DIFFICULTY_DEFAULT;
+    const expires = Math.floor(Date.now() / 1000) + BOT_CHALLENGE_TTL_S;
+    const random = crypto.randomUUID().replace(/-/g, "");
+    const signature = await hmacSha256Hex(
+        env.BOT_SECRET,
+        `challenge:${expires}:${random}:${difficulty}:${await botBinding(request, config, ip)}`
+    );
+    const token = `${expires}.${random}.${difficulty}.${signature}`;
+
+    return new Response(botChallengePage(token, difficulty, url.pathname + url.search), {
+        status: 403,
+        headers: {
+            "Content-Type": "text/html; charset=utf-8",
+            "Cache-Control": "no-store",
+            "X-Robots-Tag": "noindex",
+            "X-Shield-Bot-Action": "challenge",
+            ...headers,
+        },
+    });
+}
+
+function botForbidden(action, headers = {}) {
+    return new Response("Forbidden", {
+        status: 403,
+        headers: { "Content-Type": "text/plain", "Cache-Control": "no-store", "X-Shield-Bot-Action": action, ...headers },
+    });
+}
+
+function botChallengePage(token, difficulty, returnTo) {
+    const attr = (s) => String(s).replace(/&/g, "&amp;").replace(/"/g, "&quot;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+    return `<!DOCTYPE html>
+<html lang="en"><head><meta charset="utf-8"><meta name="robots" content="noindex">
+<meta name="viewport" content="width=device-width, initial-scale=1"><title>Just a moment…</title>
+<style>body{font-family:system-ui,sans-serif;display:flex;align-items:center;justify-content:center;height:90vh;color:#333}</style>
+</head><body>
+<main><p>Checking your browser before continuing…</p><noscript><p>Please enable JavaScript to continue.</p></noscript></main>
+<form id="shield-challenge" method="POST" action="${BOT_CHALLENGE_PATH}">
+<input type="hidden" name="token" value="${attr(token)}"><input type="hidden" name="nonce" value="">
+<input type="hidden" name="return_to" value="${attr(returnTo)}">
+</form>
+<script>
+(async () => {
+    const form = document.getElementById("shield-challenge");
+    const token = form.token.value;
+    const bits = ${Number(difficulty)};
+    const encoder = new TextEncoder();
+    const zeroBits = (bytes) => {
+        let n = 0;
+        for (const b of bytes) {
+            if (b === 0) { n += 8; continue; }
+            return n + Math.clz32(b) - 24;
+        }
+        return n;
+    };
+    for (let nonce = 0; ; nonce++) {
+        const hash = new Uint8Array(await crypto.subtle.digest("SHA-256", encoder.encode(token + ":" + nonce)));
+        if (zeroBits(hash) >= bits) {
+            form.nonce.value = String(nonce);
+            form.submit();
+            return;
+        }
+    }
+})();
+</script>
+</body></html>`;
+}
+
+/**
+ * POST /__shield/challenge — verify a solved challenge and set the
+ * clearance cookie. Redirects back to return_to (same-origin paths only).
+ */
+async function handleBotChallengeRequest(request, env, config, url, ip) {
+    if (!env.BOT_SECRET) return new Response("Not Found", { status: 404 });
+    if (request.method !== "POST") return new Response("Method Not Allowed", { status: 405, headers: { Allow: "POST" } });
+
+    const text = await request.text();
+    if (text.length > 4096) return botForbidden("challenge");
+    const form = new URLSearchParams(text);
+    const match = /^(\d+)\.([0-9a-f]{32})\.(\d+)\.([0-9a-f]{64})$/.exec(form.get("token") || "");
+    const nonce = form.get("nonce") || "";
+
+    let valid = false;
+    if (match && /^\d{1,12}$/.test(nonce) && parseInt(match[1], 10) * 1000 >= Date.now()) {
+        const [, expires, random, difficulty, signature] = match;
+        const binding = await botBinding(request, config, ip);
+        const expected = await hmacSha256Hex(env.BOT_SECRET, `challenge:${expires}:${random}:${difficulty}:${binding}`);
+        if (timingSafeEqual(signature, expected)) {
+            const hash = new Uint8Array(await crypto.subtle.digest("SHA-256", new TextEncoder().encode(`${form.get("token")}:${nonce}`)));
+            valid = leadingZeroBits(hash) >= parseInt(difficulty, 10);
+        }
+    }
+    if (!valid) {
+        console.warn(`[Shield Bot] Challenge failed from ${ip}`);
+        return botForbidden("challenge");
+    }
+    if (!(await redeemBotChallenge(env, config, match[2], parseInt(match[1], 10)))) {
+        console.warn(`[Shield Bot] Challenge replayed from ${ip}`);
+        return botForbidden("challenge");
+    }
+
+    const ttl = config.bot?.clearance_ttl_s || BOT_CLEARANCE_TTL_DEFAULT_S;
+    const clearanceExpires = Math.floor(Date.now() / 1000) + ttl;
+    const clearance = await hmacSha256Hex(env.BOT_SECRET, `clearance:${clearanceExpires}:${await botBinding(request, config, ip)}`);
+    const returnTo = form.get("return_to") || "/";
+    const location = returnTo.startsWith("/") && !returnTo.startsWith("//") && !returnTo.startsWith("/\\") ? returnTo : "/";
+
+    return new Response(null, {
+        status: 303,
+        headers: {
+            Location: location,
+            "Cache-Control": "no-store",
+            "Set-Cookie": `${BOT_CLEARANCE_COOKIE}=${clearanceExpires}.${clearance}; Max-Age=${ttl}; Path=/; Secure; HttpOnly; SameSite=Lax`,
+        },
+    });
+}
+
+/**
+ * Mark a challenge's random part used. Returns false when it already was.
+ * The Durable Object lock is atomic; KV (eventually consistent) can let a
+ * replay through at another colo for up to ~60s. Fails open without either.
+ */
+async function redeemBotChallenge(env, config, random, expires) {
+    const ttlMs = Math.max(1000, expires * 1000 - Date.now());
+    if (env.SHIELD_LOCKS) {
+        const lock = await acquireShieldLock(env, config, `challenge:${random}`, ttlMs);
+        if (lock) return lock.acquired;
+    }
+    if (!env.CLOUDEDGING_CACHE) return true;
+    const key = `BOTCHAL_${config.client_id}_${random}`;
+    try {
+        if (await env.CLOUDEDGING_CACHE.get(key)) return false;
+        // KV expirationTtl minimum is 60s
+        await env.CLOUDEDGING_CACHE.put(key, "1", { expirationTtl: Math.max(60, Math.ceil(ttlMs / 1000)) });
+    } catch (e) {
+        console.error("[Shield Bot] Challenge redemption write failed", e.message);
+    }
+    return true;
+}
+
+function leadingZeroBits(bytes) {
+    let bits = 0;
+    for (const b of bytes) {
+        if (b === 0) {
+            bits += 8;
+            continue;
+        }
+        return bits + Math.clz32(b) - 24;
+    }
+    return bits;
+}
@@ -0,0 +1,128 @@
+// ============================================================
+// CACHE KEY BUILDER — per-route cache key policy
+// Used by handleWebTraffic for the edge cache key
+//
+// Config (global or per-route overlay):
+//   cache_key: {
+//     query_include: ["page", "sort"],   // keep only these params (omit = keep all)
+//     query_exclude: ["session"],        // drop these params
+//     query_sort: true,                  // order-independent keys (default true)
+//     ignore_query: false,               // drop the whole query string
+//     ignore_marketing_params: true,     // drop utm_*, gclid, fbclid, … (default true)
+//     headers: ["X-Currency"],           // vary on these request headers
+//     cookies: ["currency"],             // vary on these cookie values
+//     languages: ["en", "fr", "de"],     // normalise Accept-Language to one of these
+//     default_language: "en",            // when nothing matches (default: first entry)
+//     device: true,                      // mobile/desktop variants (default: plan physics)
+//   }
+//
+// Key shape: {origin}{path}{?normalised query}__device={d}[__lang={l}][__vary={hash}]
+// Header and cookie values are hashed into __vary so they never show up
+// in the key (or the X-Shield-Cache-Key debug header) in clear text.
+// ============================================================
+
+// Click-tracking parameters — never change page content, only fragment the cache
+const MARKETING_PARAMS = [
+    "gclid", "gbraid", "wbraid", "dclid", "fbclid", "msclkid", "yclid", "twclid", "ttclid", "igshid",
+    "mc_cid", "mc_eid", "_ga", "_gl", "_hsenc", "_hsmi", "mkt_tok", "ref_src", "srsltid",
+];
+
+async function buildCacheKey(request, url, config, physics) {
+    const policy = config.cache_key || {};
+
+    const base = `${url.origin}${url.pathname}${normalizeCacheKeyQuery(url.searchParams, policy)}`;
+
+    const varyOnDevice = policy.device !== undefined ? !!policy.device : physics.vary_on_device;
+    const deviceType = varyOnDevice
+        ? (/Mobile|Android|iPhone/i.test(request.headers.get("User-Agent") || "") ? "mobile" : "desktop")
+        : "all";
+    let key = `${base}__device=${deviceType}`;
+
+    if (Array.isArray(policy.languages) && policy.languages.length > 0) {
+        key += `__lang=${negotiateLanguage(request.headers.get("Accept-Language") || "", policy)}`;
+    }
+
+    const varyParts = [];
+    for (const name of policy.headers || []) {
+        varyParts.push(`h:${name.toLowerCase()}=${request.headers.get(name) || ""}`);
+    }
+    if (Array.isArray(policy.cookies) && policy.cookies.length > 0) {
+        const cookies = parseCookieHeader(request.headers.get("Cookie") || "");
+        for (const name of policy.cookies) varyParts.push(`c:${name}=${cookies[name] || ""}`);
+    }
+    if (varyParts.length > 0) key += `__vary=${await hashString(varyParts.join("\n"))}`;
+
+    return { base, key, request: new Request(key, { method: "GET" }) };
+}
+
+function normalizeCacheKeyQuery(searchParams, policy) {
+    if (policy.ignore_query) return "";
+
+    const include = Array.isArray(policy.query_include) ? policy.query_include : null;
+    const exclude = policy.query_exclude || [];
+    const dropMarketing = policy.ignore_marketing_params !== false;
+
+    const kept = [...searchParams].filter(([name]) => {
+        if (include && !include.includes(name)) return false;
+        if (exclude.includes(name)) return false;
+        if (dropMarketing && isMarketingParam(name)) return false;
+        return true;
+    });
+    if (kept.length === 0) return "";
+
+    if (policy.query_sort !== false) {
+        // Stable sort by name only — repeated params (?tag=a&tag=b) keep their relative order
+        kept.sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+    }
+    return "?" + new URLSearchParams(kept).toString();
+}
+
+function isMarketingParam(name) {
+    const lower = name.toLowerCase();
+    return lower.startsWith("utm_") || MARKETING_PARAMS.includes(lower);
+}
+
+/**
+ * Pick the best supported language from Accept-Language, honouring q-values.
+ * "fr-CA,fr;q=0.9,en;q=0.8" with languages ["en","fr"] → "fr".
+ */
+function negotiateLanguage(acceptLanguage, policy) {
+    const supported = policy.languages.map((l) => l.toLowerCase());
+    const fallback = (policy.default_language || supported[0]).toLowerCase();
+
+    const ranked = acceptLanguage
+        .split(",")
+        .map((part, index) => {
+            const [tag, ...params] = part.trim().toLowerCase().split(";");
+            const q = params.map((p) => p.trim()).find((p) => p.startsWith("q="));
+            return { tag, q: q ? parseFloat(q.slice(2)) : 1, index };
+        })
+        .filter((l) => l.tag && l.q > 0)
+        .sort((a, b) => b.q - a.q || a.index - b.index);
+
+    for (const { tag } of ranked) {
+        if (supported.includes(tag)) return tag;
+        const primary = tag.split("-")[0];
+        if (supported.includes(primary)) return primary;
+    }
+    return fallback;
+}
+
+function parseCookieHeader(header) {
+    const cookies = {};
+    for (const part of header.split(";")) {
+        const eq = part.indexOf("=");
+        if (eq === -1) continue;
+        const name = part.slice(0, eq).trim();
+        if (name && !(name in cookies)) cookies[name] = part.slice(eq + 1).trim();
+    }
+    return cookies;
+}
+
+// Debug only (debug_headers: true) — the key is safe to expose, but it is
+// noise on every response and reveals the variant dimensions in use
+function withCacheKeyHeader(res, config, key) {
+    if (!config.debug_headers) return res;
+    res.headers.set("X-Shield-Cache-Key", key);
+    return res;
+}
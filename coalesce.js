@@ -0,0 +1,203 @@
+// ============================================================
+// REQUEST COALESCING — one origin fetch / refresh per cache key
+// Used by handleWebTraffic on cache MISS and SWR refresh
+//
+// In-isolate (always on, coalesce_enabled: false to disable):
+//   The first MISS for a key becomes the leader and fetches origin;
+//   concurrent MISSes for the same key await the leader's result.
+//   Workers forbid sharing Response/stream objects between requests,
+//   so the leader shares a plain snapshot { status, headers, body:
+//   ArrayBuffer } — only for bodies up to coalesce_max_bytes (1MB).
+//   Larger bodies resolve followers with null and they fetch
+//   themselves (no worse than before).
+//
+// Cross-isolate (coalesce_global: true + SHIELD_LOCKS DO binding):
+//   A ShieldLock Durable Object per key elects one leader across the
+//   whole deployment. Followers poll the edge cache for the leader's
+//   write for up to coalesce_wait_ms (3s), then fall back to origin.
+//   The leader releases the lock once its origin fetch is done.
+//   Costs a DO round trip per MISS — worth it only for hot keys on
+//   high-traffic zones.
+//
+// SWR refreshes are deduplicated the same way: at most one refresh
+// per key per isolate, and per deployment when coalesce_global is on.
+// ============================================================
+
+const INFLIGHT_ORIGIN = new Map(); // cache key URL → Promise<snapshot | null>
+const INFLIGHT_REFRESH = new Set(); // cache key URLs being refreshed in this isolate
+const COALESCE_MAX_BYTES_DEFAULT = 1024 * 1024;
+const COALESCE_WAIT_MS_DEFAULT = 3000;
+const COALESCE_POLL_MS = 100;
+
+/**
+ * Fetch origin for a cacheable MISS, sharing the result with concurrent
+ * requests for the same key. Returns { response, coalesced } where
+ * coalesced is null (this request fetched), "ISOLATE" (leader's snapshot)
+ * or "GLOBAL" (entry written to cache by another isolate's leader).
+ */
+async function coalescedOriginFetch(cacheKey, env, config, fetchOrigin) {
+    if (config.coalesce_enabled === false) return { response: await fetchOrigin(), coalesced: null };
+    const key = cacheKey.url;
+
+    const inflight = INFLIGHT_ORIGIN.get(key);
+    if (inflight) {
+        const snapshot = await inflight;
+        if (snapshot) return { response: responseFromSnapshot(snapshot), coalesced: "ISOLATE" };
+        // Not shareable (too large, Set-Cookie) or the leader was served from cache — try the cache first
+        const cached = await caches.default.match(cacheKey);
+        if (cached) return { response: cached, coalesced: "GLOBAL" };
+        return { response: await fetchOrigin(), coalesced: null };
+    }
+
+    let share;
+    let lock = null;
+    INFLIGHT_ORIGIN.set(key, new Promise((resolve) => (share = resolve)));
+    try {
+        if (config.coalesce_global && env.SHIELD_LOCKS) {
+            lock = await acquireShieldLock(env, config, `miss:${key}`, config.coalesce_wait_ms || COALESCE_WAIT_MS_DEFAULT);
+            if (lock && !lock.acquired) {
+                const filled = await waitForCacheFill(cacheKey, config.coalesce_wait_ms || COALESCE_WAIT_MS_DEFAULT);
+                if (filled) {
+                    // Don't share a cache hit as a snapshot — followers here can read the cache themselves
+                    share(null);
+                    return { response: filled, coalesced: "GLOBAL" };
+                }
+            }
+        }
+
+        const res = await fetchOrigin();
+        const { snapshot, response } = await snapshotResponse(res, config.coalesce_max_bytes || COALESCE_MAX_BYTES_DEFAULT);
+        share(snapshot);
+        return { response, coalesced: null };
+    } finally {
+        share(null); // no-op if already resolved; unblocks followers if fetchOrigin threw
+        INFLIGHT_ORIGIN.delete(key);
+        // The leader's answer may never reach the cache (non-200, no-store, too large) —
+        // don't leave other isolates polling for it until the lock expires
+        if (lock?.acquired) await releaseShieldLock(env, config, `miss:${key}`, lock.token);
+    }
+}
+
+/**
+ * Deduplicated SWR refresh — skips if this key is already refreshing here
+ * (or, with coalesce_global, anywhere in the deployment).
+ */
+async function refreshCacheOnce(req, env, key, ttl, config) {
+    if (config.coalesce_enabled === false) return refreshCache(req, env, key, ttl, config);
+    if (INFLIGHT_REFRESH.has(key.url)) return;
+
+    INFLIGHT_REFRESH.add(key.url);
+    let lock = null;
+    try {
+        if (config.coalesce_global && env.SHIELD_LOCKS) {
+            lock = await acquireShieldLock(env, config, `refresh:${key.url}`, 30000);
+            if (lock && !lock.acquired) return;
+        }
+        await refreshCache(req, env, key, ttl, config);
+    } finally {
+        INFLIGHT_REFRESH.delete(key.url);
+        if (lock?.acquired) await releaseShieldLock(env, config, `refresh:${key.url}`, lock.token);
+    }
+}
+
+/**
+ * Buffer a response body up to maxBytes. Returns the shareable snapshot
+ * (null when the body is larger) and a Response for the leader itself —
+ * rebuilt from the buffered chunks plus the unread remainder of the stream.
+ */
+async function snapshotResponse(res, maxBytes) {
+    const declared = parseInt(res.headers.get("Content-Length") || "", 10);
+    if (!res.body || declared > maxBytes) return { snapshot: null, response: res };
+    // Set-Cookie is per-user — never hand one visitor's cookie to another
+    if (res.headers.has("Set-Cookie")) return { snapshot: null, response: res };
+
+    const reader = res.body.getReader();
+    const chunks = [];
+    let size = 0;
+    while (size <= maxBytes) {
+        const { done, value } = await reader.read();
+        if (done) {
+            const body = concatChunks(chunks, size);
+            const snapshot = { status: res.status, statusText: res.statusText, headers: [...res.headers], body };
+            return { snapshot, response: responseFromSnapshot(snapshot, false) };
+        }
+        chunks.push(value);
+        size += value.byteLength;
+    }
+
+    // Over the cap — hand the leader a stream of what we read + the rest
+    const stream = new ReadableStream({
+        start(controller) {
+            chunks.forEach((c) => controller.enqueue(c));
+        },
+        async pull(controller) {
+            const { done, value } = await reader.read();
+            if (done) controller.close();
+            else controller.enqueue(value);
+        },
+        cancel(reason) {
+            return reader.cancel(reason);
+        },
+    });
+    return { snapshot: null, response: new Response(stream, res) };
+}
+
+function responseFromSnapshot(snapshot, coalesced = true) {
+    const res = new Response(snapshot.body.byteLength ? snapshot.body.slice(0) : null, {
+        status: snapshot.status,
+        statusText: snapshot.statusText,
+        headers: snapshot.headers,
+    });
+    if (coalesced) res.headers.set("X-Shield-Coalesced", "ISOLATE");
+    return res;
+}
+
+function concatChunks(chunks, size) {
+    const out = new Uint8Array(size);
+    let offset = 0;
+    for (const c of chunks) {
+        out.set(c, offset);
+        offset += c.byteLength;
+    }
+    return out.buffer;
+}
+
+async function waitForCacheFill(cacheKey, waitMs) {
+    const deadline = Date.now() + waitMs;
+    while (Date.now() < deadline) {
+        await sleep(COALESCE_POLL_MS);
+        const cached = await caches.default.match(cacheKey);
+        if (cached) {
+            const res = new Response(cached.body, cached);
+            res.headers.set("X-Shield-Coalesced", "GLOBAL");
+            return res;
+        }
+    }
+    return null;
+}
+
+// ── ShieldLock client ────────────────────────────────────────
+// Fail open: any DO error returns null and the caller proceeds as leader.
+
+function shieldLockStub(env, config, name) {
+    const id = env.SHIELD_LOCKS.idFromName(`${config.client_id || "default"}:${name}`);
+    return env.SHIELD_LOCKS.get(id);
+}
+
+async function acquireShieldLock(env, config, name, ttlMs) {
+    try {
+        const res = await shieldLockStub(env, config, name).fetch(`https://shield-lock/acquire?ttl_ms=${ttlMs}`, { method: "POST" });
+        return await res.json();
+    } catch (e) {
+        console.error(`[Shield Coalesce] Lock acquire failed: ${name}`, e.message);
+        return null;
+    }
+}
+
+async function releaseShieldLock(env, config, name, token) {
+    try {
+        await shieldLockStub(env, config, name).fetch(`https://shield-lock/release?token=${encodeURIComponent(token)}`, { method: "POST" });
+    } catch (e) {
+        // Lock expires on its own TTL
+    }
+}
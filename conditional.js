@@ -0,0 +1,171 @@
+// ============================================================
+// CONDITIONAL & RANGE — answer validators and byte ranges at the edge
+// Used by handleWebTraffic (cache hits, stored MISSes) and refreshCache
+//
+// Cacheable GETs are fetched from origin WITHOUT the client's
+// If-None-Match / If-Modified-Since / Range headers, so the edge always
+// stores a full 200 and one client's 304 or 206 is never shared with
+// another. The client's headers are then evaluated here against the full
+// response:
+//   If-None-Match (weak compare) / If-Modified-Since → 304 Not Modified
+//   Range: bytes=a-b | a- | -n (single range)       → 206 Partial Content
+//   unsatisfiable range                             → 416
+//   HEAD                                            → headers only
+//
+// Multiple ranges, If-Range mismatches and bodies without Content-Length
+// get the full 200 — always allowed by RFC 9110. Partial bodies are
+// sliced from the cached stream, never buffered, so seeking in large
+// cached media costs no memory.
+// ============================================================
+
+const CONDITIONAL_HEADERS = ["If-None-Match", "If-Modified-Since", "If-Range", "Range"];
+
+// Headers a 304 carries over from the full response (RFC 9110 §15.4.5)
+const NOT_MODIFIED_HEADERS = ["Cache-Control", "Content-Location", "Date", "ETag", "Expires", "Last-Modified", "Vary"];
+
+/**
+ * Copy of the request without client validators or Range — for origin
+ * fetches whose response will be stored and shared.
+ */
+function stripConditionalHeaders(request) {
+    const headers = new Headers(request.headers);
+    CONDITIONAL_HEADERS.forEach((h) => headers.delete(h));
+    return new Request(request, { headers });
+}
+
+/**
+ * Evaluate the client's conditional / Range / HEAD semantics against a
+ * full 200 response (from cache or a stripped origin fetch).
+ */
+function serveConditional(request, response) {
+    if (response.status !== 200) return response;
+    if (request.method !== "GET" && request.method !== "HEAD") return response;
+
+    if (isNotModified(request, response)) {
+        response.body?.cancel();
+        const headers = new Headers();
+        for (const [name, value] of response.headers) {
+            if (NOT_MODIFIED_HEADERS.some((h) => h.toLowerCase() === name) || name.startsWith("x-shield-")) {
+                headers.set(name, value);
+            }
+        }
+        return new Response(null, { status: 304, headers });
+    }
+
+    const size = parseInt(response.headers.get("Content-Length") || "", 10);
+    const rangeable = Number.isInteger(size) && !response.headers.has("Content-Encoding");
+
+    const range = request.headers.get("Range");
+    if (rangeable && range && request.method === "GET" && ifRangeMatches(request, response)) {
+        const parsed = parseByteRange(range, size);
+        if (parsed === "unsatisfiable") {
+            response.body?.cancel();
+            return new Response(null, {
+                status: 416,
+                headers: { "Content-Range": `bytes */${size}`, "Accept-Ranges": "bytes" },
+            });
+        }
+        if (parsed) {
+            const { start, end } = parsed;
+            const headers = new Headers(response.headers);
+            headers.set("Content-Range", `bytes ${start}-${end}/${size}`);
+            headers.set("Content-Length", String(end - start + 1));
+            headers.set("Accept-Ranges", "bytes");
+            return new Response(sliceBody(response.body, start, end), { status: 206, headers });
+        }
+    }
+
+    if (request.method === "HEAD") response.body?.cancel();
+    const res = new Response(request.method === "HEAD" ? null : response.body, response);
+    if (rangeable) res.headers.set("Accept-Ranges", "bytes");
+    return res;
+}
+
+function isNotModified(request, response) {
+    const ifNoneMatch = request.headers.get("If-None-Match");
+    if (ifNoneMatch) {
+        // If-None-Match takes precedence — If-Modified-Since is ignored when present
+        const etag = response.headers.get("ETag");
+        if (!etag) return false;
+        if (ifNoneMatch.trim() === "*") return true;
+        return ifNoneMatch.split(",").some((tag) => weakEtag(tag) === weakEtag(etag));
+    }
+
+    const ifModifiedSince = Date.parse(request.headers.get("If-Modified-Since") || "");
+    const lastModified = Date.parse(response.headers.get("Last-Modified") || "");
+    return !Number.isNaN(ifModifiedSince) && !Number.isNaN(lastModified) && lastModified <= ifModifiedSince;
+}
+
+function weakEtag(tag) {
+    return tag.trim().replace(/^W\//, "");
+}
+
+// If-Range: the range applies only if the validator still matches (strong
+// ETag compare, or exact Last-Modified date) — otherwise send the full body
+function ifRangeMatches(request, response) {
+    const ifRange = request.headers.get("If-Range");
+    if (!ifRange) return true;
+    if (ifRange.startsWith('"') || ifRange.startsWith("W/")) {
+        const etag = response.headers.get("ETag") || "";
+        return !ifRange.startsWith("W/") && !etag.startsWith("W/") && ifRange.trim() === etag.trim();
+    }
+    return Date.parse(ifRange) === Date.parse(response.headers.get("Last-Modified") || "");
+}
+
+/**
+ * Parse a single "bytes=" range against a known size.
+ * Returns { start, end } (inclusive), "unsatisfiable", or null when the
+ * header should be ignored (malformed, multiple ranges, other units).
+ */
+function parseByteRange(header, size) {
+    const match = /^bytes=\s*(\d*)\s*-\s*(\d*)\s*$/i.exec(header.trim());
+    if (!match || (match[1] === "" && match[2] === "")) return null;
+
+    let start;
+    let end;
+    if (match[1] === "") {
+        // Suffix range: last N bytes
+        const suffix = parseInt(match[2], 10);
+        if (suffix === 0) return "unsatisfiable";
+        start = Math.max(0, size - suffix);
+        end = size - 1;
+    } else {
+        start = parseInt(match[1], 10);
+        if (match[2] !== "" && parseInt(match[2], 10) < start) return null; // "bytes=5-2" is invalid
+        end = match[2] === "" ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+    }
+    if (start >= size) return "unsatisfiable";
+    return { start, end };
+}
+
+// Stream bytes [start, end] of body without buffering it
+function sliceBody(body, start, end) {
+    const reader = body.getReader();
+    let position = 0;
+    return new ReadableStream({
+        async pull(controller) {
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) {
+                    controller.close();
+                    return;
+                }
+                const chunkStart = position;
+                position += value.byteLength;
+                if (position <= start) continue; // still before the range
+
+                const from = Math.max(0, start - chunkStart);
+                const to = Math.min(value.byteLength, end + 1 - chunkStart);
+                if (to > from) controller.enqueue(value.subarray(from, to));
+                if (position > end) {
+                    controller.close();
+                    reader.cancel();
+                }
+                return;
+            }
+        },
+        cancel(reason) {
+            return reader.cancel(reason);
+        },
+    });
+}
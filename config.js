@@ -0,0 +1,579 @@
+// ============================================================
+// CONFIG — Schema, Validation, Versioned KV Records
+// Used by loadConfig (utils.js) and the health endpoint
+//
+// KV layout (CLOUDEDGING_CONFIG), per tenant:
+//   CFG_{clientId}_ACTIVE   → "7"                       (pointer)
+//   CFG_{clientId}_V7       → { version: 7, config: {...}, created_at, note }
+//   CFG_{clientId}          → {...}                     (legacy, unversioned)
+//
+// The legacy key is only read when no ACTIVE pointer exists, so existing
+// deployments keep working until their first versioned write.
+//
+// A config that fails validation is never applied. loadConfig keeps the
+// last-known-good config in use (in-memory, else the newest valid older
+// version in KV) and reports the errors in /__shield/health.
+// ============================================================
+
+// How many older versions a cold isolate walks back to find a valid config
+const CONFIG_ROLLBACK_DEPTH = 5;
+
+// Every key a handler reads. Unknown keys are reported as warnings, not
+// errors, so the deploy pipeline can ship new keys ahead of the Worker.
+const CONFIG_SCHEMA = {
+    mode:                     { type: "string", enum: () => Object.keys(FEATURE_HANDLERS) },
+    cloudflare_plan:          { type: "string", pattern: /^(free|pro|business|enterprise)$/i },
+    cache_ttl:                { type: "integer", min: 0 },
+    config_ttl_seconds:       { type: "integer", min: 1, max: 3600 },
+    cors_origins:             { type: "array", items: { type: "string" } },
+    blocked_countries:        { type: "array", items: { type: "string", pattern: /^[A-Z]{2}$/ } },
+    geo_log_only:             { type: "boolean" },
+    ip_allowlist:             { type: "array", items: { type: "string", validate: validateCidr } },
+    ip_denylist:              { type: "array", items: { type: "string", validate: validateCidr } },
+    asn_allowlist:            { type: "array", items: { type: "integer", min: 1 } },
+    asn_denylist:             { type: "array", items: { type: "integer", min: 1 } },
+    rate_limit_enabled:       { type: "boolean" },
+    rate_limit_threshold:     { type: "integer", min: 1 },
+    rate_limit_window_s:      { type: "integer", min: 1, max: 86400 },
+    rate_limit_burst:         { type: "integer", min: 1 },
+    rate_limit_algorithm:     { type: "string", enum: () => RATE_LIMIT_ALGORITHMS },
+    rate_limit_headers:       { type: "boolean" },
+    rate_limit_policies:      { type: "array", items: { type: "object", validate: validateRateLimitPolicy } },
+    semantic_cache_enabled:   { type: "boolean" },
+    semantic_cache_threshold: { type: "number", min: 0, max: 1 },
+    semantic_cache_scope:     { type: "object", validate: validateSemanticCacheScope },
+    embedding_model:          { type: "string" },
+    embedding_provider:       { type: "string" },
+    ai_gateway_id:            { type: "string" },
+    ai_cache_ttl:             { type: "integer", min: 60 }, // KV expirationTtl minimum
+    ai_max_request_size:      { type: "integer", min: 1 },
+    ai_budgets:               { type: "object", validate: validateAIBudgets },
+    ai_pricing:               { type: "object", validate: validateAIPricing },
+    ai_failover:              { type: "object", validate: validateAIFailover },
+    ai_unified:               { type: "object", validate: validateAIUnified },
+    routes:                   { type: "array", items: { type: "object", validate: validateRouteEntry } },
+    origin_pools:             { type: "array", items: { type: "object", validate: validateOriginPool } },
+    origin_health:            { type: "object", validate: validateOriginHealth },
+    origin_timeout_ms:        { type: "integer", min: 100, max: 300000 },
+    origin_timeouts:          { type: "object", validate: validateOriginTimeouts },
+    origin_retries:           { type: "integer", min: 0, max: 5 },
+    origin_retry_backoff_ms:  { type: "integer", min: 0, max: 10000 },
+    origin_circuit_breaker:   { type: "object", validate: validateCircuitBreaker },
+    stale_if_error_ttl:       { type: "integer", min: 0 },
+    stale_if_error_r2:        { type: "boolean" },
+    coalesce_enabled:         { type: "boolean" },
+    coalesce_global:          { type: "boolean" },
+    coalesce_max_bytes:       { type: "integer", min: 0, max: 10485760 },
+    coalesce_wait_ms:         { type: "integer", min: 100, max: 30000 },
+    cache_key:                { type: "object", validate: validateCacheKeyPolicy },
+    debug_headers:            { type: "boolean" },
+    purge_index:              { type: "boolean" },
+    waf:                      { type: "object", validate: validateWafConfig },
+    security_events:          { type: "object", validate: validateSecurityEvents },
+    bot:                      { type: "object", validate: validateBotConfig },
+    jwt:                      { type: "object", validate: validateJwtConfig },
+    jwt_scopes:               { type: "array", items: { type: "string" } },
+    signed_urls:              { type: "array", items: { type: "object", validate: validateSignedUrlRule } },
+};
+
+// Keys set by the Worker itself — never expected in stored config
+const CONFIG_DERIVED_KEYS = ["client_id", "active_route"];
+
+/**
+ * Validate a stored config object.
+ * Returns { errors: string[], warnings: string[] } — errors reject the config.
+ */
+function validateConfig(config, { allowRoutes = true } = {}) {
+    const errors = [];
+    const warnings = [];
+
+    if (!config || typeof config !== "object" || Array.isArray(config)) {
+        return { errors: ["config: expected object"], warnings };
+    }
+
+    for (const [key, value] of Object.entries(config)) {
+        const rule = CONFIG_SCHEMA[key];
+        if (CONFIG_DERIVED_KEYS.includes(key)) {
+            warnings.push(`${key}: set by the Worker, stored value ignored`);
+            continue;
+        }
+        if (!rule) {
+            warnings.push(`${key}: unknown key`);
+            continue;
+        }
+        if (key === "routes" && !allowRoutes) {
+            errors.push("routes: not allowed inside a route overlay");
+            continue;
+        }
+        checkSchemaValue(key, value, rule, errors);
+    }
+
+    return { errors, warnings };
+}
+
+function checkSchemaValue(path, value, rule, errors) {
+    if (value === null || value === undefined) return; // null clears a key back to its default
+
+    const actual = Array.isArray(value) ? "array" : typeof value;
+    const typeOk =
+        rule.type === "integer" ? Number.isInteger(value) :
+        rule.type === "number" ? typeof value === "number" && Number.isFinite(value) :
+        actual === rule.type;
+
+    if (!typeOk) {
+        errors.push(`${path}: expected ${rule.type}, got ${actual} ${JSON.stringify(value)}`);
+        return;
+    }
+
+    const allowed = typeof rule.enum === "function" ? rule.enum() : rule.enum;
+    if (allowed && !allowed.includes(value)) {
+        errors.push(`${path}: must be one of ${allowed.join(", ")}`);
+    }
+    if (rule.pattern && !rule.pattern.test(value)) {
+        errors.push(`${path}: ${JSON.stringify(value)} does not match ${rule.pattern}`);
+    }
+    if (rule.min !== undefined && value < rule.min) errors.push(`${path}: must be >= ${rule.min}`);
+    if (rule.max !== undefined && value > rule.max) errors.push(`${path}: must be <= ${rule.max}`);
+
+    if (rule.items) {
+        value.forEach((item, i) => checkSchemaValue(`${path}[${i}]`, item, rule.items, errors));
+    }
+    if (rule.validate) rule.validate(path, value, errors);
+}
+
+function validateRouteEntry(path, route, errors) {
+    const stringOrList = (v) => typeof v === "string" || (Array.isArray(v) && v.every((x) => typeof x === "string"));
+
+    if (route.id !== undefined && typeof route.id !== "string") errors.push(`${path}.id: expected string`);
+    if (route.host !== undefined && !stringOrList(route.host)) errors.push(`${path}.host: expected string or string[]`);
+    if (route.path_prefix !== undefined && !stringOrList(route.path_prefix)) {
+        errors.push(`${path}.path_prefix: expected string or string[]`);
+    }
+    if (route.path_regex !== undefined) {
+        try {
+            new RegExp(route.path_regex);
+        } catch (e) {
+            errors.push(`${path}.path_regex: invalid regex (${e.message})`);
+        }
+    }
+    const methods = route.methods || route.method;
+    if (methods !== undefined && !stringOrList(methods)) errors.push(`${path}.methods: expected string[]`);
+    if (route.mode !== undefined) checkSchemaValue(`${path}.mode`, route.mode, CONFIG_SCHEMA.mode, errors);
+
+    if (route.config !== undefined) {
+        const overlay = validateConfig(route.config, { allowRoutes: false });
+        overlay.errors.forEach((e) => errors.push(`${path}.config.${e}`));
+        // Ignored at the top level, but an overlay is a deliberate per-route value — reject it
+        if (route.config && typeof route.config === "object") {
+            CONFIG_DERIVED_KEYS.filter((key) => key in route.config)
+                .forEach((key) => errors.push(`${path}.config.${key}: set by the Worker, not allowed in a route overlay`));
+        }
+    }
+}
+
+function validateOriginPool(path, pool, errors) {
+    if (!Array.isArray(pool.members) || pool.members.length === 0) {
+        errors.push(`${path}.members: expected non-empty array`);
+        return;
+    }
+    pool.members.forEach((m, i) => {
+        if (!m || typeof m.hostname !== "string" || !m.hostname) errors.push(`${path}.members[${i}].hostname: required string`);
+        if (m && m.weight !== undefined && !(typeof m.weight === "number" && m.weight > 0)) {
+            errors.push(`${path}.members[${i}].weight: expected number > 0`);
+        }
+    });
+}
+
+function validateOriginHealth(path, health, errors) {
+    for (const key of ["failure_threshold", "cooldown_s", "probe_interval_s"]) {
+        if (health[key] !== undefined) checkSchemaValue(`${path}.${key}`, health[key], { type: "integer", min: 1 }, errors);
+    }
+    if (health.probe_path !== undefined && !(typeof health.probe_path === "string" && health.probe_path.startsWith("/"))) {
+        errors.push(`${path}.probe_path: expected string starting with "/"`);
+    }
+}
+
+function validateOriginTimeouts(path, timeouts, errors) {
+    const modes = Object.keys(FEATURE_HANDLERS);
+    for (const [mode, ms] of Object.entries(timeouts)) {
+        if (!modes.includes(mode)) errors.push(`${path}.${mode}: unknown mode`);
+        checkSchemaValue(`${path}.${mode}`, ms, { type: "integer", min: 100, max: 300000 }, errors);
+    }
+}
+
+function validateCircuitBreaker(path, breaker, errors) {
+    for (const key of ["failure_threshold", "cooldown_s"]) {
+        if (breaker[key] !== undefined) checkSchemaValue(`${path}.${key}`, breaker[key], { type: "integer", min: 1 }, errors);
+    }
+}
+
+function validateRateLimitPolicy(path, policy, errors) {
+    if (policy.id !== undefined && (typeof policy.id !== "string" || policy.id === "default")) {
+        errors.push(`${path}.id: expected string other than "default"`);
+    }
+    checkSchemaValue(`${path}.limit`, policy.limit, { type: "integer", min: 1 }, errors);
+    if (policy.limit === undefined) errors.push(`${path}.limit: required`);
+    if (policy.window_s !== undefined) checkSchemaValue(`${path}.window_s`, policy.window_s, CONFIG_SCHEMA.rate_limit_window_s, errors);
+    if (policy.burst !== undefined) checkSchemaValue(`${path}.burst`, policy.burst, { type: "integer", min: 1 }, errors);
+    if (policy.algorithm !== undefined) checkSchemaValue(`${path}.algorithm`, policy.algorithm, CONFIG_SCHEMA.rate_limit_algorithm, errors);
+    if (policy.action !== undefined) checkSchemaValue(`${path}.action`, policy.action, { type: "string", enum: () => RATE_LIMIT_ACTIONS }, errors);
+    if (policy.delay_ms !== undefined) checkSchemaValue(`${path}.delay_ms`, policy.delay_ms, { type: "integer", min: 0, max: RATE_LIMIT_THROTTLE_MAX_MS }, errors);
+    if (policy.key !== undefined && !(typeof policy.key === "string" && RATE_LIMIT_KEY_PATTERN.test(policy.key))) {
+        errors.push(`${path}.key: expected ip, ip/{bits}, header:{name}, cookie:{name} or jwt:{claim}`);
+    }
+    if (policy.match !== undefined) {
+        if (typeof policy.match !== "object" || Array.isArray(policy.match)) errors.push(`${path}.match: expected object`);
+        else if (policy.match.mode !== undefined) {
+            toList(policy.match.mode).forEach((m) => checkSchemaValue(`${path}.match.mode`, m, CONFIG_SCHEMA.mode, errors));
+        }
+    }
+}
+
+function validateWafConfig(path, waf, errors) {
+    for (const key of ["enabled", "default_rules", "kv_rules", "inspect_body", "log_only"]) {
+        if (waf[key] !== undefined) checkSchemaValue(`${path}.${key}`, waf[key], { type: "boolean" }, errors);
+    }
+    if (waf.anomaly_threshold !== undefined) {
+        checkSchemaValue(`${path}.anomaly_threshold`, waf.anomaly_threshold, { type: "integer", min: 1 }, errors);
+    }
+    if (waf.body_max_bytes !== undefined) {
+        checkSchemaValue(`${path}.body_max_bytes`, waf.body_max_bytes, { type: "integer", min: 1024, max: 1024 * 1024 }, errors);
+    }
+    if (waf.body_limit_action !== undefined) {
+        checkSchemaValue(`${path}.body_limit_action`, waf.body_limit_action, { type: "string", enum: ["inspect", "block"] }, errors);
+    }
+    if (waf.disabled_rules !== undefined) {
+        checkSchemaValue(`${path}.disabled_rules`, waf.disabled_rules, { type: "array", items: { type: "string" } }, errors);
+    }
+    if (waf.rules !== undefined) {
+        checkSchemaValue(`${path}.rules`, waf.rules, { type: "array", items: { type: "object", validate: validateWafRule } }, errors);
+    }
+}
+
+// Also applied to KV rules (WAF_RULES_{clientId}) as they are loaded
+function validateWafRule(path, rule, errors) {
+    if (!rule || typeof rule !== "object") {
+        errors.push(`${path}: expected object`);
+        return;
+    }
+    if (typeof rule.id !== "string" || !rule.id) errors.push(`${path}.id: required string`);
+
+    const fields = rule.fields || (rule.field !== undefined ? [rule.field] : []);
+    if (!Array.isArray(fields) || fields.length === 0) errors.push(`${path}.field: required`);
+    else fields.forEach((f) => {
+        if (typeof f !== "string" || !WAF_FIELDS.includes(f.split(":")[0])) errors.push(`${path}.field: unknown field ${JSON.stringify(f)}`);
+    });
+
+    checkSchemaValue(`${path}.operator`, rule.operator, { type: "string", enum: () => WAF_OPERATORS }, errors);
+    if (rule.operator === undefined) errors.push(`${path}.operator: required`);
+    if (rule.action !== undefined) checkSchemaValue(`${path}.action`, rule.action, { type: "string", enum: () => WAF_ACTIONS }, errors);
+    if (rule.score !== undefined) checkSchemaValue(`${path}.score`, rule.score, { type: "integer", min: 0 }, errors);
+    if (rule.log_only !== undefined) checkSchemaValue(`${path}.log_only`, rule.log_only, { type: "boolean" }, errors);
+
+    const values = toList(rule.value);
+    if (rule.value === undefined || values.length === 0) {
+        errors.push(`${path}.value: required`);
+    } else if (rule.operator === "regex") {
+        values.forEach((v) => {
+            try {
+                new RegExp(v);
+            } catch (e) {
+                errors.push(`${path}.value: invalid regex (${e.message})`);
+            }
+        });
+    } else if (rule.operator === "cidr") {
+        values.forEach((v) => {
+            if (!parseCidr(v)) errors.push(`${path}.value: invalid CIDR ${JSON.stringify(v)}`);
+        });
+    } else if (rule.operator === "length" && !Number.isInteger(values[0])) {
+        errors.push(`${path}.value: expected integer length`);
+    }
+}
+
+function validateCidr(path, value, errors) {
+    if (!parseCidr(value)) errors.push(`${path}: invalid IP or CIDR ${JSON.stringify(value)}`);
+}
+
+function validateBotConfig(path, bot, errors) {
+    for (const key of ["enabled", "log_only", "verify_good_bots"]) {
+        if (bot[key] !== undefined) checkSchemaValue(`${path}.${key}`, bot[key], { type: "boolean" }, errors);
+    }
+    for (const key of ["challenge_threshold", "block_threshold"]) {
+        if (bot[key] !== undefined) checkSchemaValue(`${path}.${key}`, bot[key], { type: "integer", min: 1, max: 100 }, errors);
+    }
+    if (bot.difficulty !== undefined) checkSchemaValue(`${path}.difficulty`, bot.difficulty, { type: "integer", min: 8, max: 24 }, errors);
+    if (bot.clearance_ttl_s !== undefined) {
+        checkSchemaValue(`${path}.clearance_ttl_s`, bot.clearance_ttl_s, { type: "integer", min: 60, max: 604800 }, errors);
+    }
+    if (bot.rate_per_minute !== undefined) checkSchemaValue(`${path}.rate_per_minute`, bot.rate_per_minute, { type: "integer", min: 1 }, errors);
+    (Array.isArray(bot.good_bots) ? bot.good_bots : bot.good_bots === undefined ? [] : [null]).forEach((entry, i) => {
+        const at = `${path}.good_bots[${i}]`;
+        if (!entry || typeof entry !== "object") return errors.push(`${at}: expected object`);
+        if (typeof entry.name !== "string" || !entry.name) errors.push(`${at}.name: required string`);
+        try {
+            new RegExp(entry.user_agent);
+            if (typeof entry.user_agent !== "string" || !entry.user_agent) throw new Error("required string");
+        } catch (e) {
+            errors.push(`${at}.user_agent: ${e.message}`);
+        }
+        checkSchemaValue(`${at}.domains`, entry.domains, { type: "array", items: { type: "string" } }, errors);
+        if (!Array.isArray(entry.domains) || entry.domains.length === 0) errors.push(`${at}.domains: required`);
+    });
+}
+
+function validateJwtConfig(path, jwt, errors) {
+    for (const key of ["enabled", "optional"]) {
+        if (jwt[key] !== undefined) checkSchemaValue(`${path}.${key}`, jwt[key], { type: "boolean" }, errors);
+    }
+    if (jwt.algorithms !== undefined) {
+        checkSchemaValue(`${path}.algorithms`, jwt.algorithms, { type: "array", items: { type: "string", enum: () => Object.keys(JWT_ALGORITHMS) } }, errors);
+    }
+    if (jwt.secret_name !== undefined) checkSchemaValue(`${path}.secret_name`, jwt.secret_name, { type: "string", pattern: /^[A-Za-z_][A-Za-z0-9_]*$/ }, errors);
+    if (jwt.jwks_url !== undefined) checkSchemaValue(`${path}.jwks_url`, jwt.jwks_url, { type: "string", pattern: /^https:\/\// }, errors);
+    if (jwt.jwks !== undefined && !Array.isArray(jwt.jwks?.keys)) errors.push(`${path}.jwks: expected { keys: [...] }`);
+    for (const key of ["issuer", "audience"]) {
+        if (jwt[key] !== undefined && toList(jwt[key]).some((v) => typeof v !== "string")) errors.push(`${path}.${key}: expected string or string array`);
+    }
+    if (jwt.clock_skew_s !== undefined) checkSchemaValue(`${path}.clock_skew_s`, jwt.clock_skew_s, { type: "integer", min: 0, max: 600 }, errors);
+    if (jwt.jwks_cache_s !== undefined) checkSchemaValue(`${path}.jwks_cache_s`, jwt.jwks_cache_s, { type: "integer", min: 60, max: 86400 }, errors);
+    if (jwt.forward_claims !== undefined) {
+        checkSchemaValue(`${path}.forward_claims`, jwt.forward_claims, { type: "object" }, errors);
+        Object.entries(jwt.forward_claims || {}).forEach(([claim, header]) => {
+            if (typeof header !== "string" || !/^[A-Za-z0-9-]+$/.test(header)) errors.push(`${path}.forward_claims.${claim}: invalid header name`);
+        });
+    }
+    const algorithms = Array.isArray(jwt.algorithms) ? jwt.algorithms : JWT_DEFAULT_ALGORITHMS;
+    if (jwt.enabled && !jwt.jwks_url && !jwt.jwks && !algorithms.includes("HS256")) {
+        errors.push(`${path}: jwks_url, jwks or algorithms: ["HS256"] required`);
+    }
+}
+
+function validateSignedUrlRule(path, rule, errors) {
+    if (rule.id !== undefined) checkSchemaValue(`${path}.id`, rule.id, { type: "string" }, errors);
+    const prefixes = rule.path_prefix === undefined ? [] : toList(rule.path_prefix);
+    if (prefixes.length === 0) errors.push(`${path}.path_prefix: required`);
+    prefixes.forEach((p, i) => {
+        if (typeof p !== "string" || !p.startsWith("/")) errors.push(`${path}.path_prefix[${i}]: expected path starting with /`);
+    });
+    for (const key of ["bind_ip", "private"]) {
+        if (rule[key] !== undefined) checkSchemaValue(`${path}.${key}`, rule[key], { type: "boolean" }, errors);
+    }
+    if (rule.max_ttl_s !== undefined) checkSchemaValue(`${path}.max_ttl_s`, rule.max_ttl_s, { type: "integer", min: 60, max: 31536000 }, errors);
+}
+
+function validateAIBudgets(path, budgets, errors) {
+    if (budgets.enabled !== undefined) checkSchemaValue(`${path}.enabled`, budgets.enabled, { type: "boolean" }, errors);
+    if (budgets.key !== undefined) checkSchemaValue(`${path}.key`, budgets.key, { type: "string", pattern: /^(api_key|tenant|header:[\w-]+)$/ }, errors);
+    const checkLimits = (at, limits) => {
+        for (const name of Object.keys(AI_BUDGET_WINDOWS)) {
+            if (limits[`${name}_tokens`] !== undefined) checkSchemaValue(`${at}.${name}_tokens`, limits[`${name}_tokens`], { type: "integer", min: 1 }, errors);
+            if (limits[`${name}_usd`] !== undefined) checkSchemaValue(`${at}.${name}_usd`, limits[`${name}_usd`], { type: "number", min: 0 }, errors);
+        }
+        if (limits.soft_limit_pct !== undefined) checkSchemaValue(`${at}.soft_limit_pct`, limits.soft_limit_pct, { type: "integer", min: 1, max: 100 }, errors);
+    };
+    checkLimits(path, budgets);
+    if (budgets.keys !== undefined) {
+        checkSchemaValue(`${path}.keys`, budgets.keys, { type: "object" }, errors);
+        Object.entries(budgets.keys || {}).forEach(([keyId, limits]) => {
+            if (!limits || typeof limits !== "object") errors.push(`${path}.keys.${keyId}: expected object`);
+            else checkLimits(`${path}.keys.${keyId}`, limits);
+        });
+    }
+}
+
+function validateSemanticCacheScope(path, scope, errors) {
+    if (scope.fingerprint !== undefined) {
+        checkSchemaValue(`${path}.fingerprint`, scope.fingerprint, { type: "array", items: { type: "string", enum: () => SEMANTIC_SCOPE_PARTS } }, errors);
+    }
+    if (scope.key !== undefined) checkSchemaValue(`${path}.key`, scope.key, { type: "string", pattern: /^(api_key|tenant|header:[\w-]+)$/ }, errors);
+    if (scope.turns !== undefined) checkSchemaValue(`${path}.turns`, scope.turns, { type: "integer", min: 1, max: 50 }, errors);
+    if (scope.max_temperature !== undefined) checkSchemaValue(`${path}.max_temperature`, scope.max_temperature, { type: "number", min: 0, max: 2 }, errors);
+    if (scope.cache_multiple_choices !== undefined) {
+        checkSchemaValue(`${path}.cache_multiple_choices`, scope.cache_multiple_choices, { type: "boolean" }, errors);
+    }
+}
+
+function validateAIFailover(path, failover, errors) {
+    if (failover.enabled !== undefined) checkSchemaValue(`${path}.enabled`, failover.enabled, { type: "boolean" }, errors);
+    if (failover.statuses !== undefined) {
+        checkSchemaValue(`${path}.statuses`, failover.statuses, { type: "array", items: { type: "integer", min: 400, max: 599 } }, errors);
+    }
+    if (failover.timeout_ms !== undefined) checkSchemaValue(`${path}.timeout_ms`, failover.timeout_ms, { type: "integer", min: 100, max: 300000 }, errors);
+    if (failover.retries !== undefined) checkSchemaValue(`${path}.retries`, failover.retries, { type: "integer", min: 0, max: 5 }, errors);
+    if (failover.backoff_ms !== undefined) checkSchemaValue(`${path}.backoff_ms`, failover.backoff_ms, { type: "integer", min: 0, max: 10000 }, errors);
+    if (failover.max_attempts !== undefined) checkSchemaValue(`${path}.max_attempts`, failover.max_attempts, { type: "integer", min: 1, max: 10 }, errors);
+    if (failover.deadline_ms !== undefined) checkSchemaValue(`${path}.deadline_ms`, failover.deadline_ms, { type: "integer", min: 100, max: 600000 }, errors);
+    if (failover.server_keys !== undefined) {
+        checkSchemaValue(`${path}.server_keys`, failover.server_keys, { type: "string", enum: () => AI_SERVER_KEY_MODES }, errors);
+    }
+
+    if (failover.chain === undefined) return;
+    if (!Array.isArray(failover.chain)) return errors.push(`${path}.chain: expected array`);
+    failover.chain.forEach((entry, i) => {
+        const at = `${path}.chain[${i}]`;
+        if (typeof entry === "string") {
+            const provider = entry.split(":")[0];
+            if (!AI_FAILOVER_PROVIDERS.includes(provider)) errors.push(`${at}: provider must be one of ${AI_FAILOVER_PROVIDERS.join(", ")}`);
+            else if (provider !== "openai" && !entry.includes(":")) errors.push(`${at}: expected "${provider}:{model}"`);
+            return;
+        }
+        if (!entry || typeof entry !== "object") return errors.push(`${at}: expected "provider:model" or object`);
+        checkSchemaValue(`${at}.provider`, entry.provider, { type: "string", enum: () => AI_FAILOVER_PROVIDERS }, errors);
+        if (entry.provider === undefined) errors.push(`${at}.provider: required`);
+        if (entry.model !== undefined) checkSchemaValue(`${at}.model`, entry.model, { type: "string" }, errors);
+        if (entry.models !== undefined) {
+            checkSchemaValue(`${at}.models`, entry.models, { type: "object" }, errors);
+            Object.entries(entry.models || {}).forEach(([from, to]) => {
+                if (typeof to !== "string") errors.push(`${at}.models.${from}: expected model name`);
+            });
+        }
+        if (entry.provider !== "openai" && entry.model === undefined && entry.models === undefined) {
+            errors.push(`${at}: model or models required`);
+        }
+        if (entry.retries !== undefined) checkSchemaValue(`${at}.retries`, entry.retries, { type: "integer", min: 0, max: 5 }, errors);
+        if (entry.key_secret !== undefined) checkSchemaValue(`${at}.key_secret`, entry.key_secret, { type: "string", pattern: /^[A-Z][A-Z0-9_]*$/ }, errors);
+    });
+}
+
+function validateAIUnified(path, unified, errors) {
+    for (const key of ["enabled", "restrict_models"]) {
+        if (unified[key] !== undefined) checkSchemaValue(`${path}.${key}`, unified[key], { type: "boolean" }, errors);
+    }
+    if (unified.models !== undefined) checkSchemaValue(`${path}.models`, unified.models, { type: "array", items: { type: "string" } }, errors);
+    if (unified.aliases !== undefined) {
+        checkSchemaValue(`${path}.aliases`, unified.aliases, { type: "object" }, errors);
+        Object.entries(unified.aliases || {}).forEach(([alias, model]) => {
+            if (typeof model !== "string") errors.push(`${path}.aliases.${alias}: expected model name`);
+        });
+    }
+    if (unified.server_keys !== undefined) {
+        checkSchemaValue(`${path}.server_keys`, unified.server_keys, { type: "string", enum: () => AI_SERVER_KEY_MODES }, errors);
+    }
+}
+
+function validateAIPricing(path, pricing, errors) {
+    Object.entries(pricing).forEach(([model, price]) => {
+        if (!price || typeof price !== "object") return errors.push(`${path}.${model}: expected { input, output }`);
+        for (const key of ["input", "output"]) {
+            if (price[key] !== undefined) checkSchemaValue(`${path}.${model}.${key}`, price[key], { type: "number", min: 0 }, errors);
+        }
+    });
+}
+
+function validateSecurityEvents(path, settings, errors) {
+    if (settings.enabled !== undefined) checkSchemaValue(`${path}.enabled`, settings.enabled, { type: "boolean" }, errors);
+    if (settings.sample_rate !== undefined) {
+        checkSchemaValue(`${path}.sample_rate`, settings.sample_rate, { type: "number", min: 0, max: 1 }, errors);
+    }
+    if (settings.ttl_s !== undefined) {
+        checkSchemaValue(`${path}.ttl_s`, settings.ttl_s, { type: "integer", min: 60, max: 2592000 }, errors);
+    }
+}
+
+function validateCacheKeyPolicy(path, policy, errors) {
+    const stringList = { type: "array", items: { type: "string" } };
+    for (const key of ["query_include", "query_exclude", "headers", "cookies", "languages"]) {
+        if (policy[key] !== undefined) checkSchemaValue(`${path}.${key}`, policy[key], stringList, errors);
+    }
+    for (const key of ["query_sort", "ignore_query", "ignore_marketing_params", "device"]) {
+        if (policy[key] !== undefined) checkSchemaValue(`${path}.${key}`, policy[key], { type: "boolean" }, errors);
+    }
+    if (policy.default_language !== undefined) {
+        checkSchemaValue(`${path}.default_language`, policy.default_language, { type: "string" }, errors);
+        if (!Array.isArray(policy.languages) || !policy.languages.includes(policy.default_language)) {
+            errors.push(`${path}.default_language: must be one of languages`);
+        }
+    }
+}
+
+// ── Versioned records ────────────────────────────────────────
+
+function configVersionKey(clientId, version) {
+    return `CFG_${clientId}_V${version}`;
+}
+
+function configPointerKey(clientId) {
+    return `CFG_${clientId}_ACTIVE`;
+}
+
+/**
+ * Read the active config record for a tenant.
+ * Returns { version, config } — version is null for the legacy unversioned key —
+ * or null when nothing is stored. KV errors propagate to the caller.
+ */
+async function readActiveConfig(env, clientId) {
+    const kv = env.CLOUDEDGING_CONFIG;
+    const pointer = await kv.get(configPointerKey(clientId));
+    const version = parseInt(pointer || "", 10);
+
+    if (Number.isInteger(version) && version > 0) {
+        const record = await kv.get(configVersionKey(clientId, version), { type: "json" });
+        if (record) return { version, config: record.config };
+        console.error(`[Shield Config] ${clientId}: ACTIVE points at missing version ${version}`);
+        return { version, config: null };
+    }
+
+    const legacy = await kv.get(`CFG_${clientId}`, { type: "json" });
+    return legacy ? { version: null, config: legacy } : null;
+}
+
+/**
+ * Walk back from `fromVersion` to the newest version that validates.
+ * Used on cold isolates, which have no in-memory last-known-good.
+ */
+async function findLastValidConfig(env, clientId, fromVersion) {
+    for (let v = fromVersion - 1; v > 0 && v >= fromVersion - CONFIG_ROLLBACK_DEPTH; v--) {
+        const record = await env.CLOUDEDGING_CONFIG.get(configVersionKey(clientId, v), { type: "json" });
+        if (!record) continue;
+        if (validateConfig(record.config).errors.length === 0) return { version: v, config: record.config };
+    }
+    return null;
+}
+
+/**
+ * List stored versions, newest first. Version metadata (created_at, note)
+ * is stored as KV key metadata so listing needs no per-version reads.
+ */
+async function listConfigVersions(env, clientId) {
+    const prefix = `CFG_${clientId}_V`;
+    const versions = [];
+    let cursor;
+    do {
+        const page = await env.CLOUDEDGING_CONFIG.list({ prefix, cursor });
+        for (const key of page.keys) {
+            const version = parseInt(key.name.slice(prefix.length), 10);
+            if (Number.isInteger(version)) versions.push({ version, ...(key.metadata || {}) });
+        }
+        cursor = page.list_complete ? null : page.cursor;
+    } while (cursor);
+    return versions.sort((a, b) => b.version - a.version);
+}
+
+async function readConfigVersion(env, clientId, version) {
+    return env.CLOUDEDGING_CONFIG.get(configVersionKey(clientId, version), { type: "json" });
+}
+
+/**
+ * Store a new version (max existing + 1) and point ACTIVE at it.
+ * Not atomic across concurrent writers — the admin API is the only writer
+ * and is expected to be driven by one operator or pipeline at a time.
+ */
+async function writeConfigVersion(env, clientId, config, note = "") {
+    const versions = await listConfigVersions(env, clientId);
+    const version = (versions[0]?.version || 0) + 1;
+    const createdAt = new Date().toISOString();
+
+    await env.CLOUDEDGING_CONFIG.put(
+        configVersionKey(clientId, version),
+        JSON.stringify({ version, config, created_at: createdAt, note }),
+        { metadata: { created_at: createdAt, note: String(note).substring(0, 200) } }
+    );
+    await setActiveConfigVersion(env, clientId, version);
+    return version;
+}
+
+async function setActiveConfigVersion(env, clientId, version) {
+    await env.CLOUDEDGING_CONFIG.put(configPointerKey(clientId), String(version));
+    // This isolate picks it up immediately; others within their config TTL
+    CONFIG_CACHE.delete(clientId);
+}
@@ -3,13 +3,18 @@
  * Architecture: Middleware Pipeline with Feature Registry
  *
  * Each mode maps to a handler. Config is loaded from KV (CLOUDEDGING_CONFIG).
+ * The route table (router.js) can select a different mode per host/path/method.
  * The Python deploy stitcher concatenates all modules into a single worker file.
  */
 
 // --- GLOBAL STATE ---
-let CACHED_CONFIG = null;
-let LAST_CONFIG_FETCH = 0;
+// Config is cached per tenant (clientId → { config, fetchedAt, ttlMs }) so one
+// Worker can front many customer domains without tenants sharing a TTL.
+const CONFIG_CACHE = new Map();
 const CONFIG_TTL_MS = 60000;
+// Hostname → clientId map for multi-tenant deployments (KV key TENANT_MAP)
+let TENANT_MAP = null;
+let TENANT_MAP_FETCH = 0;
 
 // ============================================================
 // EXTENSION REGISTRY — add new features here
@@ -33,7 +38,14 @@ export default {
 
         try {
             // 0. LOAD CONFIGURATION (needed by security pipeline for all paths)
-            const config = await loadConfig(env);
+            // The route table picks the mode + config overlay for this request, so
+            // one Worker can serve /assets/* from R2 and /v1/chat/* via the AI gateway.
+            // The tenant is resolved from the Host first — multi-tenant deployments
+            // map each customer domain to its own CFG_{clientId} record.
+            const clientId = await resolveTenant(env, url);
+            const baseConfig = await loadConfig(env, clientId);
+            const route = resolveRoute(baseConfig, request, url);
+            const config = applyRoute(baseConfig, route);
 
             // 1. SECURITY PIPELINE (Universal — runs before protocol handlers)
             // Must run before WebSocket upgrade check so geo-block and rate limiting
@@ -41,10 +53,15 @@ export default {
             // via WebSocket is a compliance violation for REALTIME/crypto customers.
             const securityResponse = await runSecurityPipeline(request, env, config, url, ctx);
             if (securityResponse) return securityResponse;
+            // Verified JWT claims → origin request headers (client copies removed)
+            request = applyOriginRequestHeaders(request);
+
+            // Active health probing for multi-member origin pools (background, throttled per tenant and pool)
+            scheduleOriginProbes(config, env, ctx);
 
             // 2. PROTOCOL HANDLERS (after security checks pass)
             const upgradeHeader = (request.headers.get("Upgrade") || "").toLowerCase().trim();
-            if (upgradeHeader === "websocket") return await handleWebSocket(request, env);
+            if (upgradeHeader === "websocket") return await handleWebSocket(request, env, config);
 
             // 3. EXECUTE FEATURE HANDLER
             const handler = FEATURE_HANDLERS[config.mode] || handleWebTraffic;
@@ -0,0 +1,166 @@
+// ============================================================
+// DURABLE OBJECTS — exported classes bound in wrangler.toml
+//
+//   ShieldLock         (binding SHIELD_LOCKS) — short-lived named locks for
+//                      cross-isolate request coalescing (coalesce.js)
+//   ShieldRateLimiter  (binding SHIELD_RATE_LIMITER) — atomic token bucket /
+//                      sliding window counter per rate-limit key (ratelimit.js),
+//                      and AI budget usage counters (ai_budgets.js)
+//
+// Durable Objects are optional: every caller checks for the binding
+// and falls back to isolate-local behaviour when it is absent.
+// ============================================================
+
+/**
+ * One instance per lock name (idFromName). State is in memory only —
+ * if the object is evicted the lock is simply released, which is the
+ * safe direction for a coalescing hint.
+ *
+ *   POST /acquire?ttl_ms=5000   → { acquired: true, token } | { acquired: false, retry_ms }
+ *   POST /release?token=…       → { released: bool }
+ */
+export class ShieldLock {
+    constructor(state, env) {
+        this.state = state;
+        this.lockedUntil = 0;
+        this.token = null;
+    }
+
+    async fetch(request) {
+        const url = new URL(request.url);
+        const now = Date.now();
+
+        if (url.pathname === "/acquire") {
+            const ttlMs = Math.min(Math.max(parseInt(url.searchParams.get("ttl_ms") || "5000", 10) || 5000, 100), 60000);
+            if (now < this.lockedUntil) {
+                return lockJson({ acquired: false, retry_ms: this.lockedUntil - now });
+            }
+            this.lockedUntil = now + ttlMs;
+            this.token = crypto.randomUUID();
+            return lockJson({ acquired: true, token: this.token });
+        }
+
+        if (url.pathname === "/release") {
+            const released = !!this.token && url.searchParams.get("token") === this.token;
+            if (released) {
+                this.lockedUntil = 0;
+                this.token = null;
+            }
+            return lockJson({ released });
+        }
+
+        return new Response("Not Found", { status: 404 });
+    }
+}
+
+/**
+ * One instance per rate-limit key. A Durable Object handles one request at a
+ * time, so read-modify-write of the counter is atomic without locking. State
+ * is persisted so an evicted object does not hand out a fresh quota.
+ *
+ *   POST /check?algorithm=token_bucket|sliding_window&limit=&window_s=&burst=
+ *        → { allowed, limit, remaining, reset_s, retry_after_s }
+ *   GET  /peek   → stored state
+ *   POST /reset  → clear state
+ *   GET  /usage                  → { tokens, usd, requests }   (AI budget key)
+ *   POST /usage?tokens=&usd=     → add, return the new totals
+ */
+export class ShieldRateLimiter {
+    constructor(state, env) {
+        this.state = state;
+        this.data = null;
+        state.blockConcurrencyWhile(async () => {
+            this.data = (await state.storage.get("state")) || null;
+        });
+    }
+
+    async fetch(request) {
+        const url = new URL(request.url);
+        const now = Date.now();
+
+        if (url.pathname === "/peek") return lockJson({ state: this.data });
+
+        // AI budget windows are separate instances (AIB_… names), so usage
+        // never shares an object with a rate-limit bucket
+        if (url.pathname === "/usage") {
+            const usage = (await this.state.storage.get("usage")) || { tokens: 0, usd: 0, requests: 0 };
+            if (request.method === "POST") {
+                usage.tokens += Math.max(parseInt(url.searchParams.get("tokens") || "0", 10) || 0, 0);
+                usage.usd += Math.max(parseFloat(url.searchParams.get("usd") || "0") || 0, 0);
+                usage.requests += 1;
+                await this.state.storage.put("usage", usage);
+            }
+            return lockJson(usage);
+        }
+
+        if (url.pathname === "/reset") {
+            this.data = null;
+            await this.state.storage.delete("state");
+            return lockJson({ reset: true });
+        }
+
+        if (url.pathname !== "/check") return new Response("Not Found", { status: 404 });
+
+        const param = (name, fallback) => Math.max(parseInt(url.searchParams.get(name) || "", 10) || fallback, 1);
+        const limit = param("limit", 100);
+        const windowMs = param("window_s", 60) * 1000;
+        const algorithm = url.searchParams.get("algorithm") === "sliding_window" ? "sliding_window" : "token_bucket";
+
+        // Policy change (algorithm switched) → start from a clean slate
+        if (this.data?.algorithm !== algorithm) this.data = null;
+
+        const result = algorithm === "sliding_window"
+            ? this.slidingWindow(now, limit, windowMs)
+            : this.tokenBucket(now, limit, windowMs, param("burst", limit));
+
+        await this.state.storage.put("state", this.data);
+        return lockJson({ limit, ...result });
+    }
+
+    // Refills limit/window tokens per ms, capped at `burst`
+    tokenBucket(now, limit, windowMs, burst) {
+        const ratePerMs = limit / windowMs;
+        const data = this.data || { algorithm: "token_bucket", tokens: burst, updated_at: now };
+        data.tokens = Math.min(burst, data.tokens + (now - data.updated_at) * ratePerMs);
+        data.updated_at = now;
+        this.data = data;
+
+        const allowed = data.tokens >= 1;
+        if (allowed) data.tokens -= 1;
+        return {
+            allowed,
+            remaining: Math.floor(data.tokens),
+            reset_s: Math.ceil((burst - data.tokens) / ratePerMs / 1000),
+            retry_after_s: allowed ? 0 : Math.ceil((1 - data.tokens) / ratePerMs / 1000),
+        };
+    }
+
+    // Estimate = previous window count × unelapsed fraction + current count
+    slidingWindow(now, limit, windowMs) {
+        const data = this.data || { algorithm: "sliding_window", start: now, previous: 0, current: 0 };
+        const elapsedWindows = Math.floor((now - data.start) / windowMs);
+        if (elapsedWindows > 0) {
+            data.previous = elapsedWindows === 1 ? data.current : 0;
+            data.current = 0;
+            data.start += elapsedWindows * windowMs;
+        }
+        this.data = data;
+
+        const weight = 1 - (now - data.start) / windowMs;
+        const estimate = data.previous * weight + data.current;
+        const allowed = estimate + 1 <= limit;
+        if (allowed) data.current += 1;
+
+        const resetS = Math.ceil((data.start + windowMs - now) / 1000);
+        return {
+            allowed,
+            remaining: Math.max(0, Math.floor(limit - estimate - (allowed ? 1 : 0))),
+            reset_s: resetS,
+            retry_after_s: allowed ? 0 : resetS,
+        };
+    }
+}
+
+function lockJson(data) {
+    return new Response(JSON.stringify(data), { headers: { "Content-Type": "application/json" } });
+}
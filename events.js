@@ -0,0 +1,188 @@
+// ============================================================
+// SECURITY EVENTS — sampled log of WAF and geo-block decisions
+// Written by runWaf and geo-blocking (security.js); read through
+// GET /__shield/events (ADMIN_SECRET — token or HMAC, as admin.js)
+//
+// Every WAF rule match and geo-block decision — enforced or simulated
+// (waf.log_only, rule log_only, geo_log_only) — becomes an event:
+//   { ts, kind: "waf" | "geo", rule, action, outcome, simulated,
+//     ip, country, method, path, field, sample, ray }
+// outcome is what happened to the request: "block", "challenge", "pass",
+// or "would_block" / "would_challenge" when only a simulated decision
+// would have stopped it. sample is a short excerpt of the matched value;
+// fields that look like credentials are redacted.
+//
+// Events are buffered per isolate and written as one KV value per batch:
+//   SECEVT_{clientId}_{inverted ms}_{uuid} → JSON array (CLOUDEDGING_ANALYTICS)
+// The inverted timestamp makes KV list order newest-first. A batch is
+// flushed when it reaches SECURITY_EVENT_BATCH_MAX events, or
+// SECURITY_EVENT_FLUSH_MS after its first event (ctx.waitUntil). An
+// evicted isolate loses its unflushed events — this is a sampled log
+// for measuring rules, not an audit trail. Without the binding batches
+// are dropped (one warning each).
+//
+// security_events: { enabled, sample_rate, ttl_s } — sample_rate applies
+// per request and is stored on each event so counts can be scaled back.
+// ============================================================
+
+const SECURITY_EVENTS_PATH = "/__shield/events";
+const SECURITY_EVENT_BATCH_MAX = 50;
+const SECURITY_EVENT_FLUSH_MS = 5000;
+const SECURITY_EVENT_TTL_DEFAULT_S = 604800; // 7 days
+const SECURITY_EVENT_SAMPLE_CHARS = 120;
+const SECURITY_EVENT_TS_MAX = 9999999999999; // inverted-timestamp base (ms, year 2286)
+const SECURITY_EVENT_READS_MAX = 200; // batch reads per GET — KV operations count against the subrequest limit
+const SECURITY_EVENT_REDACT = /pass(word|wd)?|secret|token|authorization|cookie|api[-_]?key|session|credit|card|cvv/i;
+const SECURITY_EVENT_BUFFERS = new Map(); // clientId → { events, ttl, scheduled }
+
+/**
+ * Queue events for the request (one sampling decision per call). `events`
+ * carry kind / rule / action / outcome / simulated / field / value; the
+ * request supplies the rest. Never throws, never blocks the response.
+ */
+function recordSecurityEvents(ctx, env, config, request, events) {
+    const settings = config.security_events || {};
+    if (settings.enabled === false || events.length === 0) return;
+    const sampleRate = settings.sample_rate ?? 1;
+    if (Math.random() >= sampleRate) return;
+
+    try {
+        const url = new URL(request.url);
+        const base = {
+            ts: new Date().toISOString(),
+            ip: request.headers.get("CF-Connecting-IP") || null,
+            country: request.cf?.country || "XX",
+            method: request.method,
+            path: url.pathname.substring(0, 256),
+            ray: request.headers.get("CF-Ray") || null,
+            sample_rate: sampleRate,
+        };
+        const clientId = config.client_id || "default";
+        let buffer = SECURITY_EVENT_BUFFERS.get(clientId);
+        if (!buffer) {
+            buffer = { events: [], ttl: settings.ttl_s || SECURITY_EVENT_TTL_DEFAULT_S, scheduled: false };
+            SECURITY_EVENT_BUFFERS.set(clientId, buffer);
+        }
+
+        for (const { value, match_index: matchIndex, ...event } of events) {
+            buffer.events.push({
+                ...base,
+                ...event,
+                field: event.field || null,
+                sample: value === undefined ? null : securityEventSample(event.field, value, matchIndex),
+            });
+        }
+
+        if (buffer.events.length >= SECURITY_EVENT_BATCH_MAX) {
+            ctx.waitUntil(flushSecurityEvents(env, clientId));
+        } else if (!buffer.scheduled) {
+            buffer.scheduled = true;
+            ctx.waitUntil(sleep(SECURITY_EVENT_FLUSH_MS).then(() => flushSecurityEvents(env, clientId)));
+        }
+    } catch (e) {
+        console.error("[Shield Events] Record failed", e.message);
+    }
+}
+
+async function flushSecurityEvents(env, clientId) {
+    const buffer = SECURITY_EVENT_BUFFERS.get(clientId);
+    if (!buffer || buffer.events.length === 0) return;
+    const events = buffer.events.splice(0);
+    buffer.scheduled = false;
+
+    if (!env.CLOUDEDGING_ANALYTICS) {
+        console.warn(`[Shield Events] CLOUDEDGING_ANALYTICS not bound — dropped ${events.length} events for ${clientId}`);
+        return;
+    }
+    const inverted = String(SECURITY_EVENT_TS_MAX - Date.now()).padStart(13, "0");
+    try {
+        await env.CLOUDEDGING_ANALYTICS.put(
+            `SECEVT_${clientId}_${inverted}_${crypto.randomUUID()}`,
+            JSON.stringify(events),
+            { expirationTtl: buffer.ttl, metadata: { count: events.length } }
+        );
+    } catch (e) {
+        console.error(`[Shield Events] Flush of ${events.length} events failed for ${clientId}`, e.message);
+    }
+}
+
+// Excerpt around the match; credential-looking fields are never stored
+function securityEventSample(field, value, index = 0) {
+    if (field && SECURITY_EVENT_REDACT.test(field)) return "[redacted]";
+    const text = String(value);
+    const start = Math.max(0, Math.min(index - 20, text.length - SECURITY_EVENT_SAMPLE_CHARS));
+    return text.substring(start, start + SECURITY_EVENT_SAMPLE_CHARS);
+}
+
+/**
+ * GET /__shield/events — newest first.
+ *   ?kind=waf|geo &rule= &action= &outcome= &simulated=true|false
+ *   &ip= &country= &path_prefix= &since={ISO or ms} &limit=100 &cursor=
+ * cursor is the last batch key of the previous page. A page stops after
+ * SECURITY_EVENT_READS_MAX batch reads even when it holds fewer than
+ * `limit` events — keep following cursor until it is null.
+ */
+async function handleSecurityEventsRequest(request, env, config, url) {
+    // Same credentials as the admin API, and the same 404 for everyone else
+    if (!(await authenticateAdmin(request, env, url, ""))) return new Response("Not Found", { status: 404 });
+    if (request.method !== "GET") return adminJson({ error: "Method not allowed" }, 405);
+    if (!env.CLOUDEDGING_ANALYTICS) return adminJson({ error: "CLOUDEDGING_ANALYTICS not bound" }, 503);
+
+    const q = url.searchParams;
+    const limit = Math.min(Math.max(parseInt(q.get("limit") || "100", 10) || 100, 1), 1000);
+    const sinceParam = q.get("since");
+    const since = sinceParam ? (/^\d+$/.test(sinceParam) ? Number(sinceParam) : Date.parse(sinceParam)) : null;
+    const after = q.get("cursor");
+    const filters = ["kind", "rule", "action", "outcome", "ip", "country"]
+        .map((name) => [name, q.get(name)])
+        .filter(([, value]) => value);
+    const simulated = q.has("simulated") ? q.get("simulated") === "true" : null;
+    const pathPrefix = q.get("path_prefix");
+
+    const prefix = `SECEVT_${config.client_id}_`;
+    const events = [];
+    let cursor = null;
+    let kvCursor;
+    let scanned = 0;
+    let lastRead = null;
+
+    scan: do {
+        const page = await env.CLOUDEDGING_ANALYTICS.list({ prefix, cursor: kvCursor });
+        for (const entry of page.keys) {
+            if (after && entry.name <= after) continue;
+            // Not one of this tenant's batch keys (SECEVT_{clientId}_{13 digits}_{uuid}) — skip
+            const stamp = entry.name.slice(prefix.length).split("_")[0];
+            if (!/^\d{13}$/.test(stamp)) continue;
+            const batchMs = SECURITY_EVENT_TS_MAX - Number(stamp);
+            if (since !== null && batchMs < since) break scan; // older batches only from here on
+            if (scanned >= SECURITY_EVENT_READS_MAX) {
+                cursor = lastRead; // read budget spent — the next page resumes after the last batch read
+                break scan;
+            }
+
+            const batch = (await env.CLOUDEDGING_ANALYTICS.get(entry.name, { type: "json" })) || [];
+            scanned++;
+            lastRead = entry.name;
+            for (const event of batch) {
+                if (filters.some(([name, value]) => String(event[name]) !== value)) continue;
+                if (simulated !== null && event.simulated !== simulated) continue;
+                if (pathPrefix && !event.path?.startsWith(pathPrefix)) continue;
+                if (since !== null && Date.parse(event.ts) < since) continue;
+                events.push(event);
+            }
+            if (events.length >= limit) {
+                cursor = entry.name; // whole batches per page — the next page starts after this one
+                break scan;
+            }
+        }
+        kvCursor = page.list_complete ? null : page.cursor;
+    } while (kvCursor);
+
+    return adminJson({
+        client_id: config.client_id,
+        count: events.length,
+        batches_scanned: scanned,
+        events,
+        cursor,
+    });
+}
@@ -0,0 +1,83 @@
+// ============================================================
+// IP / ASN ACCESS LISTS — allow and deny by CIDR or network
+// Used by runSecurityPipeline, before geo-blocking and rate limiting
+//
+//   ip_allowlist:  ["203.0.113.0/24", "2001:db8:1234::/48", "198.51.100.7"]
+//   ip_denylist:   [...]
+//   asn_allowlist: [13335]       // request.cf.asn
+//   asn_denylist:  [64500, 64501]
+//
+// Allow wins over deny. Allowlisted clients (office, monitoring, partner
+// webhooks) skip rate limiting and the WAF; geo-blocking still applies,
+// since it is usually a legal requirement rather than a threat filter.
+// Denylisted clients get a 403 and a security event (kind "ip").
+//
+// Lists of thousands of ranges are compiled once per config object into
+// merged, sorted [start, end] ranges per IP version, and matched with a
+// binary search — O(log n) per request instead of a scan.
+// ============================================================
+
+const IP_LIST_COMPILED = new WeakMap(); // list array → { 4: ranges, 6: ranges }
+
+/**
+ * Returns { allowed: bool, denied: string | null } — denied names the
+ * list that matched ("ip_denylist" / "asn_denylist").
+ */
+function checkIpLists(config, ip, asn) {
+    const address = parseIp(ip);
+    const inList = (key) => ipListContains(config[key], address);
+    const inAsns = (key) => asn !== undefined && asn !== null && (config[key] || []).includes(Number(asn));
+
+    if (inList("ip_allowlist") || inAsns("asn_allowlist")) return { allowed: true, denied: null };
+    if (inList("ip_denylist")) return { allowed: false, denied: "ip_denylist" };
+    if (inAsns("asn_denylist")) return { allowed: false, denied: "asn_denylist" };
+    return { allowed: false, denied: null };
+}
+
+function ipListContains(list, address) {
+    if (!address || !Array.isArray(list) || list.length === 0) return false;
+    const ranges = compileIpList(list)[address.version];
+
+    // Last range starting at or before the address — ranges don't overlap
+    let low = 0;
+    let high = ranges.length - 1;
+    while (low <= high) {
+        const mid = (low + high) >> 1;
+        if (ranges[mid][0] <= address.value) low = mid + 1;
+        else high = mid - 1;
+    }
+    return high >= 0 && address.value <= ranges[high][1];
+}
+
+function compileIpList(list) {
+    if (IP_LIST_COMPILED.has(list)) return IP_LIST_COMPILED.get(list);
+
+    const byVersion = { 4: [], 6: [] };
+    for (const entry of list) {
+        const range = parseCidr(entry);
+        if (range) byVersion[range.version].push([range.start, range.end]);
+    }
+    for (const version of [4, 6]) {
+        const sorted = byVersion[version].sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+        const merged = [];
+        for (const range of sorted) {
+            const last = merged[merged.length - 1];
+            if (last && range[0] <= last[1] + 1n) {
+                if (range[1] > last[1]) last[1] = range[1];
+            } else {
+                merged.push([range[0], range[1]]);
+            }
+        }
+        byVersion[version] = merged;
+    }
+
+    IP_LIST_COMPILED.set(list, byVersion);
+    return byVersion;
+}
+
+function ipDeniedResponse(list) {
+    return new Response("Forbidden", {
+        status: 403,
+        headers: { "Content-Type": "text/plain", "Cache-Control": "no-store", "X-Shield-IP-List": list },
+    });
+}
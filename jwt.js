@@ -0,0 +1,265 @@
+// ============================================================
+// JWT — edge verification of bearer tokens (API / SAAS modes)
+// Used by runSecurityPipeline (section G)
+//
+// jwt: {
+//   enabled: true,
+//   jwks_url: "https://auth.example.com/.well-known/jwks.json",  // and/or
+//   jwks: { keys: [ … ] },                                        // inline public keys
+//   algorithms: ["RS256", "ES256"],     // default; HS256 only when listed
+//   secret_name: "JWT_SECRET_ACME",     // HS256 Worker secret (see below)
+//   issuer: "https://auth.example.com/",  audience: "api://orders",
+//   clock_skew_s: 60, jwks_cache_s: 600,
+//   optional: false,                    // true: no token → pass, bad token → 401
+//   forward_claims: { sub: "X-Shield-Auth-Sub", email: "X-User-Email" }
+// }
+// jwt_scopes: ["orders:read"] — required scopes, usually set per route.
+//
+// RS256 / ES256 keys come from the JWKS (fetched keys cached per isolate
+// for jwks_cache_s; an unknown kid triggers one early refetch per minute
+// so key rotation is picked up). HS256 is opt-in (listed in algorithms)
+// and uses the Worker secret named by secret_name — shared secrets never
+// live in KV config. Without secret_name only the deployment's own tenant
+// (CLIENT_ID) falls back to JWT_SECRET: a deployment-wide secret would let
+// one tenant's tokens verify on every other. The key type must match the
+// token's alg, so an RSA public key can never be used as an HMAC secret.
+//
+// Failures → 401 with WWW-Authenticate: Bearer (RFC 6750); a valid token
+// without the route's scopes → 403 insufficient_scope. Verified claims
+// are sent to origin as headers; client-supplied copies of those headers
+// are always removed, token or not.
+// ============================================================
+
+const JWT_ALGORITHMS = {
+    RS256: { kty: "RSA", import: { name: "RSASSA-PKCS1-v1_5", hash: "SHA-256" }, verify: { name: "RSASSA-PKCS1-v1_5" } },
+    ES256: { kty: "EC", import: { name: "ECDSA", namedCurve: "P-256" }, verify: { name: "ECDSA", hash: "SHA-256" } },
+    HS256: { kty: "oct", import: { name: "HMAC", hash: "SHA-256" }, verify: { name: "HMAC" } },
+};
+const JWT_DEFAULT_ALGORITHMS = ["RS256", "ES256"];
+const JWT_MAX_LENGTH = 8192;
+const JWT_CLOCK_SKEW_DEFAULT_S = 60;
+const JWKS_CACHE_DEFAULT_S = 600;
+const JWKS_REFETCH_MIN_MS = 60000;
+const JWT_FORWARD_DEFAULT = { sub: "X-Shield-Auth-Sub" };
+const JWT_FORWARD_MAX_CHARS = 1024;
+const JWKS_CACHE = new Map(); // jwks_url → { keys, fetchedAt }
+const JWT_KEYS = new WeakMap(); // jwk object → CryptoKey
+const JWT_VERIFIED_CLAIMS = new WeakMap(); // Request → claims of its verified token
+
+/**
+ * Section G of the security pipeline. Returns a 401 / 403 Response, or
+ * null — with verified claims queued as origin request headers.
+ */
+async function verifyJwtRequest(request, env, config, url) {
+    const jwt = config.jwt || {};
+    if (!jwt.enabled) return null;
+
+    // Never let a client supply its own "verified" claims
+    const forward = jwt.forward_claims || JWT_FORWARD_DEFAULT;
+    const cleared = Object.fromEntries(Object.values(forward).map((h) => [h, null]));
+    for (const [name] of request.headers) {
+        if (name.startsWith("x-shield-auth-")) cleared[name] = null;
+    }
+    setOriginRequestHeaders(request, cleared);
+
+    const match = /^Bearer\s+(\S+)$/i.exec(request.headers.get("Authorization") || "");
+    if (!match) {
+        if (jwt.optional) return null;
+        return jwtUnauthorized(url, null, "Bearer token required");
+    }
+
+    let claims;
+    try {
+        claims = await verifyJwt(match[1], env, jwt, config.client_id);
+    } catch (e) {
+        console.warn(`[Shield JWT] ${request.method} ${url.pathname} rejected: ${e.message}`);
+        return jwtUnauthorized(url, "invalid_token", e.message);
+    }
+
+    const required = config.jwt_scopes || [];
+    const granted = jwtScopes(claims);
+    const missing = required.filter((s) => !granted.includes(s));
+    if (missing.length > 0) {
+        return new Response(JSON.stringify({ error: "insufficient_scope", required }), {
+            status: 403,
+            headers: {
+                "Content-Type": "application/json",
+                "Cache-Control": "no-store",
+                "WWW-Authenticate": `Bearer realm="${url.hostname}", error="insufficient_scope", scope="${required.join(" ")}"`,
+            },
+        });
+    }
+
+    const headers = {};
+    for (const [claim, header] of Object.entries(forward)) {
+        if (claims[claim] === undefined || claims[claim] === null) continue;
+        const value = typeof claims[claim] === "string" ? claims[claim] : JSON.stringify(claims[claim]);
+        headers[header] = value.replace(/[\r\n]/g, " ").substring(0, JWT_FORWARD_MAX_CHARS);
+    }
+    setOriginRequestHeaders(request, headers);
+    JWT_VERIFIED_CLAIMS.set(request, claims);
+    return null;
+}
+
+// Claims of the request's verified bearer token, null when it carried none
+// (jwt disabled, or optional and absent). Used to gate operator-paid AI keys.
+function jwtVerifiedClaims(request) {
+    return JWT_VERIFIED_CLAIMS.get(request) || null;
+}
+
+/**
+ * Verify signature and registered claims. Returns the payload, throws
+ * with a client-safe reason otherwise.
+ */
+async function verifyJwt(token, env, jwt, clientId) {
+    if (token.length > JWT_MAX_LENGTH) throw new Error("token too large");
+    const parts = token.split(".");
+    if (parts.length !== 3) throw new Error("malformed token");
+
+    let header;
+    let payload;
+    try {
+        header = JSON.parse(base64UrlDecodeText(parts[0]));
+        payload = JSON.parse(base64UrlDecodeText(parts[1]));
+    } catch (e) {
+        throw new Error("malformed token");
+    }
+    if (!payload || typeof payload !== "object") throw new Error("malformed token");
+
+    const allowed = jwt.algorithms || JWT_DEFAULT_ALGORITHMS;
+    const alg = JWT_ALGORITHMS[header.alg];
+    if (!alg || !allowed.includes(header.alg)) throw new Error(`algorithm ${header.alg} not allowed`);
+
+    const keys = await jwtCandidateKeys(header, alg, env, jwt, clientId);
+    if (keys.length === 0) throw new Error("no matching key");
+
+    const data = new TextEncoder().encode(`${parts[0]}.${parts[1]}`);
+    const signature = base64UrlDecode(parts[2]);
+    let valid = false;
+    for (const key of keys) {
+        if (await crypto.subtle.verify(alg.verify, key, signature, data)) {
+            valid = true;
+            break;
+        }
+    }
+    if (!valid) throw new Error("invalid signature");
+
+    const now = Math.floor(Date.now() / 1000);
+    const skew = jwt.clock_skew_s ?? JWT_CLOCK_SKEW_DEFAULT_S;
+    if (typeof payload.exp !== "number") throw new Error("exp claim required");
+    if (payload.exp + skew < now) throw new Error("token expired");
+    if (typeof payload.nbf === "number" && payload.nbf - skew > now) throw new Error("token not yet valid");
+    if (typeof payload.iat === "number" && payload.iat - skew > now) throw new Error("token issued in the future");
+
+    if (jwt.issuer && !toList(jwt.issuer).includes(payload.iss)) throw new Error("issuer not accepted");
+    if (jwt.audience) {
+        const audiences = toList(payload.aud ?? []);
+        if (!toList(jwt.audience).some((a) => audiences.includes(a))) throw new Error("audience not accepted");
+    }
+    return payload;
+}
+
+async function jwtCandidateKeys(header, alg, env, jwt, clientId) {
+    if (alg.kty === "oct") {
+        const name = jwtSecretName(env, jwt, clientId);
+        if (!name || !env[name]) return [];
+        return [await importJwtKey({ kty: "oct", k: env[name] }, alg, true)];
+    }
+
+    const select = (keys) => keys.filter((k) =>
+        k.kty === alg.kty &&
+        (!header.kid || k.kid === header.kid) &&
+        (!k.alg || k.alg === header.alg) &&
+        (!k.use || k.use === "sig") &&
+        (alg.kty !== "EC" || k.crv === "P-256")
+    );
+
+    let jwks = [...(jwt.jwks?.keys || []), ...(await loadJwks(jwt, false))];
+    let matching = select(jwks);
+    if (matching.length === 0 && header.kid && jwt.jwks_url) {
+        // Unknown kid — the issuer may have rotated keys since the last fetch
+        jwks = [...(jwt.jwks?.keys || []), ...(await loadJwks(jwt, true))];
+        matching = select(jwks);
+    }
+
+    const keys = [];
+    for (const jwk of matching) {
+        try {
+            keys.push(await importJwtKey(jwk, alg, false));
+        } catch (e) {
+            console.error(`[Shield JWT] Unusable JWK ${jwk.kid || "(no kid)"}`, e.message);
+        }
+    }
+    return keys;
+}
+
+// HS256 secret for this tenant: jwt.secret_name, else JWT_SECRET for the deployment's own tenant only
+function jwtSecretName(env, jwt, clientId) {
+    if (jwt.secret_name) return jwt.secret_name;
+    return clientId === (env.CLIENT_ID || "default") ? "JWT_SECRET" : null;
+}
+
+async function loadJwks(jwt, refresh) {
+    if (!jwt.jwks_url) return [];
+    const cached = JWKS_CACHE.get(jwt.jwks_url);
+    const now = Date.now();
+    const ttlMs = (jwt.jwks_cache_s || JWKS_CACHE_DEFAULT_S) * 1000;
+    const fresh = cached && now - cached.fetchedAt < (refresh ? JWKS_REFETCH_MIN_MS : ttlMs);
+    if (fresh) return cached.keys;
+
+    try {
+        const res = await fetch(jwt.jwks_url, { headers: { Accept: "application/json" }, cf: { cacheTtl: 300 } });
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const body = await res.json();
+        const keys = Array.isArray(body?.keys) ? body.keys : [];
+        JWKS_CACHE.set(jwt.jwks_url, { keys, fetchedAt: now });
+        return keys;
+    } catch (e) {
+        console.error(`[Shield JWT] JWKS fetch failed for ${jwt.jwks_url}`, e.message);
+        // Keep serving the last good key set rather than rejecting every token
+        if (cached) {
+            cached.fetchedAt = now;
+            return cached.keys;
+        }
+        return [];
+    }
+}
+
+async function importJwtKey(jwk, alg, rawSecret) {
+    if (!rawSecret && JWT_KEYS.has(jwk)) return JWT_KEYS.get(jwk);
+    const key = rawSecret
+        ? await crypto.subtle.importKey("raw", new TextEncoder().encode(jwk.k), alg.import, false, ["verify"])
+        : await crypto.subtle.importKey("jwk", { kty: jwk.kty, n: jwk.n, e: jwk.e, crv: jwk.crv, x: jwk.x, y: jwk.y }, alg.import, false, ["verify"]);
+    if (!rawSecret) JWT_KEYS.set(jwk, key);
+    return key;
+}
+
+// scope (space-separated, RFC 8693), scp (string or array, Azure AD / Okta), permissions (Auth0)
+function jwtScopes(claims) {
+    const scopes = [];
+    for (const value of [claims.scope, claims.scp, claims.permissions]) {
+        if (typeof value === "string") scopes.push(...value.split(/\s+/).filter(Boolean));
+        else if (Array.isArray(value)) scopes.push(...value.filter((s) => typeof s === "string"));
+    }
+    return scopes;
+}
+
+function jwtUnauthorized(url, error, description) {
+    const challenge = error
+        ? `Bearer realm="${url.hostname}", error="${error}", error_description="${description.replace(/"/g, "'")}"`
+        : `Bearer realm="${url.hostname}"`;
+    return new Response(JSON.stringify({ error: error || "unauthorized", message: description }), {
+        status: 401,
+        headers: { "Content-Type": "application/json", "Cache-Control": "no-store", "WWW-Authenticate": challenge },
+    });
+}
+
+function base64UrlDecode(text) {
+    const b64 = text.replace(/-/g, "+").replace(/_/g, "/");
+    const binary = atob(b64 + "=".repeat((4 - (b64.length % 4)) % 4));
+    return Uint8Array.from(binary, (c) => c.charCodeAt(0));
+}
+
+function base64UrlDecodeText(text) {
+    return new TextDecoder().decode(base64UrlDecode(text));
+}
@@ -0,0 +1,314 @@
+// ============================================================
+// ORIGIN POOLS — Weighted Load Balancing, Health, Failover
+// Used by fetchFromOrigin, handleWebSocket and /__shield/health
+//
+// Config shape (KV brain config, route overlays may override):
+//   origin_pools: [
+//     { id: "api", path_prefix: "/api/",
+//       members: [{ hostname: "api-1.example.com", weight: 3, id: "api-1" },
+//                 { hostname: "api-2.example.com", weight: 1, id: "api-2" }] },
+//     { id: "web", members: [{ hostname: "web-1.example.com" }, { hostname: "web-2.example.com" }] },
+//   ],
+//   origin_health: { failure_threshold: 3, cooldown_s: 30, probe_interval_s: 30, probe_path: "/" }
+//
+// The first pool whose path_prefix matches wins; a pool without
+// path_prefix is the default. No pools → env.ORIGIN_HOSTNAME as a
+// single-member pool (pre-pool behaviour).
+//
+// Health is tracked per isolate, per tenant and pool ("{clientId}/{poolId}"):
+// two tenants (or pools) sharing a hostname keep separate state, each
+// judged by its own origin_health settings.
+//   passive — failed fetches (network error, 502/503/504/52x) count
+//             toward failure_threshold; a success resets the count
+//   active  — members are HEAD-probed every probe_interval_s in the
+//             background (same probe as /__shield/health), throttled
+//             per tenant and pool
+// An unhealthy member is skipped for cooldown_s, then eligible again.
+// If every member is unhealthy we still try them (fail open) —
+// a 502 from a maybe-recovered origin beats a guaranteed 502.
+// ============================================================
+
+const ORIGIN_HEALTH = new Map(); // "{clientId}/{poolId}/{hostname}" → { failures, down_until, last_error, last_probe, last_ok }
+const LAST_ORIGIN_PROBE = new Map(); // "{clientId}/{poolId}" → last background probe
+
+const ORIGIN_HEALTH_DEFAULTS = {
+    failure_threshold: 3,
+    cooldown_s: 30,
+    probe_interval_s: 30,
+    probe_path: "/",
+};
+
+// Statuses that mean "this origin is broken", not "the app answered with an error".
+// 500 is deliberately excluded — it is usually an application bug that every member shares.
+const ORIGIN_FAILURE_STATUSES = [502, 503, 504, 520, 521, 522, 523, 524, 525, 526];
+
+function getOriginHealthSettings(config) {
+    return { ...ORIGIN_HEALTH_DEFAULTS, ...(config.origin_health || {}) };
+}
+
+function selectOriginPool(config, env, url) {
+    const pools = listOriginPools(config, env);
+    const byPath = pools.find((p) => p.path_prefix && toList(p.path_prefix).some((prefix) => url.pathname.startsWith(prefix)));
+    return byPath || pools.find((p) => !p.path_prefix) || defaultOriginPool(env);
+}
+
+/**
+ * Normalised pools from config. Every member gets an id — it is what
+ * X-Shield-Origin-Host exposes instead of the hostname.
+ */
+function listOriginPools(config, env) {
+    const pools = (Array.isArray(config.origin_pools) ? config.origin_pools : [])
+        .filter((p) => p && Array.isArray(p.members) && p.members.length > 0)
+        .map((p, i) => {
+            const id = p.id || (p.path_prefix ? `pool-${i}` : "default");
+            return { id, path_prefix: p.path_prefix, members: p.members.map((m, j) => ({ ...m, id: m.id || `${id}-${j}` })) };
+        });
+    return pools.length > 0 ? pools : [defaultOriginPool(env)];
+}
+
+function defaultOriginPool(env) {
+    return { id: "default", members: [{ hostname: env.ORIGIN_HOSTNAME || "__ORIGIN__", id: "primary" }] };
+}
+
+function originHealthKey(config, pool, hostname) {
+    return `${originCircuitKey(config, pool)}/${hostname}`;
+}
+
+/**
+ * Weighted random pick among healthy members not yet tried for this request.
+ * Falls back to the untried unhealthy member whose cooldown ends soonest.
+ */
+function pickOriginMember(config, pool, tried = new Set()) {
+    const now = Date.now();
+    const candidates = pool.members.filter((m) => !tried.has(m.hostname));
+    if (candidates.length === 0) return null;
+
+    const healthy = candidates.filter((m) => isOriginHealthy(config, pool, m.hostname, now));
+    if (healthy.length > 0) {
+        const total = healthy.reduce((sum, m) => sum + originWeight(m), 0);
+        let roll = Math.random() * total;
+        for (const member of healthy) {
+            roll -= originWeight(member);
+            if (roll < 0) return member;
+        }
+        return healthy[healthy.length - 1];
+    }
+
+    const downUntil = (m) => ORIGIN_HEALTH.get(originHealthKey(config, pool, m.hostname))?.down_until || 0;
+    return candidates.sort((a, b) => downUntil(a) - downUntil(b))[0];
+}
+
+function originWeight(member) {
+    return typeof member.weight === "number" && member.weight > 0 ? member.weight : 1;
+}
+
+function isOriginHealthy(config, pool, hostname, now = Date.now()) {
+    const state = ORIGIN_HEALTH.get(originHealthKey(config, pool, hostname));
+    return !state || !state.down_until || state.down_until <= now;
+}
+
+function isOriginFailureStatus(status) {
+    return ORIGIN_FAILURE_STATUSES.includes(status);
+}
+
+function recordOriginResult(config, pool, hostname, ok, error = null) {
+    const settings = getOriginHealthSettings(config);
+    const key = originHealthKey(config, pool, hostname);
+    const state = ORIGIN_HEALTH.get(key) || { failures: 0, down_until: 0, last_error: null, last_probe: 0, last_ok: 0 };
+
+    if (ok) {
+        state.failures = 0;
+        state.down_until = 0;
+        state.last_ok = Date.now();
+    } else {
+        state.failures++;
+        state.last_error = error;
+        if (state.failures >= settings.failure_threshold) {
+            state.down_until = Date.now() + settings.cooldown_s * 1000;
+            console.warn(`[Shield Origin] ${hostname} (${originCircuitKey(config, pool)}) marked unhealthy for ${settings.cooldown_s}s: ${error}`);
+        }
+    }
+    ORIGIN_HEALTH.set(key, state);
+}
+
+/**
+ * HEAD-probe one origin. Returns { reachable, response_ms, status }.
+ * Any HTTP response counts as reachable for /__shield/health; for pool
+ * health a gateway-class status (502/503/…) counts as a failure.
+ */
+async function probeOrigin(config, pool, hostname, timeoutMs = 10000) {
+    const settings = getOriginHealthSettings(config);
+    const start = Date.now();
+    try {
+        const probe = await fetch(`https://${hostname}${settings.probe_path}`, {
+            method: "HEAD",
+            redirect: "manual",
+            cf: { cacheTtl: 0 },
+            signal: AbortSignal.timeout(timeoutMs), // 10s — 3s too short for cold-starting origins (Heroku, Render)
+        });
+        const responseMs = Date.now() - start;
+        recordOriginResult(config, pool, hostname, !isOriginFailureStatus(probe.status), `probe HTTP ${probe.status}`);
+        return { reachable: probe.status < 600, response_ms: responseMs, status: probe.status };
+    } catch (e) {
+        recordOriginResult(config, pool, hostname, false, `probe ${e.message}`);
+        return { reachable: false, response_ms: null, status: null };
+    } finally {
+        const state = ORIGIN_HEALTH.get(originHealthKey(config, pool, hostname));
+        if (state) state.last_probe = Date.now();
+    }
+}
+
+/**
+ * Background active probing — at most once per probe_interval_s per tenant
+ * and pool in each isolate. Only multi-member pools are probed: with a
+ * single origin there is nothing to fail over to, and passive tracking
+ * already covers it.
+ */
+function scheduleOriginProbes(config, env, ctx) {
+    const settings = getOriginHealthSettings(config);
+    const now = Date.now();
+    const probes = [];
+    for (const pool of listOriginPools(config, env)) {
+        if (pool.members.length < 2) continue;
+        const key = originCircuitKey(config, pool);
+        if (now - (LAST_ORIGIN_PROBE.get(key) || 0) < settings.probe_interval_s * 1000) continue;
+        LAST_ORIGIN_PROBE.set(key, now);
+        const hostnames = new Set(pool.members.map((m) => m.hostname).filter(Boolean));
+        hostnames.forEach((h) => probes.push(probeOrigin(config, pool, h, 5000)));
+    }
+    if (probes.length > 0) ctx.waitUntil(Promise.all(probes));
+}
+
+function describeOriginHealth(config, pool, hostname) {
+    const state = ORIGIN_HEALTH.get(originHealthKey(config, pool, hostname));
+    return {
+        healthy: isOriginHealthy(config, pool, hostname),
+        consecutive_failures: state?.failures || 0,
+        down_until: state?.down_until ? new Date(state.down_until).toISOString() : null,
+        last_error: state?.last_error || null,
+    };
+}
+
+function withOriginHeader(response, member, pool, diagnostics = {}) {
+    const res = new Response(response.body, response);
+    // Member id, never the hostname — hostnames of private origins shouldn't leak
+    res.headers.set("X-Shield-Origin-Host", member.id);
+    res.headers.set("X-Shield-Origin-Pool", pool.id);
+    for (const [name, value] of Object.entries(diagnostics)) res.headers.set(name, value);
+    return res;
+}
+
+// ── Timeouts, retries, circuit breaker ───────────────────────
+//
+// Config:
+//   origin_timeout_ms: 30000                   global time-to-headers timeout
+//   origin_timeouts: { API: 8000 }             per-mode override
+//   origin_retries: 2                          extra attempts (idempotent, bodiless only)
+//   origin_retry_backoff_ms: 100               base for full-jitter exponential backoff
+//   origin_circuit_breaker: { failure_threshold: 5, cooldown_s: 30 }
+//
+// The breaker is per pool and counts *requests* that failed after all
+// retries/failover, not individual attempts. CLOSED → OPEN after
+// failure_threshold consecutive failed requests; OPEN short-circuits with
+// 503 for cooldown_s; then HALF_OPEN lets a single trial request through —
+// success closes the circuit, failure re-opens it.
+
+const ORIGIN_TIMEOUT_DEFAULTS_MS = {
+    API: 10000,
+    REALTIME: 10000,
+    default: 30000,
+};
+const ORIGIN_RETRY_MAX_BACKOFF_MS = 2000;
+const ORIGIN_CIRCUITS = new Map(); // "{clientId}/{poolId}" → { state, failures, opened_at, trial_in_flight }
+
+function getOriginRequestPolicy(config, method, request) {
+    const perMode = config.origin_timeouts || {};
+    const timeoutMs =
+        perMode[config.mode] ||
+        config.origin_timeout_ms ||
+        ORIGIN_TIMEOUT_DEFAULTS_MS[config.mode] ||
+        ORIGIN_TIMEOUT_DEFAULTS_MS.default;
+
+    const hasBody = !(method === "GET" || method === "HEAD");
+    // PUT/DELETE are idempotent by spec but only replayable when there is no body stream
+    const idempotent = ["GET", "HEAD", "OPTIONS", "PUT", "DELETE"].includes(method);
+    const retryable = idempotent && (!hasBody || request.body === null);
+
+    return {
+        timeoutMs,
+        hasBody,
+        retryable,
+        retries: Number.isInteger(config.origin_retries) ? config.origin_retries : 2,
+        backoffMs: config.origin_retry_backoff_ms || 100,
+    };
+}
+
+/**
+ * Full jitter: uniform in [0, base * 2^attempt], capped.
+ */
+function originBackoffMs(policy, attempt) {
+    const ceiling = Math.min(policy.backoffMs * 2 ** attempt, ORIGIN_RETRY_MAX_BACKOFF_MS);
+    return Math.floor(Math.random() * ceiling);
+}
+
+function getCircuitSettings(config) {
+    return { failure_threshold: 5, cooldown_s: 30, ...(config.origin_circuit_breaker || {}) };
+}
+
+function originCircuitKey(config, pool) {
+    return `${config.client_id || "default"}/${pool.id}`;
+}
+
+/**
+ * Returns { allowed, state, retryAfterS } — call once per request before fetching.
+ */
+function acquireOriginCircuit(config, pool) {
+    const circuit = ORIGIN_CIRCUITS.get(originCircuitKey(config, pool));
+    if (!circuit || circuit.state === "CLOSED") return { allowed: true, state: "CLOSED" };
+
+    const cooldownMs = getCircuitSettings(config).cooldown_s * 1000;
+    const remainingMs = circuit.opened_at + cooldownMs - Date.now();
+
+    if (circuit.state === "OPEN" && remainingMs <= 0) {
+        circuit.state = "HALF_OPEN";
+        circuit.trial_in_flight = false;
+    }
+    if (circuit.state === "HALF_OPEN" && !circuit.trial_in_flight) {
+        circuit.trial_in_flight = true;
+        return { allowed: true, state: "HALF_OPEN" };
+    }
+    return { allowed: false, state: circuit.state, retryAfterS: Math.max(1, Math.ceil(remainingMs / 1000)) };
+}
+
+/**
+ * Record the final outcome of a request. Returns the circuit state afterwards.
+ */
+function recordOriginCircuitResult(config, pool, ok) {
+    const key = originCircuitKey(config, pool);
+    const circuit = ORIGIN_CIRCUITS.get(key) || { state: "CLOSED", failures: 0, opened_at: 0, trial_in_flight: false };
+    const settings = getCircuitSettings(config);
+
+    if (ok) {
+        circuit.state = "CLOSED";
+        circuit.failures = 0;
+    } else {
+        circuit.failures++;
+        if (circuit.state === "HALF_OPEN" || circuit.failures >= settings.failure_threshold) {
+            if (circuit.state !== "OPEN") console.warn(`[Shield Origin] Circuit OPEN for pool ${key} (${circuit.failures} failures)`);
+            circuit.state = "OPEN";
+            circuit.opened_at = Date.now();
+        }
+    }
+    circuit.trial_in_flight = false;
+    ORIGIN_CIRCUITS.set(key, circuit);
+    return circuit.state;
+}
+
+function describeOriginCircuit(config, pool) {
+    const circuit = ORIGIN_CIRCUITS.get(originCircuitKey(config, pool));
+    return {
+        state: circuit?.state || "CLOSED",
+        consecutive_failures: circuit?.failures || 0,
+        opened_at: circuit?.opened_at ? new Date(circuit.opened_at).toISOString() : null,
+    };
+}
@@ -0,0 +1,254 @@
+// ============================================================
+// PURGE — exact URL (all variants), prefix, tag and full purge
+// Used by the PURGE command (security.js) and POST /__shield/admin/purge
+//
+// The Cache API cannot list entries, so every edge cache write is indexed
+// in CLOUDEDGING_CACHE (purge_index: false to disable):
+//   CIDX_{clientId}_{host}{path}|{hash(cache key)}  → cache key URL
+//   CTAG_{clientId}_{tag}|{hash(cache key)}         → cache key URL
+// Tags come from the origin's Cache-Tag (comma-separated) and
+// Surrogate-Key (space-separated) headers. Index entries expire with the
+// entry's stale-if-error copy, so the index never outgrows the cache.
+//
+// Purging a key also drops its stale-if-error copies (edge + R2) — a
+// purged page must not come back as STALE-ERROR. With r2: true the
+// STORAGE_BUCKET mirror objects of the purged entries are deleted as well.
+// Mirror keys are bare paths shared by every tenant, so only paths found
+// in this tenant's index are deleted — never a bucket listing.
+//
+// caches.default.delete() only reaches the data centre running the purge.
+// With CF_ZONE_ID + CF_PURGE_TOKEN set, the purged key URLs and prefixes
+// are also sent to the Cloudflare purge API for a global purge. The zone
+// is shared by every tenant: URLs and prefixes on hosts that don't resolve
+// to this tenant are refused, tags and `all` are sent as this tenant's
+// indexed URLs — never as zone-wide tags or purge_everything.
+// ============================================================
+
+const PURGE_MAX_KEYS = 200; // per call — ~4 subrequests per key, inside the Worker limit of 1000
+const CACHE_TAG_MAX = 50;
+const CACHE_INDEX_PATH_MAX = 400; // KV key limit is 512 bytes
+const CF_PURGE_BATCH = 30; // purge API files/tags/prefixes per request
+
+/**
+ * Record a stored cache entry (and its tags) in the purge index.
+ * Called via ctx.waitUntil next to saveToCache — never throws.
+ */
+async function indexCacheEntry(env, config, key, response, ttl) {
+    if (config.purge_index === false || !env.CLOUDEDGING_CACHE) return;
+    try {
+        const window = Math.max(0, getStaleIfErrorWindow(response, config));
+        const options = {
+            expirationTtl: Math.max(60, ttl + window),
+            // Listing returns metadata, so purges need no per-key reads — skip it for huge keys
+            metadata: key.url.length <= 800 ? { key: key.url } : {},
+        };
+        const writes = [env.CLOUDEDGING_CACHE.put(await cacheIndexKey(config.client_id, key.url), key.url, options)];
+        for (const tag of parseCacheTags(response.headers)) {
+            writes.push(env.CLOUDEDGING_CACHE.put(await cacheTagKey(config.client_id, tag, key.url), key.url, options));
+        }
+        await Promise.all(writes);
+    } catch (e) {
+        console.error(`[Shield Purge] Index write failed for ${key.url}`, e.message);
+    }
+}
+
+async function cacheIndexKey(clientId, keyUrl) {
+    return `${cacheIndexPrefix(clientId, keyUrl.split("__device=")[0])}|${await hashString(keyUrl)}`;
+}
+
+function cacheIndexPrefix(clientId, target) {
+    const u = new URL(target);
+    return `CIDX_${clientId}_${(u.host + u.pathname).substring(0, CACHE_INDEX_PATH_MAX)}`;
+}
+
+async function cacheTagKey(clientId, tag, keyUrl) {
+    return `CTAG_${clientId}_${tag}|${await hashString(keyUrl)}`;
+}
+
+function parseCacheTags(headers) {
+    const tags = [
+        ...(headers.get("Cache-Tag") || "").split(","),
+        ...(headers.get("Surrogate-Key") || "").split(/\s+/),
+    ];
+    const clean = tags.map((t) => t.trim().toLowerCase()).filter((t) => t && t.length <= 100 && !t.includes("|"));
+    return [...new Set(clean)].slice(0, CACHE_TAG_MAX);
+}
+
+/**
+ * Purge cache entries. `request` is any of:
+ *   { urls: [...], prefixes: [...], tags: [...], all: true, r2: true }
+ * Prefixes may be paths ("/blog/") — resolved against baseUrl's host — or
+ * full URLs. Returns a JSON-serialisable report.
+ */
+async function purgeCache(env, config, baseUrl, request) {
+    const report = {
+        cache_keys: [],
+        purged: [],
+        stale_copies: 0,
+        index_entries: 0,
+        r2_deleted: [],
+        zone_purge: null,
+        truncated: false,
+        errors: [],
+    };
+    const keys = new Set();
+    const zonePrefixes = [];
+    const indexEntries = new Set();
+    const r2Paths = new Set();
+    const kv = env.CLOUDEDGING_CACHE;
+    const clientId = config.client_id;
+
+    const collect = async (prefix, filter = () => true) => {
+        if (!kv) return;
+        let cursor;
+        do {
+            const page = await kv.list({ prefix, cursor });
+            for (const entry of page.keys) {
+                if (keys.size >= PURGE_MAX_KEYS) {
+                    report.truncated = true;
+                    return;
+                }
+                const keyUrl = entry.metadata?.key || (await kv.get(entry.name));
+                if (!keyUrl || !filter(keyUrl)) continue;
+                keys.add(keyUrl);
+                indexEntries.add(entry.name);
+                r2Paths.add(new URL(keyUrl.split("__device=")[0]).pathname);
+            }
+            cursor = page.list_complete ? null : page.cursor;
+        } while (cursor);
+    };
+
+    for (const target of purgeTargets(request.urls)) {
+        let url;
+        try {
+            url = new URL(target, baseUrl);
+        } catch (e) {
+            report.errors.push(`${target}: invalid URL`);
+            continue;
+        }
+        if (!(await tenantServesHost(env, clientId, url))) {
+            report.errors.push(`${target}: host not served by this tenant`);
+            continue;
+        }
+        // Normalise with the target route's cache key policy, exactly as handleWebTraffic would
+        const targetConfig = applyRoute(config, resolveRoute(config, new Request(url), url));
+        const policy = targetConfig.cache_key || {};
+        const base = `${url.origin}${url.pathname}${normalizeCacheKeyQuery(url.searchParams, policy)}`;
+
+        // Unindexed fallbacks: device variants without lang/vary suffixes, and the bare URL (R2 edge cache)
+        [url.toString(), ...["all", "mobile", "desktop"].map((d) => `${base}__device=${d}`)].forEach((k) => keys.add(k));
+        await collect(`${cacheIndexPrefix(clientId, url.toString())}|`, (k) => {
+            const keyBase = k.split("__device=")[0];
+            return keyBase === base || keyBase === url.toString();
+        });
+    }
+
+    for (const prefix of purgeTargets(request.prefixes)) {
+        let url;
+        try {
+            url = new URL(prefix, baseUrl);
+        } catch (e) {
+            report.errors.push(`${prefix}: invalid prefix`);
+            continue;
+        }
+        if (!(await tenantServesHost(env, clientId, url))) {
+            report.errors.push(`${prefix}: host not served by this tenant`);
+            continue;
+        }
+        zonePrefixes.push(url.host + url.pathname);
+        await collect(cacheIndexPrefix(clientId, url.toString()));
+    }
+
+    for (const raw of purgeTargets(request.tags)) {
+        const tag = String(raw).trim().toLowerCase();
+        if (!tag) continue;
+        const before = new Set(keys);
+        await collect(`CTAG_${clientId}_${tag}|`);
+        for (const k of keys) {
+            if (before.has(k)) continue;
+            // Tag entries point at cache keys — drop their CIDX entries too
+            indexEntries.add(await cacheIndexKey(clientId, k));
+        }
+    }
+
+    if (request.all) {
+        await collect(`CIDX_${clientId}_`);
+        await collect(`CTAG_${clientId}_`);
+    }
+
+    // Delete: edge entry + stale copies + index entries (+ R2 mirror objects)
+    for (const keyUrl of keys) {
+        report.cache_keys.push(keyUrl);
+        try {
+            const key = new Request(keyUrl, { method: "GET" });
+            if (await caches.default.delete(key)) report.purged.push(keyUrl);
+            if (await caches.default.delete(staleCacheKey(key))) report.stale_copies++;
+            if (env.STORAGE_BUCKET) await env.STORAGE_BUCKET.delete(STALE_R2_PREFIX + (await sha256Hex(keyUrl)));
+        } catch (e) {
+            report.errors.push(`${keyUrl}: ${e.message}`);
+        }
+    }
+    for (const name of indexEntries) {
+        try {
+            await kv.delete(name);
+            report.index_entries++;
+        } catch (e) {
+            report.errors.push(`${name}: ${e.message}`);
+        }
+    }
+
+    if (request.r2 && env.STORAGE_BUCKET) {
+        for (const path of r2Paths) {
+            // Same key derivation as handleR2Storage
+            const r2Key = path.startsWith("/") ? path.slice(1) : path;
+            if (!r2Key || r2Key.startsWith(STALE_R2_PREFIX)) continue;
+            try {
+                await env.STORAGE_BUCKET.delete(r2Key);
+                report.r2_deleted.push(r2Key);
+            } catch (e) {
+                report.errors.push(`r2:${r2Key}: ${e.message}`);
+            }
+        }
+    }
+
+    if (env.CF_ZONE_ID && env.CF_PURGE_TOKEN) report.zone_purge = await purgeZone(env, report.cache_keys, zonePrefixes);
+
+    return report;
+}
+
+function purgeTargets(value) {
+    return value === undefined || value === null || value === "" ? [] : toList(value);
+}
+
+/**
+ * Global purge through the Cloudflare API: the tenant's key URLs as files,
+ * and prefixes already checked against its hosts. Tags are never sent —
+ * a zone-wide tag would reach every tenant's entries carrying it.
+ */
+async function purgeZone(env, keyUrls, prefixes) {
+    const bodies = [];
+    const batch = (field, list) => {
+        for (let i = 0; i < list.length; i += CF_PURGE_BATCH) bodies.push({ [field]: list.slice(i, i + CF_PURGE_BATCH) });
+    };
+    batch("files", keyUrls);
+    batch("prefixes", prefixes);
+
+    const result = { requests: bodies.length, failed: 0 };
+    for (const body of bodies) {
+        try {
+            const res = await fetch(`https://api.cloudflare.com/client/v4/zones/${env.CF_ZONE_ID}/purge_cache`, {
+                method: "POST",
+                headers: { Authorization: `Bearer ${env.CF_PURGE_TOKEN}`, "Content-Type": "application/json" },
+                body: JSON.stringify(body),
+            });
+            if (!res.ok) {
+                result.failed++;
+                console.error(`[Shield Purge] Zone purge HTTP ${res.status}: ${(await res.text()).substring(0, 200)}`);
+            }
+        } catch (e) {
+            result.failed++;
+            console.error("[Shield Purge] Zone purge failed", e.message);
+        }
+    }
+    return result;
+}
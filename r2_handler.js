@@ -7,6 +7,11 @@
 //   2. Try R2 bucket first (the mirror)
 //   3. R2 HIT → serve + edge cache
 //   4. R2 MISS → fetch origin → mirror to R2 async → serve
+//
+// Objects under a private signed_urls rule (signed_urls.js) are served
+// with Cache-Control: private, no-store and no wildcard CORS, and are
+// never written to the edge cache — the signature was checked in the
+// security pipeline, a shared cache copy would bypass it.
 // ============================================================
 
 async function handleR2Storage(request, env, config, ctx, url) {
@@ -29,6 +34,7 @@ async function handleR2Storage(request, env, config, ctx, url) {
     if (r2Key.includes("..") || r2Key.includes("//")) {
         return new Response("Invalid path", { status: 400 });
     }
+    const isPrivate = isPrivateSignedPath(config, url);
 
     // 4. Try R2 first (The Mirror)
     try {
@@ -44,6 +50,12 @@ async function handleR2Storage(request, env, config, ctx, url) {
 
             headers.set("X-Shield-Storage", "R2-HIT");
             headers.set("X-Shield-Origin", "R2");
+
+            if (isPrivate) {
+                headers.set("Cache-Control", "private, no-store");
+                return new Response(object.body, { headers });
+            }
+
             headers.set("Access-Control-Allow-Origin", "*");
             headers.set("Cache-Control", "public, max-age=31536000, immutable");
 
@@ -54,7 +66,9 @@ async function handleR2Storage(request, env, config, ctx, url) {
             ctx.waitUntil(
                 (async () => {
                     try {
-                        await saveToCache(caches.default, new Request(url.toString()), cacheResponse, 604800);
+                        const edgeKey = new Request(url.toString());
+                        await saveToCache(caches.default, edgeKey, cacheResponse, 604800);
+                        await indexCacheEntry(env, config, edgeKey, cacheResponse, 604800);
                     } catch (err) {
                         console.error(`[R2 Shield] CDN cache failed: ${path}`, err);
                     }
@@ -68,7 +82,7 @@ async function handleR2Storage(request, env, config, ctx, url) {
     }
 
     // 5. R2 MISS → Fetch from Origin
-    const originRes = await fetchFromOrigin(request, env, url, "GET", true);
+    const originRes = await fetchFromOrigin(request, env, url, "GET", true, config);
 
     // 6. Background mirroring
     if (originRes.status === 200) {
@@ -114,7 +128,9 @@ async function handleR2Storage(request, env, config, ctx, url) {
         );
     }
 
-    return addShieldHeader(originRes, "R2-MISS");
+    const missRes = addShieldHeader(originRes, "R2-MISS");
+    if (isPrivate) missRes.headers.set("Cache-Control", "private, no-store");
+    return missRes;
 }
 
 function getContentType(filename) {
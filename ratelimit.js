@@ -0,0 +1,296 @@
+// ============================================================
+// RATE LIMITING — Durable Object token bucket / sliding window, KV fallback
+// Used by runSecurityPipeline (section C) and the admin API
+//
+// With the SHIELD_RATE_LIMITER binding, each limit key gets its own
+// ShieldRateLimiter Durable Object (durable_objects.js), so counting is
+// atomic and exact across every isolate and colo:
+//   token_bucket    (default) — `limit` tokens per window, refilled
+//                   continuously; rate_limit_burst sets the bucket size
+//   sliding_window  — weighted previous + current window counter, no
+//                   reset-boundary bursts
+// Without the binding (or when the DO call fails) the original KV counter
+// is used: approximate, not atomic, fixed window — fail open either way.
+//
+// Every response carries RateLimit-Limit / -Remaining / -Reset
+// (IETF draft-ietf-httpapi-ratelimit-headers), 429s also Retry-After.
+//
+// Policies (rate_limit_policies) add limits beyond the per-IP default:
+//   { id: "api-keys", match: { path: "/api/*", methods: ["POST"], mode: "API" },
+//     key: "header:X-API-Key", limit: 1000, window_s: 3600,
+//     action: "block" | "throttle" | "log", delay_ms: 1000 }
+// Key expressions: ip, ip/24 (IPv6: /64), header:{name}, cookie:{name},
+// jwt:{claim}. A request without the key value is counted by IP instead,
+// so omitting the API key is never a way around its limit. Every matching
+// policy counts the request; the first exceeded one decides the action.
+//
+// jwt:{claim} reads the claims jwt.js verified, so those policies run after
+// authentication (section G); the rest run in section C. An unverified
+// payload would let a client mint a fresh bucket per request — without
+// verified claims the request is counted by IP.
+// ============================================================
+
+const RATE_LIMIT_WINDOW_DEFAULT_S = 60;
+const RATE_LIMIT_ALGORITHMS = ["token_bucket", "sliding_window", "fixed_window"];
+const RATE_LIMIT_ACTIONS = ["block", "throttle", "log"];
+const RATE_LIMIT_KEY_PATTERN = /^(ip|ip\/\d{1,2}|header:[\w-]+|cookie:[^\s;=]+|jwt:[\w.-]+)$/;
+const RATE_LIMIT_THROTTLE_MAX_MS = 10000;
+const RATE_LIMIT_THROTTLE_DEFAULT_MS = 1000;
+
+/**
+ * Run every rate-limit policy that matches the request — jwt:{claim}
+ * policies with `afterAuth` (after section G), the others without (section
+ * C). Returns a 429 Response when a blocking policy is exceeded, null
+ * otherwise — throttled requests are delayed here first.
+ */
+async function enforceRateLimits(request, env, config, url, ip, ctx, afterAuth = false) {
+    const policies = getRateLimitPolicies(config)
+        .filter((p) => p.key.startsWith("jwt:") === afterAuth && rateLimitPolicyMatches(p, request, config, url));
+    if (policies.length === 0) return null;
+
+    const results = await Promise.all(policies.map(async (policy) => {
+        try {
+            const key = await rateLimitKey(policy, request, config, ip);
+            return { policy, key, result: await checkRateLimit(env, config, key, policy, ctx) };
+        } catch (e) {
+            // Rate limit check failed — fail open (availability > strict enforcement)
+            console.error(`[Shield RateLimit] Policy ${policy.id} failed`, e.message);
+            return { policy, result: null };
+        }
+    }));
+    const counted = results.filter((r) => r.result);
+    if (counted.length === 0) return null;
+
+    // Headers describe the policy closest to its limit, across both passes
+    const tightest = counted.reduce((a, b) => (b.result.remaining < a.result.remaining ? b : a));
+    const earlier = Number(PENDING_RESPONSE_HEADERS.get(request)?.["RateLimit-Remaining"]);
+    if (config.rate_limit_headers !== false && !(earlier <= tightest.result.remaining)) {
+        setResponseHeaders(request, rateLimitHeaders(tightest.result));
+    }
+
+    const exceeded = counted.find((r) => !r.result.allowed);
+    if (!exceeded) return null;
+
+    const { policy, key, result } = exceeded;
+    if (policy.action === "log") {
+        console.warn(`[Shield RateLimit] ${policy.id} exceeded by ${key} (log only)`);
+        setResponseHeaders(request, { "X-Shield-RateLimit-Exceeded": policy.id });
+        return null;
+    }
+    if (policy.action === "throttle") {
+        await sleep(Math.min(policy.delay_ms || RATE_LIMIT_THROTTLE_DEFAULT_MS, RATE_LIMIT_THROTTLE_MAX_MS));
+        setResponseHeaders(request, { "X-Shield-RateLimit-Throttled": policy.id });
+        return null;
+    }
+    const res = rateLimitedResponse(result);
+    res.headers.set("X-Shield-RateLimit-Policy", policy.id);
+    return res;
+}
+
+/**
+ * The per-IP default (rate_limit_enabled) followed by rate_limit_policies.
+ */
+function getRateLimitPolicies(config) {
+    const policies = [];
+    if (config.rate_limit_enabled) policies.push({ id: "default", key: "ip", action: "block", default: true, ...getRateLimitPolicy(config) });
+
+    (config.rate_limit_policies || []).forEach((p, i) => {
+        if (!p || !p.limit) return;
+        policies.push({
+            id: p.id || `policy-${i}`,
+            match: p.match || {},
+            key: p.key || "ip",
+            action: p.action || "block",
+            delay_ms: p.delay_ms,
+            limit: p.limit,
+            window_s: p.window_s || RATE_LIMIT_WINDOW_DEFAULT_S,
+            burst: p.burst || p.limit,
+            algorithm: p.algorithm || config.rate_limit_algorithm || "token_bucket",
+        });
+    });
+    return policies;
+}
+
+function rateLimitPolicyMatches(policy, request, config, url) {
+    const match = policy.match || {};
+    if (match.path && !toList(match.path).some((g) => globMatches(g, url.pathname))) return false;
+    if (match.path_prefix && !toList(match.path_prefix).some((p) => url.pathname.startsWith(p))) return false;
+    if (match.methods && !toList(match.methods).map((m) => String(m).toUpperCase()).includes(request.method)) return false;
+    if (match.mode && !toList(match.mode).includes(config.mode)) return false;
+    return true;
+}
+
+/**
+ * KV key / Durable Object name for a policy. The default policy keeps the
+ * original RL_{clientId}_{ip} key. Header, cookie and JWT values are hashed
+ * so API keys and session tokens never appear in KV key names.
+ */
+async function rateLimitKey(policy, request, config, ip) {
+    if (policy.default) return `RL_${config.client_id}_${ip}`;
+
+    const [kind, arg] = policy.key.split(/[:/](.*)/s);
+    let part = null;
+    if (kind === "ip") {
+        part = policy.key === "ip" ? ip : ipPrefix(ip, parseInt(arg, 10));
+    } else if (kind === "header") {
+        const value = request.headers.get(arg);
+        if (value) part = `h:${await hashString(value)}`;
+    } else if (kind === "cookie") {
+        const value = parseCookieHeader(request.headers.get("Cookie") || "")[arg];
+        if (value) part = `c:${await hashString(value)}`;
+    } else if (kind === "jwt") {
+        const claim = jwtVerifiedClaims(request)?.[arg];
+        if (claim !== undefined && claim !== null) part = `j:${await hashString(String(claim))}`;
+    }
+    return `RL_${config.client_id}_${policy.id}_${part || `ip:${ip}`}`;
+}
+
+/**
+ * Every key an IP can be counted under — for the admin API. Policies keyed
+ * by header / cookie / JWT only count an IP directly when the value is missing.
+ */
+function rateLimitKeysForIp(config, ip) {
+    return getRateLimitPolicies(config).map((policy) => {
+        if (policy.default) return { policy: policy.id, key: `RL_${config.client_id}_${ip}` };
+        const part = policy.key === "ip" ? ip : policy.key.startsWith("ip/") ? ipPrefix(ip, parseInt(policy.key.slice(3), 10)) : `ip:${ip}`;
+        return { policy: policy.id, key: `RL_${config.client_id}_${policy.id}_${part}` };
+    });
+}
+
+/**
+ * "203.0.113.77" /24 → "203.0.113.0/24". IPv6 always groups by /64 — the
+ * smallest block an ISP hands a single customer.
+ */
+function ipPrefix(ip, bits) {
+    if (!ip) return ip;
+    if (ip.includes(":")) {
+        const [head] = ip.split("::");
+        const groups = ip.includes("::")
+            ? [...head.split(":").filter(Boolean), "0", "0", "0", "0"].slice(0, 4)
+            : ip.split(":").slice(0, 4);
+        return `${groups.map((g) => g.toLowerCase()).join(":")}::/64`;
+    }
+    const octets = ip.split(".").map((o) => parseInt(o, 10));
+    const value = ((octets[0] << 24) | (octets[1] << 16) | (octets[2] << 8) | octets[3]) >>> 0;
+    const masked = bits <= 0 ? 0 : (value & (0xffffffff << (32 - Math.min(bits, 32)))) >>> 0;
+    return `${[masked >>> 24, (masked >>> 16) & 255, (masked >>> 8) & 255, masked & 255].join(".")}/${bits}`;
+}
+
+function getRateLimitPolicy(config) {
+    const limit = config.rate_limit_threshold || getPlanPhysics(config).rate_limit_default;
+    return {
+        limit,
+        window_s: config.rate_limit_window_s || RATE_LIMIT_WINDOW_DEFAULT_S,
+        burst: config.rate_limit_burst || limit,
+        algorithm: config.rate_limit_algorithm || "token_bucket",
+    };
+}
+
+/**
+ * Count one request against `key`. Returns
+ * { allowed, limit, remaining, reset_s, retry_after_s, backend, approximate }
+ * or null when no backend is available (rate limiting skipped).
+ */
+async function checkRateLimit(env, config, key, policy, ctx) {
+    if (env.SHIELD_RATE_LIMITER && policy.algorithm !== "fixed_window") {
+        try {
+            const params = new URLSearchParams({
+                algorithm: policy.algorithm,
+                limit: String(policy.limit),
+                window_s: String(policy.window_s),
+                burst: String(policy.burst),
+            });
+            const res = await rateLimiterStub(env, config, key).fetch(`https://rate-limiter/check?${params}`, { method: "POST" });
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            return { ...(await res.json()), backend: "durable_object", approximate: false };
+        } catch (e) {
+            console.error(`[Shield RateLimit] Durable Object check failed for ${key}, using KV`, e.message);
+        }
+    }
+
+    if (!env.CLOUDEDGING_CACHE) return null;
+
+    // KV fixed window — concurrent requests may read the same count, so short
+    // bursts above the limit get through. The window start rides in the key's
+    // metadata, so Reset counts down to the real end of the window.
+    const now = Date.now();
+    const windowMs = policy.window_s * 1000;
+    const stored = await env.CLOUDEDGING_CACHE.getWithMetadata(key);
+    let start = stored.metadata?.window_start || now;
+    let count = parseInt(stored.value || "0", 10);
+    if (now - start >= windowMs) {
+        // KV expires no sooner than 60s — a shorter window ends here
+        start = now;
+        count = 0;
+    }
+    const resetS = Math.max(1, Math.ceil((start + windowMs - now) / 1000));
+    const allowed = count < policy.limit;
+    if (allowed) ctx.waitUntil(incrementRateLimit(env, key, count, start, resetS));
+    return {
+        allowed,
+        limit: policy.limit,
+        remaining: Math.max(0, policy.limit - count - (allowed ? 1 : 0)),
+        reset_s: resetS,
+        retry_after_s: resetS,
+        backend: "kv",
+        approximate: true,
+    };
+}
+
+async function incrementRateLimit(env, key, current, windowStart, resetS) {
+    try {
+        // KV expirationTtl minimum is 60s
+        await env.CLOUDEDGING_CACHE.put(key, (current + 1).toString(), {
+            expirationTtl: Math.max(60, resetS),
+            metadata: { window_start: windowStart },
+        });
+    } catch (e) {}
+}
+
+function rateLimiterStub(env, config, key) {
+    return env.SHIELD_RATE_LIMITER.get(env.SHIELD_RATE_LIMITER.idFromName(`${config.client_id || "default"}:${key}`));
+}
+
+function rateLimitHeaders(result) {
+    return {
+        "RateLimit-Limit": String(result.limit),
+        "RateLimit-Remaining": String(result.remaining),
+        "RateLimit-Reset": String(result.reset_s),
+    };
+}
+
+function rateLimitedResponse(result) {
+    const headers = {
+        "Content-Type": "application/json",
+        "Retry-After": String(result.retry_after_s),
+        ...rateLimitHeaders(result),
+    };
+    if (result.approximate) headers["X-Shield-RateLimit-Approximate"] = "true"; // signals approximate enforcement
+    return new Response(JSON.stringify({ error: "Rate limit exceeded", retry_after: result.retry_after_s }), { status: 429, headers });
+}
+
+/**
+ * Admin helpers — read or clear the Durable Object state for a key.
+ * Return null when the binding is absent or the call fails.
+ */
+async function peekRateLimiter(env, config, key) {
+    if (!env.SHIELD_RATE_LIMITER) return null;
+    try {
+        const res = await rateLimiterStub(env, config, key).fetch("https://rate-limiter/peek");
+        return await res.json();
+    } catch (e) {
+        console.error(`[Shield RateLimit] Peek failed for ${key}`, e.message);
+        return null;
+    }
+}
+
+async function resetRateLimiter(env, config, key) {
+    if (!env.SHIELD_RATE_LIMITER) return false;
+    try {
+        const res = await rateLimiterStub(env, config, key).fetch("https://rate-limiter/reset", { method: "POST" });
+        return res.ok;
+    } catch (e) {
+        console.error(`[Shield RateLimit] Reset failed for ${key}`, e.message);
+        return false;
+    }
+}
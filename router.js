@@ -0,0 +1,164 @@
+// ============================================================
+// REQUEST ROUTER — Tenant Resolution + Route Table
+// Resolves the tenant (clientId) from the Host, then maps
+// host / path / method to a mode + per-route config overlay
+//
+// Tenant map (KV key TENANT_MAP in CLOUDEDGING_CONFIG):
+//   { "shop.acme.com": "acme", "*.acme.com": "acme", "beta.io": "beta" }
+// Exact hostnames win over wildcards; among wildcards the longest
+// (most specific) pattern wins. Unmapped hosts fall back to env.CLIENT_ID.
+// Tenant ids are letters, digits, "." and "-": KV keys are listed by
+// "{PREFIX}_{clientId}_" and an id with "_" would match another tenant's
+// keys ("acme" listing "acme_eu"). Map entries with other ids are ignored.
+//
+// Config shape (KV brain config):
+//   routes: [
+//     { id: "assets", path_prefix: "/assets/", mode: "ECOMMERCE" },
+//     { id: "chat",   path_regex: "^/v1/chat/", methods: ["POST"],
+//       mode: "AI_INFERENCE", config: { semantic_cache_threshold: 0.95 } },
+//     { id: "shop",   host: "*.shop.example.com", mode: "STANDARD",
+//       config: { cache_ttl: 600 } },
+//   ]
+//
+// Routes are evaluated in order — first match wins. A route with no
+// host / path / method conditions matches everything. When nothing
+// matches, the global `mode` applies (route id "default").
+// ============================================================
+
+// Compiled patterns survive across requests in the same isolate.
+// Keyed by source string so a config change simply compiles new entries.
+const ROUTE_PATTERN_CACHE = new Map();
+const TENANT_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9.-]{0,63}$/;
+
+async function resolveTenant(env, url) {
+    const map = await loadTenantMap(env);
+    let fallback = env.CLIENT_ID || "default";
+    // Single-tenant deployments can't collide — only a shared Worker needs a clean fallback id
+    if (!TENANT_ID_PATTERN.test(fallback) && Object.keys(map).length > 0) {
+        console.error(`[Shield Router] CLIENT_ID "${fallback}" is not a valid tenant id — unmapped hosts use "default"`);
+        fallback = "default";
+    }
+    const host = url.hostname.toLowerCase();
+
+    if (typeof map[host] === "string") return map[host];
+
+    let best = null;
+    for (const [pattern, clientId] of Object.entries(map)) {
+        if (!pattern.includes("*") || typeof clientId !== "string") continue;
+        if (best && pattern.length <= best.length) continue;
+        if (globMatches(pattern, host)) best = pattern;
+    }
+    return best ? map[best] : fallback;
+}
+
+// Does `url`'s host resolve to clientId? Purge and admin targets on a
+// shared zone / bucket must stay on the calling tenant's own hosts.
+async function tenantServesHost(env, clientId, url) {
+    return (await resolveTenant(env, url)) === clientId;
+}
+
+async function loadTenantMap(env) {
+    const now = Date.now();
+    if (TENANT_MAP && now - TENANT_MAP_FETCH < CONFIG_TTL_MS) return TENANT_MAP;
+
+    let map = {};
+    if (env.CLOUDEDGING_CONFIG) {
+        try {
+            const stored = await env.CLOUDEDGING_CONFIG.get("TENANT_MAP", { type: "json" });
+            if (stored && typeof stored === "object") {
+                // Hostnames are case-insensitive — normalise keys once at load time
+                for (const [host, clientId] of Object.entries(stored)) {
+                    if (typeof clientId !== "string" || !TENANT_ID_PATTERN.test(clientId)) {
+                        console.warn(`[Shield Router] TENANT_MAP ${host}: invalid tenant id ${JSON.stringify(clientId)} — ignored`);
+                        continue;
+                    }
+                    map[host.toLowerCase()] = clientId;
+                }
+            }
+        } catch (e) {
+            // KV failure — keep serving with the previous map rather than collapsing every tenant to default
+            if (TENANT_MAP) map = TENANT_MAP;
+        }
+    }
+    TENANT_MAP = map;
+    TENANT_MAP_FETCH = now;
+    return map;
+}
+
+function resolveRoute(config, request, url) {
+    const routes = Array.isArray(config.routes) ? config.routes : [];
+
+    for (let i = 0; i < routes.length; i++) {
+        const route = routes[i];
+        if (!route || typeof route !== "object") continue;
+        if (!routeMatches(route, request, url)) continue;
+
+        return {
+            id: route.id || `route-${i}`,
+            index: i,
+            mode: route.mode || config.mode,
+            overlay: route.config || {},
+        };
+    }
+
+    return { id: "default", index: -1, mode: config.mode, overlay: {} };
+}
+
+/**
+ * Build the effective config for a request: global config + matched route overlay.
+ * The overlay may not redefine the route table itself, nor the tenant —
+ * client_id keys rate limits, caches, WAF rules, events and purges.
+ */
+function applyRoute(config, route) {
+    const effective = { ...config, ...route.overlay, mode: route.mode || "STANDARD" };
+    effective.routes = config.routes;
+    effective.client_id = config.client_id;
+    effective.active_route = route.id;
+    return effective;
+}
+
+function routeMatches(route, request, url) {
+    if (route.host && !toList(route.host).some((h) => globMatches(h, url.hostname))) return false;
+
+    if (route.path_prefix && !toList(route.path_prefix).some((p) => url.pathname.startsWith(p))) return false;
+
+    if (route.path_regex) {
+        const re = compileRoutePattern("re:" + route.path_regex, () => new RegExp(route.path_regex));
+        if (!re || !re.test(url.pathname)) return false;
+    }
+
+    const methods = route.methods || route.method;
+    if (methods && !toList(methods).map((m) => String(m).toUpperCase()).includes(request.method)) return false;
+
+    return true;
+}
+
+/**
+ * Host glob: "*" matches any run of characters, including dots,
+ * so "*.example.com" covers "a.example.com" and "a.b.example.com"
+ * but not the apex "example.com". Case-insensitive.
+ */
+function globMatches(glob, value) {
+    const re = compileRoutePattern("glob:" + glob, () => {
+        const escaped = String(glob).toLowerCase().replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".+");
+        return new RegExp(`^${escaped}$`);
+    });
+    return !!re && re.test(String(value || "").toLowerCase());
+}
+
+function compileRoutePattern(key, build) {
+    if (ROUTE_PATTERN_CACHE.has(key)) return ROUTE_PATTERN_CACHE.get(key);
+    let compiled = null;
+    try {
+        compiled = build();
+    } catch (e) {
+        // Invalid regex in config — route never matches rather than crashing every request
+        console.warn(`[Shield Router] Invalid pattern ${key}: ${e.message}`);
+    }
+    ROUTE_PATTERN_CACHE.set(key, compiled);
+    return compiled;
+}
+
+function toList(value) {
+    return Array.isArray(value) ? value : [value];
+}
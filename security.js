@@ -1,6 +1,7 @@
 // ============================================================
 // SECURITY PIPELINE — Universal Rules
-// WAF-lite, rate limiting, geo-blocking, CORS, purge
+// IP/ASN lists, WAF, bot management, JWT auth, signed URLs, rate limiting,
+// geo-blocking, CORS, purge, security events
 // ============================================================
 
 async function runSecurityPipeline(request, env, config, url, ctx) {
@@ -15,8 +16,11 @@ async function runSecurityPipeline(request, env, config, url, ctx) {
     // This endpoint is the primary tool for verifying a deployment before routing
     // real customer traffic through it. Always check this after deploy:
     //   - origin_reachable: false → wrong ORIGIN_HOSTNAME, all requests will 502
+    //   - origin_pools[].members[].healthy: false → member is being failed over
     //   - mode: "STANDARD" when expecting "ECOMMERCE" → brain config not pushed
     //   - config_age_ms > 120000 → KV read is failing, Worker running on stale config
+    //   - config_status: "rejected" → stored config failed validation; config_errors
+    //     lists why and config_version is the last-known-good actually in use
     if (url.pathname === "/__shield/health") {
         const providedSecret = request.headers.get("X-CloudEdging-Health");
         if (!env.HEALTH_SECRET || providedSecret !== env.HEALTH_SECRET) {
@@ -24,40 +28,58 @@ async function runSecurityPipeline(request, env, config, url, ctx) {
             return new Response("Not Found", { status: 404 });
         }
 
-        // Probe origin reachability
-        let originReachable = false;
-        let originResponseMs = null;
-        try {
-            const origin = env.ORIGIN_HOSTNAME || "__ORIGIN__";
-            const probeStart = Date.now();
-            const probe = await fetch(`https://${origin}/`, {
-                method: "HEAD",
-                redirect: "manual",
-                cf: { cacheTtl: 0 },
-                signal: AbortSignal.timeout(10000), // 10s — 3s too short for cold-starting origins (Heroku, Render)
-            });
-            originResponseMs = Date.now() - probeStart;
-            // Any response (including 3xx, 4xx) means origin is reachable
-            originReachable = probe.status < 600;
-        } catch (e) {
-            originReachable = false;
-        }
+        // Probe every origin pool member (results also feed pool health tracking).
+        // origin_reachable / origin_response_ms describe the default pool — any
+        // reachable member (including 3xx, 4xx) means traffic can be served.
+        const pools = listOriginPools(config, env);
+        const originPools = await Promise.all(pools.map(async (pool) => ({
+            id: pool.id,
+            path_prefix: pool.path_prefix || null,
+            circuit: describeOriginCircuit(config, pool),
+            members: await Promise.all(pool.members.map(async (m) => ({
+                id: m.id,
+                hostname: m.hostname,
+                weight: originWeight(m),
+                ...(await probeOrigin(config, pool, m.hostname)),
+                ...describeOriginHealth(config, pool, m.hostname),
+            }))),
+        })));
+        const defaultPool = originPools.find((p) => !p.path_prefix) || originPools[0];
+        const reachableMember = defaultPool.members.find((m) => m.reachable);
+        const originReachable = !!reachableMember;
+        const originResponseMs = reachableMember ? reachableMember.response_ms : null;
 
-        const configAgeMs = LAST_CONFIG_FETCH > 0 ? Date.now() - LAST_CONFIG_FETCH : null;
+        const configEntry = CONFIG_CACHE.get(config.client_id);
+        const configAgeMs = configEntry ? Date.now() - configEntry.fetchedAt : null;
 
         return new Response(JSON.stringify({
             status: "ok",
             version: "3.1.0",
-            client_id: env.CLIENT_ID || "unknown",
+            client_id: config.client_id || "unknown",
+            tenant_host: url.hostname,
+            multi_tenant: !!(TENANT_MAP && Object.keys(TENANT_MAP).length > 0),
             mode: config.mode || "STANDARD",
+            route: config.active_route || "default",
+            routes_configured: Array.isArray(config.routes) ? config.routes.length : 0,
             origin: env.ORIGIN_HOSTNAME || "not_set",
             origin_reachable: originReachable,
             origin_response_ms: originResponseMs,
+            origin_pools: originPools,
             cache_enabled: !!(config.cache_ttl),
             rate_limit_enabled: config.rate_limit_enabled || false,
             geo_block_countries: (config.blocked_countries || []).length,
+            ip_allowlist_entries: (config.ip_allowlist || []).length + (config.asn_allowlist || []).length,
+            ip_denylist_entries: (config.ip_denylist || []).length + (config.asn_denylist || []).length,
+            signed_url_rules: (config.signed_urls || []).length,
+            signed_url_secret_set: !!env.SIGNED_URL_SECRET,
             config_age_ms: configAgeMs,
-            config_loaded: !!CACHED_CONFIG,
+            config_loaded: !!configEntry,
+            config_ttl_ms: configEntry ? configEntry.ttlMs : CONFIG_TTL_MS,
+            config_version: configEntry?.version ?? null,
+            config_status: configEntry?.status || "default",
+            config_rejected_version: configEntry?.rejected_version ?? null,
+            config_errors: configEntry?.errors || [],
+            config_warnings: configEntry?.warnings || [],
             kv_bound: !!env.CLOUDEDGING_CONFIG,
             r2_bound: !!env.STORAGE_BUCKET,
             vectorize_bound: !!env.SEMANTIC_DB,
@@ -73,6 +95,38 @@ async function runSecurityPipeline(request, env, config, url, ctx) {
         });
     }
 
+    // ── ADMIN API ─────────────────────────────────────────────────────────────
+    // Protected by ADMIN_SECRET (token or HMAC signature) — see admin.js.
+    // Dispatched before geo/rate-limit/WAF so operators can always reach it.
+    if (url.pathname === ADMIN_PREFIX || url.pathname.startsWith(ADMIN_PREFIX + "/")) {
+        return handleAdminRequest(request, env, config, url, ctx);
+    }
+
+    // ── SECURITY EVENTS ───────────────────────────────────────────────────────
+    // WAF / geo decisions, enforced and simulated (events.js). Admin credentials.
+    if (url.pathname === SECURITY_EVENTS_PATH) {
+        return handleSecurityEventsRequest(request, env, config, url);
+    }
+
+    // ── BOT CHALLENGE ANSWERS ─────────────────────────────────────────────────
+    // POST from the proof-of-work interstitial (bot.js) → clearance cookie.
+    if (url.pathname === BOT_CHALLENGE_PATH) {
+        return handleBotChallengeRequest(request, env, config, url, ip);
+    }
+
+    // ── IP / ASN ACCESS LISTS ─────────────────────────────────────────────────
+    // ip_allowlist / ip_denylist (IPv4 + IPv6 CIDR) and asn_allowlist /
+    // asn_denylist (request.cf.asn) — see ip_lists.js. Evaluated before
+    // everything below; allowlisted clients skip rate limiting, the WAF and bot checks.
+    const ipList = checkIpLists(config, ip, request.cf?.asn);
+    if (ipList.denied) {
+        recordSecurityEvents(ctx, env, config, request, [{
+            kind: "ip", rule: ipList.denied, action: "block", outcome: "block", simulated: false,
+        }]);
+        return ipDeniedResponse(ipList.denied);
+    }
+    if (ipList.allowed && config.debug_headers) setResponseHeaders(request, { "X-Shield-IP-List": "allow" });
+
     // A. CORS Preflight (covers AI endpoints too)
     // Must also respect config.cors_origins — a credentialed preflight that gets
     // Access-Control-Allow-Origin: * will cause the browser to block the actual request.
@@ -113,78 +167,94 @@ async function runSecurityPipeline(request, env, config, url, ctx) {
     }
 
     // B. GEO-BORDER
+    // geo_log_only: record the decision in the security event log (events.js)
+    // and serve the request — measures the impact before enforcing.
     if (config.blocked_countries?.length > 0 && config.blocked_countries.includes(country)) {
-        return new Response(JSON.stringify({ error: "Forbidden", country }), { status: 451 });
+        const simulated = config.geo_log_only === true;
+        recordSecurityEvents(ctx, env, config, request, [{
+            kind: "geo", rule: `country:${country}`, action: "block", outcome: simulated ? "would_block" : "block", simulated,
+        }]);
+        if (!simulated) return new Response(JSON.stringify({ error: "Forbidden", country }), { status: 451 });
+        setResponseHeaders(request, { "X-Shield-Geo-Simulated": country });
     }
 
-    // C. RATE LIMITING (KV-backed counter, 60s sliding window)
-    // ⚠️  APPROXIMATE — not atomic. CF Workers has no atomic KV increment.
-    // Concurrent requests from the same IP may all read the same counter value
-    // before any write completes, allowing short bursts above the threshold.
-    // This is intentional: the overhead of Durable Objects for rate limiting
-    // exceeds the value for most Shield use cases. For strict enforcement,
-    // customers should enable CF Advanced Rate Limiting (Pro+) which operates
-    // at the network layer before the Worker executes.
-    // Default threshold scales with CF plan — Pro/Business/Enterprise customers
-    // have higher legitimate traffic volumes so we raise the default ceiling.
-    if (env.CLOUDEDGING_CACHE && config.rate_limit_enabled) {
-        const limitKey = `RL_${env.CLIENT_ID}_${ip}`;
-        const planDefaults = { free: 100, pro: 200, business: 500, enterprise: 1000 };
-        const plan = (config.cloudflare_plan || "free").toLowerCase();
-        const planDefault = planDefaults[plan] || 100;
-        const threshold = config.rate_limit_threshold || planDefault;
-        try {
-            const currentValue = await env.CLOUDEDGING_CACHE.get(limitKey);
-            const currentCount = parseInt(currentValue || "0");
-            if (currentCount >= threshold) {
-                return new Response(
-                    JSON.stringify({ error: "Rate limit exceeded", retry_after: 60 }),
-                    {
-                        status: 429,
-                        headers: {
-                            "Content-Type": "application/json",
-                            "Retry-After": "60",
-                            "X-Shield-RateLimit-Approximate": "true", // signals approximate enforcement
-                        },
-                    }
-                );
-            }
-            ctx.waitUntil(incrementRateLimit(env, limitKey, currentCount));
-        } catch (e) {
-            // Rate limit check failed — fail open (availability > strict enforcement)
-        }
+    // C. RATE LIMITING (Durable Object token bucket / sliding window, KV fallback)
+    // The per-IP default (rate_limit_enabled) plus rate_limit_policies keyed by
+    // IP prefix, API key or cookie — see ratelimit.js; JWT-claim policies run
+    // after G, on verified claims. The default
+    // threshold scales with CF plan (PLAN_PHYSICS.rate_limit_default):
+    // Pro/Business/Enterprise customers have higher legitimate traffic volumes.
+    // The KV fallback is approximate. Allowlisted clients are not counted.
+    if (!ipList.allowed) {
+        const rateLimited = await enforceRateLimits(request, env, config, url, ip, ctx);
+        if (rateLimited) return rateLimited;
     }
 
     // D. PURGE COMMAND
     // PURGE_SECRET is a Worker secret (injected via wrangler secret put) — never stored in KV.
+    // Purges the request URL across every cache variant (device, language, vary),
+    // or by X-CloudEdging-Purge-Tags / -Prefix; X-CloudEdging-Purge-R2: true also
+    // deletes the R2 mirror objects. Admin API POST /purge has the full options.
     if (request.headers.get("X-CloudEdging-Command") === "PURGE") {
         const purgeToken = request.headers.get("X-CloudEdging-Purge-Token");
         if (!env.PURGE_SECRET || purgeToken !== env.PURGE_SECRET) {
             return new Response("Forbidden", { status: 403 });
         }
         try {
-            await caches.default.delete(request.url);
-            return new Response("Cache Purged", { status: 200 });
+            const tags = request.headers.get("X-CloudEdging-Purge-Tags");
+            const prefix = request.headers.get("X-CloudEdging-Purge-Prefix");
+            const report = await purgeCache(env, config, url, {
+                urls: tags || prefix ? [] : [request.url],
+                tags: tags ? tags.split(",") : [],
+                prefixes: prefix ? [prefix] : [],
+                r2: request.headers.get("X-CloudEdging-Purge-R2") === "true",
+            });
+            return new Response(JSON.stringify({ ok: true, ...report }), {
+                status: 200,
+                headers: { "Content-Type": "application/json", "Cache-Control": "no-store" },
+            });
         } catch (e) {
+            console.error("[Shield Purge] Purge command failed", e.message);
             return new Response("Purge Failed", { status: 500 });
         }
     }
 
-    // E. WAF-LITE (Decoded URL scan — path + query string always checked)
-    // Previously gated on `url.search || pathname.includes('..')` which meant
-    // path-only injections (e.g. GET /search/<script>alert(1)</script>/x) were
-    // never scanned. Now always decode and scan the full URL surface.
-    const wafTarget = decodeURIComponent(url.pathname + url.search);
-    const suspicious = [/<script>/i, /UNION[\s+]SELECT/i, /OR[\s]+1[\s]*=[\s]*1/i, /\.\.\//];
-    if (suspicious.some((p) => p.test(wafTarget))) {
-        return new Response("Forbidden", { status: 403 });
+    // E. WAF — rule engine with anomaly scoring (waf.js). Default OWASP-style
+    // rules + KV rules (WAF_RULES_{clientId}) + inline config.waf.rules.
+    // waf.log_only / per-rule log_only record matches without enforcing them.
+    // Allowlisted clients are not inspected.
+    if (!ipList.allowed) {
+        const wafResponse = await runWaf(request, env, config, url, ip, country, ctx);
+        if (wafResponse) return wafResponse;
+    }
+
+    // F. BOT MANAGEMENT (bot.js) — opt-in via config.bot.enabled. Scores UA,
+    // header consistency, cf bot score and request rate; challenges with a
+    // proof-of-work page + signed clearance cookie. Verified crawlers pass.
+    if (!ipList.allowed) {
+        const botResponse = await runBotManagement(request, env, config, url, ip, ctx);
+        if (botResponse) return botResponse;
+    }
+
+    // G. AUTHENTICATION (jwt.js) — opt-in via config.jwt.enabled. Verifies
+    // Authorization: Bearer JWTs (RS256/ES256 via JWKS, opt-in HS256 via a Worker secret),
+    // enforces route jwt_scopes and forwards verified claims to origin.
+    // Applies to allowlisted clients too — an IP is not an identity.
+    const authResponse = await verifyJwtRequest(request, env, config, url);
+    if (authResponse) return authResponse;
+
+    // G2. RATE LIMITING by verified JWT claim (jwt:{claim} policies)
+    if (!ipList.allowed) {
+        const rateLimited = await enforceRateLimits(request, env, config, url, ip, ctx, true);
+        if (rateLimited) return rateLimited;
     }
 
+    // H. SIGNED URLS (signed_urls.js) — paths under a signed_urls prefix need a
+    // valid, unexpired shield_sig (optionally IP-bound) from SIGNED_URL_SECRET.
+    // Refused outright when the secret is missing. Strips the signing params.
+    const signedUrlResponse = await verifySignedUrl(request, env, config, url, ip);
+    if (signedUrlResponse) return signedUrlResponse;
+
     return null; // All checks passed
 }
 
-async function incrementRateLimit(env, key, current) {
-    try {
-        await env.CLOUDEDGING_CACHE.put(key, (current + 1).toString(), { expirationTtl: 60 });
-    } catch (e) {}
-}
@@ -0,0 +1,114 @@
+// ============================================================
+// SIGNED URLS — HMAC-signed, expiring links for protected paths
+// Used by runSecurityPipeline (section H), handleR2Storage and
+// handleWebTraffic (private objects skip the edge cache), and the
+// admin API (POST /__shield/admin/sign mints links)
+//
+//   signed_urls: [
+//     { id: "downloads", path_prefix: "/downloads/", max_ttl_s: 86400 },
+//     { id: "firmware", path_prefix: ["/fw/", "/ota/"], bind_ip: true }
+//   ]
+//
+// A request under a listed prefix must carry
+//   ?shield_exp={unix seconds}[&shield_ip={ip}]&shield_sig={hex}
+//   shield_sig = hex(HMAC-SHA256(SIGNED_URL_SECRET,
+//                "{exp}\n{host}\n{pathname}\n{query}\n{ip}"))
+// {query} is the remaining (non-shield_*) query string, sorted by name.
+// The signature covers the host, exact pathname and query, so a link can't
+// be replayed for a sibling object, another tenant's host sharing the
+// secret, or with altered parameters. bind_ip: true requires shield_ip, and it must
+// equal CF-Connecting-IP. The signing parameters are removed before the
+// request reaches the cache key or origin.
+//
+// Rules are private by default: responses get Cache-Control: private,
+// no-store, are never written to the edge cache and carry no wildcard
+// CORS header. private: false keeps normal caching for links that only
+// need to expire (the edge copy is still reachable only through a valid link).
+// Without the SIGNED_URL_SECRET Worker secret every protected path is
+// refused — protected content never fails open.
+// ============================================================
+
+const SIGNED_URL_PARAMS = ["shield_exp", "shield_ip", "shield_sig"];
+const SIGNED_URL_TTL_DEFAULT_S = 3600;
+const SIGNED_URL_MAX_TTL_DEFAULT_S = 604800; // 7 days
+
+function signedUrlRule(config, url) {
+    const rules = Array.isArray(config.signed_urls) ? config.signed_urls : [];
+    return rules.find((rule) => toList(rule.path_prefix).some((p) => url.pathname.startsWith(p))) || null;
+}
+
+// Private rule → no shared caching anywhere (edge, browser-shared, CDN)
+function isPrivateSignedPath(config, url) {
+    const rule = signedUrlRule(config, url);
+    return !!rule && rule.private !== false;
+}
+
+/**
+ * Section H of the security pipeline. Returns a 403 Response, or null with
+ * the signing parameters stripped from `url`.
+ */
+async function verifySignedUrl(request, env, config, url, ip) {
+    const rule = signedUrlRule(config, url);
+    if (!rule) return null;
+
+    const params = url.searchParams;
+    const expires = parseInt(params.get("shield_exp") || "", 10);
+    const boundIp = params.get("shield_ip") || "";
+    const signature = (params.get("shield_sig") || "").toLowerCase();
+    SIGNED_URL_PARAMS.forEach((name) => params.delete(name));
+
+    let reason = null;
+    if (!env.SIGNED_URL_SECRET) {
+        console.error(`[Shield Signed URL] SIGNED_URL_SECRET not set — refusing ${url.pathname} (rule ${rule.id || "unnamed"})`);
+        reason = "unavailable";
+    } else if (!signature || !Number.isInteger(expires)) {
+        reason = "missing";
+    } else if (!timingSafeEqual(signature, await signUrlPath(env, expires, url, boundIp))) {
+        reason = "invalid";
+    } else if (expires < Math.floor(Date.now() / 1000)) {
+        reason = "expired";
+    } else if (rule.bind_ip && !boundIp) {
+        reason = "ip_required";
+    } else if (boundIp && boundIp !== ip) {
+        reason = "ip_mismatch";
+    }
+
+    if (!reason) return null;
+    return new Response("Forbidden", {
+        status: 403,
+        headers: { "Content-Type": "text/plain", "Cache-Control": "no-store", "X-Shield-Signed-URL": reason },
+    });
+}
+
+// `url` must already have the shield_* parameters removed
+function signUrlPath(env, expires, url, ip = "") {
+    const query = new URLSearchParams(url.searchParams);
+    query.sort();
+    return hmacSha256Hex(env.SIGNED_URL_SECRET, `${expires}\n${url.host}\n${url.pathname}\n${query}\n${ip}`);
+}
+
+/**
+ * Mint a signed link for `path` (admin API). Returns { url, expires, rule }
+ * or { error } when the path isn't protected or the request doesn't fit the rule.
+ */
+async function mintSignedUrl(env, config, baseUrl, { path, ttl_s: ttlS, ip }) {
+    if (!env.SIGNED_URL_SECRET) return { error: "SIGNED_URL_SECRET not set" };
+    if (typeof path !== "string" || !path.startsWith("/")) return { error: "path required (starting with /)" };
+
+    const target = new URL(path, baseUrl);
+    const rule = signedUrlRule(config, target);
+    if (!rule) return { error: "No signed_urls rule covers this path", path: target.pathname };
+    if (rule.bind_ip && !ip) return { error: `Rule ${rule.id || "unnamed"} requires ip`, path: target.pathname };
+
+    const maxTtl = rule.max_ttl_s || SIGNED_URL_MAX_TTL_DEFAULT_S;
+    const ttl = Math.min(Math.max(parseInt(ttlS || SIGNED_URL_TTL_DEFAULT_S, 10) || SIGNED_URL_TTL_DEFAULT_S, 1), maxTtl);
+    const expires = Math.floor(Date.now() / 1000) + ttl;
+
+    SIGNED_URL_PARAMS.forEach((name) => target.searchParams.delete(name));
+    const signature = await signUrlPath(env, expires, target, ip || "");
+    target.searchParams.set("shield_exp", String(expires));
+    if (ip) target.searchParams.set("shield_ip", ip);
+    target.searchParams.set("shield_sig", signature);
+
+    return { url: target.toString(), expires, ttl_s: ttl, rule: rule.id || null };
+}
@@ -3,11 +3,8 @@
 // Shared across all handlers
 // ============================================================
 
-async function fetchFromOrigin(request, env, url, method, optimize) {
-    const origin = env.ORIGIN_HOSTNAME || "__ORIGIN__";
-    const target = new URL(url.toString());
-    target.hostname = origin;
-
+async function fetchFromOrigin(request, env, url, method, optimize, config = {}) {
+    const pool = selectOriginPool(config, env, url);
     const headers = new Headers(request.headers);
     headers.delete("Host");
 
@@ -19,24 +16,102 @@ async function fetchFromOrigin(request, env, url, method, optimize) {
         }
     }
 
-    try {
-        return await fetch(target.toString(), {
-            method,
-            headers,
-            body: method === "GET" || method === "HEAD" ? null : request.body,
-            // redirect: "manual" — proxy redirects transparently to the browser.
-            // "follow" would silently resolve 301/302 inside the Worker, breaking:
-            //   - Login redirect flows (/account → 302 /login)
-            //   - Payment callbacks (/checkout/complete → 302 /thank-you)
-            //   - SEO redirects (www → non-www)
-            //   - Any flow where the browser must handle the redirect itself
-            // A transparent proxy must never decide redirects on the client's behalf.
-            redirect: "manual",
-            cf: cfOptions,
+    // Circuit open → fail fast instead of piling requests onto a dead pool
+    const circuit = acquireOriginCircuit(config, pool);
+    if (!circuit.allowed) {
+        return originErrorResponse(503, "Origin Unavailable", {
+            "X-Shield-Origin-Circuit": "OPEN",
+            "X-Shield-Origin-Error": "circuit-open",
+            "X-Shield-Origin-Attempts": "0",
+            "Retry-After": String(circuit.retryAfterS),
         });
-    } catch (e) {
-        return new Response("Origin Error", { status: 502 });
     }
+
+    // Retries and failover only for idempotent requests without a body — a POST
+    // body stream is consumed by the first attempt and cannot be replayed.
+    const policy = getOriginRequestPolicy(config, method, request);
+    const maxAttempts = policy.retryable ? 1 + policy.retries : 1;
+    const tried = new Set();
+    let lastFailure = null;
+    let attempts = 0;
+
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+        let member = pickOriginMember(config, pool, tried);
+        if (!member) {
+            // Every member tried once — retry the pool after a jittered backoff
+            tried.clear();
+            member = pickOriginMember(config, pool, tried);
+            await sleep(originBackoffMs(policy, attempt));
+        }
+        tried.add(member.hostname);
+        attempts++;
+
+        const target = new URL(url.toString());
+        target.hostname = member.hostname;
+
+        // Timeout covers time-to-headers only — the timer is cleared once the
+        // response arrives so long downloads and streams are never cut off.
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), policy.timeoutMs);
+
+        try {
+            const res = await fetch(target.toString(), {
+                method,
+                headers,
+                body: policy.hasBody ? request.body : null,
+                // redirect: "manual" — proxy redirects transparently to the browser.
+                // "follow" would silently resolve 301/302 inside the Worker, breaking:
+                //   - Login redirect flows (/account → 302 /login)
+                //   - Payment callbacks (/checkout/complete → 302 /thank-you)
+                //   - SEO redirects (www → non-www)
+                //   - Any flow where the browser must handle the redirect itself
+                // A transparent proxy must never decide redirects on the client's behalf.
+                redirect: "manual",
+                cf: cfOptions,
+                signal: controller.signal,
+            });
+
+            if (!isOriginFailureStatus(res.status)) {
+                recordOriginResult(config, pool, member.hostname, true);
+                const state = recordOriginCircuitResult(config, pool, true);
+                return withOriginHeader(res, member, pool, {
+                    "X-Shield-Origin-Attempts": String(attempts),
+                    "X-Shield-Origin-Circuit": state,
+                });
+            }
+
+            recordOriginResult(config, pool, member.hostname, false, `HTTP ${res.status}`);
+            // Keep the last gateway error to return if every attempt fails; release earlier bodies
+            if (lastFailure?.response) lastFailure.response.body?.cancel();
+            lastFailure = { member, response: res, error: `HTTP ${res.status}` };
+        } catch (e) {
+            const reason = controller.signal.aborted ? "timeout" : "network";
+            recordOriginResult(config, pool, member.hostname, false, reason === "timeout" ? `timeout after ${policy.timeoutMs}ms` : e.message);
+            if (lastFailure?.response) lastFailure.response.body?.cancel();
+            lastFailure = { member, response: null, error: reason };
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    const state = recordOriginCircuitResult(config, pool, false);
+    const diagnostics = {
+        "X-Shield-Origin-Attempts": String(attempts),
+        "X-Shield-Origin-Circuit": state,
+        "X-Shield-Origin-Error": lastFailure?.error || "network",
+    };
+    if (lastFailure?.error === "timeout") diagnostics["X-Shield-Origin-Timeout-Ms"] = String(policy.timeoutMs);
+
+    if (lastFailure?.response) return withOriginHeader(lastFailure.response, lastFailure.member, pool, diagnostics);
+    return originErrorResponse(lastFailure?.error === "timeout" ? 504 : 502, "Origin Error", diagnostics);
+}
+
+function originErrorResponse(status, message, headers) {
+    return new Response(message, { status, headers: { "Content-Type": "text/plain", ...headers } });
+}
+
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
 async function saveToCache(cache, key, response, ttl) {
@@ -55,31 +130,202 @@ async function saveToCache(cache, key, response, ttl) {
     await cache.put(key, responseToCache);
 }
 
-async function refreshCache(req, env, key, ttl) {
+async function refreshCache(req, env, key, ttl, config) {
     try {
         const url = new URL(req.url);
-        const res = await fetchFromOrigin(req, env, url, "GET", true);
-        if (res.status === 200) {
+        // Revalidate with the cached entry's validators instead of re-downloading.
+        // The client's own validators / Range never reach this origin request.
+        const cached = await caches.default.match(key);
+        const headers = new Headers(req.headers);
+        CONDITIONAL_HEADERS.forEach((h) => headers.delete(h));
+        const etag = cached?.headers.get("ETag");
+        const lastModified = cached?.headers.get("Last-Modified");
+        if (etag) headers.set("If-None-Match", etag);
+        if (lastModified) headers.set("If-Modified-Since", lastModified);
+
+        const res = await fetchFromOrigin(new Request(req.url, { method: "GET", headers }), env, url, "GET", true, config);
+        if (res.status === 304 && cached) {
+            // Unchanged — re-store the cached body with a fresh X-Shield-Age,
+            // picking up any updated validators the 304 carried
+            const revalidated = new Response(cached.body, cached);
+            for (const name of NOT_MODIFIED_HEADERS) {
+                const value = res.headers.get(name);
+                if (value) revalidated.headers.set(name, value);
+            }
+            revalidated.headers.set("X-Shield-Status", "REVALIDATED");
+            await Promise.all([
+                saveToCache(caches.default, key, revalidated.clone(), ttl),
+                saveStaleCopy(env, config, key, revalidated, ttl),
+                indexCacheEntry(env, config, key, revalidated, ttl),
+            ]);
+        } else if (res.status === 200) {
             const fortified = addShieldHeader(res, "REFRESH");
-            await saveToCache(caches.default, key, fortified, ttl);
+            await Promise.all([
+                saveToCache(caches.default, key, fortified.clone(), ttl),
+                saveStaleCopy(env, config, key, fortified, ttl),
+                indexCacheEntry(env, config, key, fortified, ttl),
+            ]);
+        } else {
+            // Stale entry was already served by the SWR path; the fallback copy stays intact
+            console.warn(`[Shield Cache] Refresh got HTTP ${res.status} for ${key.url} — keeping stale copy`);
+            res.body?.cancel();
         }
     } catch (e) {
         console.error("Refresh failed", e);
     }
 }
 
+// ── Stale-if-error fallback copies ───────────────────────────
+// Every cached 200 also gets a long-lived fallback copy under "{key}__stale"
+// (and optionally in R2), kept for the normal TTL plus the stale-if-error
+// window. When the origin errors or times out on a MISS, the fallback is
+// served with X-Shield-Status: STALE-ERROR instead of the error.
+//
+// Window: origin "Cache-Control: stale-if-error=N" wins (N=0 disables it
+// for that response), else config.stale_if_error_ttl (default 86400s,
+// 0 disables globally). config.stale_if_error_r2 adds an R2 copy under
+// __shield_stale/{sha256(cache key)} that survives edge cache eviction.
+
+const STALE_IF_ERROR_DEFAULT_S = 86400;
+const STALE_R2_MAX_BYTES = 10 * 1024 * 1024; // buffered in memory — keep well under the 128MB isolate limit
+const STALE_R2_PREFIX = "__shield_stale/";
+
+function getStaleIfErrorWindow(response, config) {
+    const directive = /stale-if-error\s*=\s*(\d+)/i.exec(response.headers.get("Cache-Control") || "");
+    if (directive) return parseInt(directive[1], 10);
+    return config.stale_if_error_ttl ?? STALE_IF_ERROR_DEFAULT_S;
+}
+
+function staleCacheKey(key) {
+    return new Request(`${key.url}__stale`, { method: "GET" });
+}
+
+async function saveStaleCopy(env, config, key, response, ttl) {
+    const window = getStaleIfErrorWindow(response, config);
+    if (!(window > 0)) {
+        response.body?.cancel();
+        return;
+    }
+
+    const now = Date.now();
+    const staleUntil = now + (ttl + window) * 1000;
+    const contentLength = parseInt(response.headers.get("Content-Length") || "0", 10);
+    const mirrorToR2 = config.stale_if_error_r2 && env.STORAGE_BUCKET && contentLength > 0 && contentLength <= STALE_R2_MAX_BYTES;
+
+    const headers = new Headers(response.headers);
+    headers.set("Cache-Control", `public, s-maxage=${ttl + window}`);
+    headers.set("X-Shield-Age", now.toString());
+    headers.set("X-Shield-Stale-Until", staleUntil.toString());
+    headers.delete("Pragma");
+    headers.delete("Expires");
+
+    try {
+        const r2Body = mirrorToR2 ? await response.clone().arrayBuffer() : null;
+        await caches.default.put(staleCacheKey(key), new Response(response.body, { status: response.status, headers }));
+
+        if (r2Body) {
+            const httpMetadata = {};
+            if (headers.has("Content-Type")) httpMetadata.contentType = headers.get("Content-Type");
+            if (headers.has("Content-Encoding")) httpMetadata.contentEncoding = headers.get("Content-Encoding");
+            await env.STORAGE_BUCKET.put(STALE_R2_PREFIX + (await sha256Hex(key.url)), r2Body, {
+                httpMetadata,
+                customMetadata: { url: key.url, stored_at: String(now), stale_until: String(staleUntil), etag: headers.get("ETag") || "" },
+            });
+        }
+    } catch (e) {
+        console.error(`[Shield Cache] Stale copy failed for ${key.url}`, e.message);
+    }
+}
+
+/**
+ * Look up the fallback copy for a cache key — edge cache first, then R2.
+ * Returns null when absent or past its stale-if-error window.
+ */
+async function matchStaleCopy(env, config, key) {
+    const now = Date.now();
+    try {
+        const cached = await caches.default.match(staleCacheKey(key));
+        if (cached && parseInt(cached.headers.get("X-Shield-Stale-Until") || "0", 10) > now) return withStaleAge(cached, now);
+        cached?.body?.cancel();
+
+        if (config.stale_if_error_r2 && env.STORAGE_BUCKET) {
+            const object = await env.STORAGE_BUCKET.get(STALE_R2_PREFIX + (await sha256Hex(key.url)));
+            if (object && parseInt(object.customMetadata?.stale_until || "0", 10) > now) {
+                const headers = new Headers();
+                object.writeHttpMetadata(headers);
+                headers.set("X-Shield-Age", object.customMetadata.stored_at);
+                if (object.customMetadata.etag) headers.set("ETag", object.customMetadata.etag);
+                headers.set("X-Shield-Storage", "R2-STALE");
+                return withStaleAge(new Response(object.body, { headers }), now);
+            }
+            object?.body?.cancel();
+        }
+    } catch (e) {
+        console.error(`[Shield Cache] Stale lookup failed for ${key.url}`, e.message);
+    }
+    return null;
+}
+
+function withStaleAge(response, now) {
+    const res = new Response(response.body, response);
+    const storedAt = parseInt(res.headers.get("X-Shield-Age") || "0", 10);
+    if (storedAt) res.headers.set("X-Shield-Stale-Age", String(Math.round((now - storedAt) / 1000)));
+    // Browsers and downstream caches must not keep an error-fallback copy around
+    res.headers.set("Cache-Control", "no-cache");
+    return res;
+}
+
 function addShieldHeader(res, status) {
     const newRes = new Response(res.body, res);
     newRes.headers.set("X-Shield-Status", status);
     return newRes;
 }
 
+// Headers decided before the handler runs (e.g. RateLimit-* from the security
+// pipeline) that must land on the final response. Keyed by the incoming Request
+// so concurrent requests in one isolate never see each other's headers.
+const PENDING_RESPONSE_HEADERS = new WeakMap();
+
+function setResponseHeaders(req, headers) {
+    PENDING_RESPONSE_HEADERS.set(req, { ...(PENDING_RESPONSE_HEADERS.get(req) || {}), ...headers });
+}
+
+// Headers for the origin request decided by the security pipeline (e.g. verified
+// JWT claims). null removes a client-supplied header. Applied once in core.js
+// after the pipeline, producing the Request the feature handlers see.
+const PENDING_ORIGIN_HEADERS = new WeakMap();
+
+function setOriginRequestHeaders(req, headers) {
+    // Header names are case-insensitive — a later set must replace an earlier delete
+    const lowered = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+    PENDING_ORIGIN_HEADERS.set(req, { ...(PENDING_ORIGIN_HEADERS.get(req) || {}), ...lowered });
+}
+
+function applyOriginRequestHeaders(req) {
+    const pending = PENDING_ORIGIN_HEADERS.get(req);
+    if (!pending) return req;
+    const headers = new Headers(req.headers);
+    for (const [name, value] of Object.entries(pending)) {
+        if (value === null) headers.delete(name);
+        else headers.set(name, value);
+    }
+    const next = new Request(req, { headers });
+    // Response headers queued against the original request follow it, as does its verified JWT
+    if (PENDING_RESPONSE_HEADERS.has(req)) PENDING_RESPONSE_HEADERS.set(next, PENDING_RESPONSE_HEADERS.get(req));
+    if (JWT_VERIFIED_CLAIMS.has(req)) JWT_VERIFIED_CLAIMS.set(next, JWT_VERIFIED_CLAIMS.get(req));
+    return next;
+}
+
 function fortifyResponse(res, config, env, url, req) {
     const newRes = new Response(res.body, res);
     const isApi = config.mode === "API" || config.mode === "AI_INFERENCE" || url.hostname.includes("api.");
 
+    const pending = req && PENDING_RESPONSE_HEADERS.get(req);
+    if (pending) Object.entries(pending).forEach(([name, value]) => newRes.headers.set(name, value));
+
     newRes.headers.set("X-Shield-Version", "3.1.0");
-    newRes.headers.set("X-Shield-Client-ID", env.CLIENT_ID || "unknown");
+    newRes.headers.set("X-Shield-Client-ID", config.client_id || env.CLIENT_ID || "unknown");
+    if (config.active_route) newRes.headers.set("X-Shield-Route", config.active_route);
     newRes.headers.set("Strict-Transport-Security", "max-age=31536000; includeSubDomains; preload");
     newRes.headers.set("X-Content-Type-Options", "nosniff");
     newRes.headers.set("X-Frame-Options", "SAMEORIGIN");
@@ -120,26 +366,76 @@ function fortifyResponse(res, config, env, url, req) {
     return newRes;
 }
 
-async function loadConfig(env) {
+async function loadConfig(env, clientId = env.CLIENT_ID || "default") {
     const now = Date.now();
-    if (CACHED_CONFIG && now - LAST_CONFIG_FETCH < CONFIG_TTL_MS) return CACHED_CONFIG;
+    const cached = CONFIG_CACHE.get(clientId);
+    if (cached && now - cached.fetchedAt < cached.ttlMs) return cached.config;
+
+    // Entry state surfaced by /__shield/health:
+    //   status  — "valid" | "rejected" (invalid stored config, last-known-good in use)
+    //             | "default" (nothing stored) | "stale" (KV read failed)
+    //   version — active version in use (null = legacy unversioned key / defaults)
+    const entry = { fetchedAt: now, status: "default", version: null, errors: [], warnings: [], rejected_version: null };
+    let stored = null;
 
-    let config = { mode: "STANDARD", cache_ttl: 3600 };
     if (env.CLOUDEDGING_CONFIG) {
         try {
-            const stored = await env.CLOUDEDGING_CONFIG.get(`CFG_${env.CLIENT_ID || "default"}`, { type: "json" });
-            if (stored) config = { ...config, ...stored };
-        } catch (e) {}
+            const active = await readActiveConfig(env, clientId);
+            if (active) {
+                const { errors, warnings } = validateConfig(active.config);
+                entry.warnings = warnings;
+
+                if (errors.length === 0) {
+                    stored = active.config;
+                    entry.status = "valid";
+                    entry.version = active.version;
+                } else {
+                    // Never apply an invalid config. Prefer this isolate's last-known-good,
+                    // else walk back through older versions in KV.
+                    console.error(`[Shield Config] ${clientId} v${active.version ?? "legacy"} rejected: ${errors.join("; ")}`);
+                    entry.status = "rejected";
+                    entry.errors = errors;
+                    entry.rejected_version = active.version;
+
+                    const lastGood = cached?.lastGood || (active.version
+                        ? await findLastValidConfig(env, clientId, active.version)
+                        : null);
+                    if (lastGood) {
+                        stored = lastGood.config;
+                        entry.version = lastGood.version;
+                    }
+                }
+            }
+        } catch (e) {
+            // KV unavailable — keep serving the previous config rather than dropping to defaults
+            console.error(`[Shield Config] ${clientId} load failed: ${e.message}`);
+            if (cached) {
+                CONFIG_CACHE.set(clientId, { ...cached, fetchedAt: now, status: "stale", errors: [e.message] });
+                return cached.config;
+            }
+        }
     }
-    CACHED_CONFIG = config;
-    LAST_CONFIG_FETCH = now;
+
+    const config = { mode: "STANDARD", cache_ttl: 3600, ...(stored || {}) };
+    // client_id is authoritative from tenant resolution — a stored value can't override it.
+    // Every KV key, header and analytics event downstream is namespaced by it.
+    config.client_id = clientId;
+
+    // Tenants may shorten/extend their own cache window (e.g. during a migration)
+    entry.ttlMs = config.config_ttl_seconds > 0 ? config.config_ttl_seconds * 1000 : CONFIG_TTL_MS;
+    entry.config = config;
+    entry.lastGood = entry.status === "valid"
+        ? { version: entry.version, config: stored }
+        : cached?.lastGood || null;
+    CONFIG_CACHE.set(clientId, entry);
     return config;
 }
 
-async function handleWebSocket(request, env) {
-    const origin = env.ORIGIN_HOSTNAME || "__ORIGIN__";
+async function handleWebSocket(request, env, config = {}) {
     const targetUrl = new URL(request.url);
-    targetUrl.hostname = origin;
+    const pool = selectOriginPool(config, env, targetUrl);
+    const member = pickOriginMember(config, pool);
+    targetUrl.hostname = member.hostname;
     targetUrl.protocol = "https:";
 
     try {
@@ -147,6 +443,7 @@ async function handleWebSocket(request, env) {
             headers: request.headers,
             cf: { cacheTtl: 0 },
         });
+        recordOriginResult(config, pool, member.hostname, !isOriginFailureStatus(originResponse.status), `WS HTTP ${originResponse.status}`);
 
         if (originResponse.status === 101 && originResponse.webSocket) {
             const pair = new WebSocketPair();
@@ -164,6 +461,8 @@ async function handleWebSocket(request, env) {
         }
         return originResponse;
     } catch (e) {
+        // The client retries the upgrade; the next pick skips this member once it is marked down
+        recordOriginResult(config, pool, member.hostname, false, `WS ${e.message}`);
         return new Response("WS Failed", { status: 502 });
     }
 }
@@ -175,3 +474,94 @@ async function hashString(str) {
     const hashArray = Array.from(new Uint8Array(hashBuffer));
     return hashArray.map((b) => b.toString(16).padStart(2, "0")).join("").substring(0, 16);
 }
+
+async function sha256Hex(str) {
+    const hashBuffer = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(str));
+    return Array.from(new Uint8Array(hashBuffer)).map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+async function hmacSha256Hex(secret, message) {
+    const key = await crypto.subtle.importKey(
+        "raw", new TextEncoder().encode(secret), { name: "HMAC", hash: "SHA-256" }, false, ["sign"]
+    );
+    const sig = await crypto.subtle.sign("HMAC", key, new TextEncoder().encode(message));
+    return Array.from(new Uint8Array(sig)).map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Constant-time string comparison for secrets and signatures.
+ * Plain === short-circuits on the first differing byte, which leaks
+ * how much of a guessed token was correct via response timing.
+ */
+function timingSafeEqual(a, b) {
+    if (typeof a !== "string" || typeof b !== "string") return false;
+    let diff = a.length ^ b.length;
+    for (let i = 0; i < Math.max(a.length, b.length); i++) {
+        diff |= (a.charCodeAt(i) || 0) ^ (b.charCodeAt(i) || 0);
+    }
+    return diff === 0;
+}
+
+// ── IP addresses ─────────────────────────────────────────────
+// BigInt values so IPv4 and IPv6 share one code path (WAF CIDR operator, IP lists)
+
+function parseIp(ip) {
+    if (!ip || typeof ip !== "string") return null;
+
+    if (ip.includes(":")) {
+        let s = ip.split("%")[0].toLowerCase();
+        // IPv4-mapped / embedded tail: ::ffff:192.0.2.1
+        const v4 = /(\d+\.\d+\.\d+\.\d+)$/.exec(s);
+        if (v4) {
+            const tail = parseIp(v4[1]);
+            if (!tail) return null;
+            s = s.slice(0, -v4[1].length) + (tail.value >> 16n).toString(16) + ":" + (tail.value & 0xffffn).toString(16);
+        }
+        const halves = s.split("::");
+        if (halves.length > 2) return null;
+        const head = halves[0] ? halves[0].split(":") : [];
+        const tail = halves.length === 2 && halves[1] ? halves[1].split(":") : [];
+        const missing = 8 - head.length - tail.length;
+        if (halves.length === 1 ? missing !== 0 : missing < 1) return null;
+
+        let value = 0n;
+        for (const group of [...head, ...Array(halves.length === 2 ? missing : 0).fill("0"), ...tail]) {
+            if (!/^[0-9a-f]{1,4}$/.test(group)) return null;
+            value = (value << 16n) | BigInt(parseInt(group, 16));
+        }
+        return { version: 6, value };
+    }
+
+    const parts = ip.split(".");
+    if (parts.length !== 4) return null;
+    let value = 0n;
+    for (const part of parts) {
+        if (!/^\d{1,3}$/.test(part) || Number(part) > 255) return null;
+        value = (value << 8n) | BigInt(part);
+    }
+    return { version: 4, value };
+}
+
+/**
+ * "10.0.0.0/8" → { version: 4, start, end } (inclusive BigInt range).
+ * A bare address is a /32 (or /128). Returns null when malformed.
+ */
+function parseCidr(cidr) {
+    const [address, bitsText, extra] = String(cidr).trim().split("/");
+    if (extra !== undefined) return null;
+    const ip = parseIp(address);
+    if (!ip) return null;
+
+    const maxBits = ip.version === 4 ? 32 : 128;
+    if (bitsText !== undefined && !/^\d{1,3}$/.test(bitsText)) return null;
+    const bits = bitsText === undefined ? maxBits : parseInt(bitsText, 10);
+    if (bits > maxBits) return null;
+
+    const hostBits = BigInt(maxBits - bits);
+    const start = (ip.value >> hostBits) << hostBits;
+    return { version: ip.version, start, end: start | ((1n << hostBits) - 1n) };
+}
+
+function ipInRange(ip, range) {
+    return !!ip && !!range && ip.version === range.version && ip.value >= range.start && ip.value <= range.end;
+}
@@ -0,0 +1,485 @@
+// ============================================================
+// WAF — rule engine with anomaly scoring
+// Used by runSecurityPipeline (section E)
+//
+// Rules come from three places, evaluated in this order:
+//   1. WAF_DEFAULT_RULES below (waf.default_rules: false to disable)
+//   2. KV: WAF_RULES_{clientId} in CLOUDEDGING_CONFIG (JSON array)
+//   3. Inline: waf.rules in the tenant / route config
+// waf.disabled_rules: ["942100", …] switches individual rules off.
+//
+// Rule:
+//   { id: "942100", description: "…",
+//     field: "query" | fields: ["path", "query"],
+//     operator: "regex" | "contains" | "equals" | "cidr" | "length",
+//     value: "…" | ["…"],           // cidr: list of ranges; length: max length
+//     negate: false,
+//     action: "score" | "block" | "log" | "challenge" | "tag",
+//     score: 5,                     // CRS severities: 5 critical, 4 error, 3 warning, 2 notice
+//     tag: "sqli",
+//     log_only: false }
+//
+// Fields: path, query, uri (path + query), method, user_agent, country,
+// ip, headers, headers:{name}, cookies, cookies:{name}, body, body:{name}.
+// path/query/uri are URL-decoded; multi-value fields match when any value
+// matches. regex, contains and equals are case-insensitive unless
+// case_sensitive: true.
+//
+// Bodies of POST / PUT / PATCH / DELETE are inspected when a rule asks
+// for them: JSON (leaf values, named by path — "user.email",
+// "items[0].sku"), urlencoded forms, and the text parts of multipart forms
+// (file contents are skipped, file names are not). Only the first
+// waf.body_max_bytes (default 64 KB) are read, from a clone of the
+// request — the original stream still reaches fetchFromOrigin /
+// handleAIGateway untouched. A body cut short by the limit is inspected as
+// far as it goes (waf.body_limit_action: "inspect", the default) or
+// blocked ("block").
+//
+// "score" rules add to the request's anomaly score; reaching
+// waf.anomaly_threshold (default 5 — one critical hit) blocks. Matched
+// rule IDs are returned in X-Shield-WAF-Rule, and where each one matched
+// ("942100=body:password") in X-Shield-WAF-Match.
+//
+// "challenge" serves the bot.js proof-of-work interstitial to HTML
+// navigations (a 403 to anything else); clients holding a valid clearance
+// cookie pass challenge rules as if they were "log".
+//
+// Simulate mode: waf.log_only: true (every rule) or log_only: true on a
+// rule. Simulated matches decide nothing — they are recorded in the
+// security event log (events.js) with the outcome they would have had,
+// and X-Shield-WAF-Simulated names it ("block") on the served response.
+// ============================================================
+
+const WAF_DEFAULT_THRESHOLD = 5;
+const WAF_FIELDS = ["path", "query", "uri", "method", "user_agent", "country", "ip", "headers", "cookies", "body"];
+const WAF_OPERATORS = ["regex", "contains", "equals", "cidr", "length"];
+const WAF_ACTIONS = ["score", "block", "log", "challenge", "tag"];
+const WAF_BODY_MAX_BYTES_DEFAULT = 64 * 1024;
+const WAF_BODY_MAX_FIELDS = 1000;
+const WAF_BODY_METHODS = ["POST", "PUT", "PATCH", "DELETE"];
+const WAF_RULES_CACHE = new Map(); // clientId → { rules, fetchedAt }
+const WAF_COMPILED = new WeakMap(); // rule object → compiled matcher
+
+// OWASP CRS-style baseline. IDs follow the CRS ranges (913 scanners, 920
+// protocol, 930 LFI, 932 RCE, 941 XSS, 942 SQLi, 944 Java) so log output
+// reads familiar, but the patterns are Shield's own and deliberately
+// conservative — false positives on a CDN take customer sites down.
+const WAF_DEFAULT_RULES = [
+    // Scanners
+    { id: "913100", description: "Security scanner user agent", field: "user_agent", operator: "regex", value: "\\b(sqlmap|nikto|nmap|masscan|acunetix|netsparker|wpscan|nuclei|dirbuster|gobuster|zgrab|w3af|havij|openvas)\\b", score: 5, tag: "scanner" },
+
+    // Protocol
+    { id: "920100", description: "TRACE / TRACK method", field: "method", operator: "regex", value: "^(TRACE|TRACK)$", score: 5, tag: "protocol" },
+    { id: "920300", description: "Oversized query string", field: "query", operator: "length", value: 4096, score: 3, tag: "protocol" },
+    { id: "920310", description: "Oversized path", field: "path", operator: "length", value: 2048, score: 3, tag: "protocol" },
+
+    // Path traversal / LFI
+    { id: "930100", description: "Path traversal", fields: ["path", "query", "body"], operator: "regex", value: "(\\.\\./|\\.\\.\\\\)", score: 5, tag: "traversal" },
+    { id: "930120", description: "OS file access", fields: ["path", "query", "body"], operator: "regex", value: "(/etc/(passwd|shadow|hosts)|/proc/self/|\\bwin\\.ini\\b|\\bboot\\.ini\\b)", score: 5, tag: "lfi" },
+    { id: "930130", description: "Restricted file access", field: "path", operator: "regex", value: "/(\\.env\\b|\\.git/|\\.svn/|\\.htpasswd|\\.aws/credentials|wp-config\\.php\\.)", score: 5, tag: "lfi" },
+
+    // Remote command execution
+    { id: "932100", description: "Unix command injection", fields: ["query", "body"], operator: "regex", value: "(;|\\||&&|`|\\$\\()\\s*(cat|ls|id|whoami|uname|wget|curl|nc|bash|sh|python|perl|chmod)\\b", score: 5, tag: "rce" },
+    { id: "932160", description: "Unix shell path", fields: ["query", "body"], operator: "regex", value: "/bin/(ba|z|da)?sh\\b", score: 5, tag: "rce" },
+
+    // XSS
+    { id: "941110", description: "Script tag", fields: ["path", "query", "body"], operator: "regex", value: "<\\s*script\\b", score: 5, tag: "xss" },
+    { id: "941120", description: "Event handler attribute", fields: ["query", "body"], operator: "regex", value: "<[^>]{0,256}\\bon(error|load|click|mouseover|focus|submit)\\s*=", score: 5, tag: "xss" },
+    { id: "941170", description: "javascript: URI", fields: ["query", "body"], operator: "regex", value: "javascript\\s*:", score: 4, tag: "xss" },
+    { id: "941180", description: "Dangerous tag", fields: ["query", "body"], operator: "regex", value: "<\\s*(iframe|object|embed|svg|img)\\b[^>]{0,256}(src|data|on\\w+)\\s*=", score: 4, tag: "xss" },
+
+    // SQL injection
+    { id: "942100", description: "UNION SELECT", fields: ["path", "query", "body"], operator: "regex", value: "\\bunion(\\s|/\\*[^*]*\\*/|\\+)+(all(\\s|\\+)+)?select\\b", score: 5, tag: "sqli" },
+    { id: "942130", description: "Tautology (OR 1=1)", fields: ["path", "query", "body"], operator: "regex", value: "['\"\\s)]\\s*(or|and)\\s+['\"]?(\\d+)['\"]?\\s*=\\s*['\"]?\\2\\b", score: 5, tag: "sqli" },
+    { id: "942140", description: "Database schema probe", fields: ["query", "body"], operator: "regex", value: "\\b(information_schema|pg_catalog|sysobjects|mysql\\.user)\\b", score: 5, tag: "sqli" },
+    { id: "942160", description: "Time-based blind SQLi", fields: ["query", "body"], operator: "regex", value: "\\b(sleep|benchmark|pg_sleep)\\s*\\(|\\bwaitfor\\s+delay\\b", score: 5, tag: "sqli" },
+    { id: "942440", description: "SQL comment sequence", fields: ["query", "body"], operator: "regex", value: "('|\")\\s*(--|#|/\\*)", score: 3, tag: "sqli" },
+
+    // Java / Log4Shell
+    { id: "944150", description: "JNDI lookup (Log4Shell)", fields: ["uri", "headers"], operator: "regex", value: "\\$\\{\\s*(jndi|\\$\\{lower:j\\})", score: 5, tag: "rce" },
+];
+
+/**
+ * Section E of the security pipeline. Returns a 403 Response when the
+ * request is blocked (or challenged), null otherwise. Log / tag matches
+ * are reported on the final response via setResponseHeaders; every match
+ * is recorded as a security event.
+ */
+async function runWaf(request, env, config, url, ip, country, ctx) {
+    const waf = config.waf || {};
+    if (waf.enabled === false) return null;
+
+    const rules = await loadWafRules(env, config);
+    const body = await readWafBody(request, waf, rules);
+    if (body?.truncated && waf.body_limit_action === "block") {
+        const simulated = waf.log_only === true;
+        recordSecurityEvents(ctx, env, config, request, [{
+            kind: "waf", rule: "body_limit", action: "block", outcome: simulated ? "would_block" : "block", simulated,
+        }]);
+        if (!simulated) {
+            console.warn(`[Shield WAF] block ${request.method} ${url.pathname} body over ${body.maxBytes} bytes`);
+            return wafBlockedResponse({ action: "block", rule: "body_limit" }, "body_limit", 0, "");
+        }
+    }
+
+    const fields = wafFields(request, url, ip, country, body);
+    const threshold = waf.anomaly_threshold || WAF_DEFAULT_THRESHOLD;
+
+    const matched = [];
+    let score = 0;
+    let decision = null;
+    // What the request would have scored / got if simulated rules were enforced
+    let simulatedScore = 0;
+    let simulatedDecision = null;
+
+    let cleared = null; // bot clearance cookie, checked on the first challenge match
+
+    for (const rule of rules) {
+        const hit = evaluateWafRule(rule, fields);
+        if (!hit) continue;
+        let action = rule.action || "score";
+        if (action === "challenge") {
+            cleared ??= await hasBotClearance(request, env, config, ip);
+            if (cleared) action = "log";
+        }
+        const simulated = waf.log_only === true || rule.log_only === true;
+        matched.push({ rule, id: rule.id, action, tag: rule.tag || null, field: hit[0], value: hit[1], simulated });
+
+        if (action === "score") {
+            simulatedScore += rule.score ?? WAF_DEFAULT_THRESHOLD;
+            if (!simulated) score += rule.score ?? WAF_DEFAULT_THRESHOLD;
+        }
+        if (action === "block" || action === "challenge") {
+            if (!simulated) {
+                decision = { action, rule: rule.id };
+                break;
+            }
+            simulatedDecision ??= { action, rule: rule.id };
+        }
+    }
+
+    if (matched.length === 0) return null;
+    if (!decision && score >= threshold) decision = { action: "block", rule: "anomaly" };
+    if (!decision && !simulatedDecision && simulatedScore >= threshold) simulatedDecision = { action: "block", rule: "anomaly" };
+
+    const outcome = decision ? decision.action : simulatedDecision ? `would_${simulatedDecision.action}` : "pass";
+    recordSecurityEvents(ctx, env, config, request, matched.map((m) => ({
+        kind: "waf",
+        rule: m.id,
+        action: m.action,
+        outcome,
+        simulated: m.simulated,
+        field: m.field,
+        value: m.value,
+        match_index: wafMatchIndex(m.rule, m.value),
+    })));
+
+    const ids = matched.map((m) => m.id).join(",");
+    const tags = [...new Set(matched.map((m) => m.tag).filter(Boolean))].join(",");
+    const where = matched.map((m) => `${m.id}=${wafFieldLabel(m.field)}`).join(",");
+
+    if (decision) {
+        console.warn(`[Shield WAF] ${decision.action} ${request.method} ${url.pathname} rules=${ids} score=${score} fields=${where}`);
+        if (decision.action === "challenge") {
+            return serveBotChallenge(request, env, config, url, ip, wafResultHeaders(decision, ids, score, where));
+        }
+        return wafBlockedResponse(decision, ids, score, where);
+    }
+
+    // Below threshold — let it through, but say what matched
+    console.log(`[Shield WAF] matched ${request.method} ${url.pathname} rules=${ids} score=${score} fields=${where}`);
+    setResponseHeaders(request, {
+        "X-Shield-WAF-Rule": ids,
+        "X-Shield-WAF-Score": String(score),
+        "X-Shield-WAF-Match": where,
+        ...(tags ? { "X-Shield-WAF-Tags": tags } : {}),
+        ...(simulatedDecision ? { "X-Shield-WAF-Simulated": simulatedDecision.action } : {}),
+    });
+    return null;
+}
+
+function wafBlockedResponse(decision, ids, score, where) {
+    return new Response("Forbidden", {
+        status: 403,
+        headers: { "Content-Type": "text/plain", "Cache-Control": "no-store", ...wafResultHeaders(decision, ids, score, where) },
+    });
+}
+
+function wafResultHeaders(decision, ids, score, where) {
+    return {
+        "X-Shield-WAF-Rule": ids,
+        "X-Shield-WAF-Score": String(score),
+        "X-Shield-WAF-Action": decision.action,
+        ...(where ? { "X-Shield-WAF-Match": where } : {}),
+    };
+}
+
+/**
+ * Default + KV + inline rules for the tenant. KV rules are cached per
+ * isolate for the config TTL; a KV error keeps the previous set.
+ */
+async function loadWafRules(env, config) {
+    const waf = config.waf || {};
+    const disabled = new Set(waf.disabled_rules || []);
+    const clientId = config.client_id || "default";
+
+    let kvRules = [];
+    if (waf.kv_rules !== false && env.CLOUDEDGING_CONFIG) {
+        const cached = WAF_RULES_CACHE.get(clientId);
+        if (cached && Date.now() - cached.fetchedAt < CONFIG_TTL_MS) {
+            kvRules = cached.rules;
+        } else {
+            try {
+                const stored = (await env.CLOUDEDGING_CONFIG.get(`WAF_RULES_${clientId}`, { type: "json" })) || [];
+                kvRules = (Array.isArray(stored) ? stored : []).filter((rule, i) => {
+                    const errors = [];
+                    validateWafRule(`WAF_RULES_${clientId}[${i}]`, rule, errors);
+                    if (errors.length) console.error(`[Shield WAF] Skipping invalid KV rule: ${errors.join("; ")}`);
+                    return errors.length === 0;
+                });
+                WAF_RULES_CACHE.set(clientId, { rules: kvRules, fetchedAt: Date.now() });
+            } catch (e) {
+                console.error(`[Shield WAF] KV rule load failed for ${clientId}`, e.message);
+                kvRules = cached?.rules || [];
+            }
+        }
+    }
+
+    return [
+        ...(waf.default_rules === false ? [] : WAF_DEFAULT_RULES),
+        ...kvRules,
+        ...(waf.rules || []),
+    ].filter((rule) => !disabled.has(rule.id));
+}
+
+/**
+ * Request fields, computed lazily — most rules only look at path/query.
+ * Each field resolves to [name, value] pairs; the name of the pair that
+ * matched is what gets reported.
+ */
+function wafFields(request, url, ip, country, body) {
+    const cache = new Map();
+    const lazy = (name, build) => {
+        if (!cache.has(name)) cache.set(name, build());
+        return cache.get(name);
+    };
+    const named = (prefix, entries) => entries.map(([k, v]) => [k ? `${prefix}:${k}` : prefix, v]);
+    return (field) => {
+        const [name, arg] = field.split(/:(.*)/s);
+        switch (name) {
+            case "path":       return [["path", lazy("path", () => safeDecodeURIComponent(url.pathname))]];
+            case "query":      return [["query", lazy("query", () => safeDecodeURIComponent(url.search.slice(1).replace(/\+/g, " ")))]];
+            case "uri":        return [["uri", lazy("uri", () => safeDecodeURIComponent(url.pathname + url.search))]];
+            case "method":     return [["method", request.method]];
+            case "user_agent": return [["user_agent", request.headers.get("User-Agent") || ""]];
+            case "country":    return [["country", country || ""]];
+            case "ip":         return [["ip", ip || ""]];
+            case "headers":
+                return arg
+                    ? [[field, request.headers.get(arg) || ""]]
+                    : lazy("headers", () => named("headers", [...request.headers]));
+            case "cookies": {
+                const cookies = lazy("cookies", () => parseCookieHeader(request.headers.get("Cookie") || ""));
+                return arg
+                    ? [[field, cookies[arg] || ""]]
+                    : named("cookies", Object.entries(cookies).map(([k, v]) => [k, safeDecodeURIComponent(v)]));
+            }
+            case "body": {
+                const entries = lazy("body", () => named("body", body?.fields || []));
+                return arg ? entries.filter(([k]) => k === field) : entries;
+            }
+            default:           return [];
+        }
+    };
+}
+
+// Field names come from the request — keep them header-safe
+function wafFieldLabel(field) {
+    return field.replace(/[^\x21-\x7e]|,/g, "_").substring(0, 80);
+}
+
+/**
+ * Read and parse the request body for rules that inspect it.
+ * Returns { fields: [[name, value]], truncated, maxBytes } or null when
+ * there is nothing to inspect. Never consumes the original body.
+ */
+async function readWafBody(request, waf, rules) {
+    if (waf.inspect_body === false || !request.body || !WAF_BODY_METHODS.includes(request.method)) return null;
+    if (!rules.some((rule) => (rule.fields || [rule.field]).some((f) => f.split(":")[0] === "body"))) return null;
+
+    const contentType = (request.headers.get("Content-Type") || "").toLowerCase();
+    const kind =
+        /^application\/([\w.-]+\+)?json\b/.test(contentType) ? "json" :
+        contentType.startsWith("application/x-www-form-urlencoded") ? "form" :
+        contentType.startsWith("multipart/form-data") ? "multipart" :
+        null;
+    if (!kind) return null;
+
+    const maxBytes = waf.body_max_bytes || WAF_BODY_MAX_BYTES_DEFAULT;
+    let text;
+    let truncated;
+    try {
+        ({ text, truncated } = await readBodyPrefix(request.clone(), maxBytes));
+    } catch (e) {
+        console.error("[Shield WAF] Body read failed", e.message);
+        return null; // fail open — origin still gets the body
+    }
+
+    let fields;
+    if (kind === "json") {
+        try {
+            fields = [];
+            flattenWafJson(JSON.parse(text), "", fields, 0);
+        } catch (e) {
+            fields = [["", text]]; // truncated or malformed — scan it as raw text
+        }
+    } else if (kind === "form") {
+        fields = [...new URLSearchParams(text)].slice(0, WAF_BODY_MAX_FIELDS);
+    } else {
+        fields = parseMultipartFields(text, request.headers.get("Content-Type"));
+    }
+    return { fields, truncated, maxBytes };
+}
+
+// First maxBytes of the body as text. Reading a clone tees the stream, so
+// the original buffers only what was read here; the rest is never pulled.
+async function readBodyPrefix(request, maxBytes) {
+    const reader = request.body.getReader();
+    const chunks = [];
+    let size = 0;
+    let done = false;
+    while (size <= maxBytes) {
+        const next = await reader.read();
+        if (next.done) {
+            done = true;
+            break;
+        }
+        chunks.push(next.value);
+        size += next.value.byteLength;
+    }
+    if (!done) reader.cancel().catch(() => {});
+
+    const bytes = new Uint8Array(Math.min(size, maxBytes));
+    let offset = 0;
+    for (const chunk of chunks) {
+        const take = Math.min(chunk.byteLength, bytes.length - offset);
+        bytes.set(chunk.subarray(0, take), offset);
+        offset += take;
+        if (offset === bytes.length) break;
+    }
+    return { text: new TextDecoder().decode(bytes), truncated: size > maxBytes };
+}
+
+function flattenWafJson(value, path, out, depth) {
+    if (value === null || out.length >= WAF_BODY_MAX_FIELDS) return;
+    if (typeof value !== "object") {
+        out.push([path, String(value)]);
+        return;
+    }
+    if (depth >= 32) return;
+    for (const [key, child] of Object.entries(value)) {
+        const childPath = Array.isArray(value) ? `${path}[${key}]` : path ? `${path}.${key}` : key;
+        flattenWafJson(child, childPath, out, depth + 1);
+    }
+}
+
+// Text parts of a multipart/form-data body. File parts contribute their
+// file name ("{name}.filename") but not their contents.
+function parseMultipartFields(text, contentType) {
+    const match = /boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType || "");
+    if (!match) return [];
+    const fields = [];
+    for (const part of text.split(`--${match[1] || match[2]}`).slice(1)) {
+        if (part.startsWith("--") || fields.length >= WAF_BODY_MAX_FIELDS) break; // closing delimiter
+        const split = part.indexOf("\r\n\r\n");
+        const head = split === -1 ? part : part.slice(0, split);
+        const disposition = /content-disposition:[^\r\n]*/i.exec(head)?.[0] || "";
+        const name = /\bname="([^"]*)"/i.exec(disposition)?.[1] ?? "";
+        const filename = /\bfilename="([^"]*)"/i.exec(disposition)?.[1];
+        if (filename !== undefined) {
+            fields.push([`${name}.filename`, filename]);
+            continue;
+        }
+        if (split !== -1) fields.push([name, part.slice(split + 4).replace(/\r\n$/, "")]);
+    }
+    return fields;
+}
+
+function safeDecodeURIComponent(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (e) {
+        return value; // malformed %-escape — scan the raw text instead of failing the request
+    }
+}
+
+// Returns the [field name, value] that matched, or null
+function evaluateWafRule(rule, fields) {
+    const test = compileWafRule(rule);
+    if (!test) return null;
+    const targets = rule.fields || [rule.field];
+    for (const target of targets) {
+        const hit = fields(target).find(([, value]) => test(value));
+        if (hit) return rule.negate ? null : hit;
+    }
+    return rule.negate ? [targets.join("|"), ""] : null;
+}
+
+// Where in the value the rule matched — centres the security event sample
+function wafMatchIndex(rule, value) {
+    if (rule.negate) return 0;
+    const flags = rule.case_sensitive ? "" : "i";
+    for (const v of toList(rule.value)) {
+        const index = rule.operator === "regex"
+            ? value.search(new RegExp(v, flags))
+            : rule.operator === "contains"
+                ? (rule.case_sensitive ? value : value.toLowerCase()).indexOf(rule.case_sensitive ? String(v) : String(v).toLowerCase())
+                : -1;
+        if (index >= 0) return index;
+    }
+    return 0;
+}
+
+function compileWafRule(rule) {
+    if (WAF_COMPILED.has(rule)) return WAF_COMPILED.get(rule);
+
+    let test = null;
+    const values = toList(rule.value);
+    const fold = (s) => (rule.case_sensitive ? String(s) : String(s).toLowerCase());
+    try {
+        switch (rule.operator) {
+            case "regex": {
+                const patterns = values.map((v) => new RegExp(v, rule.case_sensitive ? "" : "i"));
+                test = (s) => patterns.some((re) => re.test(s));
+                break;
+            }
+            case "contains": {
+                const needles = values.map(fold);
+                test = (s) => needles.some((n) => fold(s).includes(n));
+                break;
+            }
+            case "equals": {
+                const expected = values.map(fold);
+                test = (s) => expected.includes(fold(s));
+                break;
+            }
+            case "cidr": {
+                const ranges = values.map(parseCidr).filter(Boolean);
+                test = (s) => {
+                    const ip = parseIp(s);
+                    return ranges.some((r) => ipInRange(ip, r));
+                };
+                break;
+            }
+            case "length": {
+                const max = Number(values[0]);
+                test = (s) => s.length > max;
+                break;
+            }
+        }
+    } catch (e) {
+        console.error(`[Shield WAF] Rule ${rule.id} failed to compile`, e.message);
+    }
+    WAF_COMPILED.set(rule, test);
+    return test;
+}
@@ -1,7 +1,7 @@
 // ============================================================
 // WEB TRAFFIC HANDLER
 // Modes: STANDARD, SAAS, NEWS, API, REALTIME
-// Smart caching with SWR, auth-aware bypass, device/language variants
+// Smart caching with SWR, stale-if-error, auth-aware bypass, configurable cache keys
 // Plan-aware physics: cache TTL, SWR window, and optimisation level
 // scale automatically based on customer's Cloudflare plan tier.
 // ============================================================
@@ -97,8 +97,8 @@ async function handleWebTraffic(request, env, config, ctx, url) {
         shouldCache = !isAuthenticated && (!bypassHeaders || (physics.aggressive_cache && isStatic));
     }
 
-    // Hard disqualifiers
-    if (isApiMode || url.pathname.includes("/api/") || url.pathname.includes("/checkout/")) {
+    // Hard disqualifiers (private signed-URL paths: signed_urls.js)
+    if (isApiMode || url.pathname.includes("/api/") || url.pathname.includes("/checkout/") || isPrivateSignedPath(config, url)) {
         shouldCache = false;
     }
 
@@ -109,32 +109,56 @@ async function handleWebTraffic(request, env, config, ctx, url) {
     // 4. Cache Match
     const cache = caches.default;
 
-    // Pro+ varies cache by device type for better mobile/desktop hit rates
-    const deviceType = physics.vary_on_device
-        ? (/Mobile|Android|iPhone/i.test(request.headers.get("User-Agent") || "") ? "mobile" : "desktop")
-        : "all";
-    const cacheKey = new Request(`${url.toString()}__device=${deviceType}`, {
-        method: "GET",
-    });
+    // Key policy (cache_key) normalises the query string and adds device,
+    // language and header/cookie variants — see cache_key.js
+    const { key: cacheKeyUrl, request: cacheKey } = await buildCacheKey(request, url, config, physics);
+    const respond = (res, status) => withCacheKeyHeader(addShieldHeader(res, status), config, cacheKeyUrl);
 
     if (shouldCache) {
         let cached = await cache.match(cacheKey);
         if (cached) {
             const age = parseInt(cached.headers.get("X-Shield-Age") || "0");
             const hitWindow = effectiveTtl * 1000;
-            if (Date.now() - age < hitWindow) return addShieldHeader(cached, "HIT");
+            if (Date.now() - age < hitWindow) return respond(serveConditional(request, cached), "HIT");
 
-            // Stale-while-revalidate — window scales with plan
-            ctx.waitUntil(refreshCache(request, env, cacheKey, effectiveTtl));
-            return addShieldHeader(cached, "SWR");
+            // Stale-while-revalidate — window scales with plan.
+            // Deduplicated: one refresh per key no matter how many stale hits arrive.
+            ctx.waitUntil(refreshCacheOnce(request, env, cacheKey, effectiveTtl, config));
+            return respond(serveConditional(request, cached), "SWR");
         }
     }
 
-    // 5. Fetch from Origin
-    const response = await fetchFromOrigin(
-        request, env, url, request.method,
-        physics.aggressive_cache && isAggressive
+    // 5. Fetch from Origin — cacheable GET MISSes are coalesced per cache key,
+    // so a popular page expiring sends one request to origin, not hundreds.
+    // They also go out without the client's validators / Range so the edge gets
+    // a full 200 to store; serveConditional answers 304 / 206 from it below.
+    const edgeConditional = shouldCache && request.method === "GET";
+    const originRequest = edgeConditional ? stripConditionalHeaders(request) : request;
+    const fetchOrigin = () => fetchFromOrigin(
+        originRequest, env, url, request.method,
+        physics.aggressive_cache && isAggressive, config
     );
+    let response;
+    let coalesced = null;
+    if (edgeConditional) {
+        ({ response, coalesced } = await coalescedOriginFetch(cacheKey, env, config, fetchOrigin));
+        // Another isolate's leader already stored this key — it's a cache hit now
+        if (coalesced === "GLOBAL") return respond(serveConditional(request, response), "HIT");
+    } else {
+        response = await fetchOrigin();
+    }
+
+    // 5b. Stale-if-error — origin failed (5xx, timeout, open circuit): serve the
+    // fallback copy instead of the error. Only for requests we would have cached;
+    // a BYPASS request (e.g. authenticated) must never receive a shared copy.
+    if (shouldCache && response.status >= 500) {
+        const stale = await matchStaleCopy(env, config, cacheKey);
+        if (stale) {
+            console.warn(`[Shield Cache] Origin HTTP ${response.status} for ${url.pathname} — serving STALE-ERROR`);
+            response.body?.cancel();
+            return respond(serveConditional(request, stale), "STALE-ERROR");
+        }
+    }
 
     // 6. Origin Guard & Store
     const originForbids = (response.headers.get("Cache-Control") || "").includes("no-store");
@@ -159,11 +183,15 @@ async function handleWebTraffic(request, env, config, ctx, url) {
     }
 
     const status = shouldCache ? "MISS" : "BYPASS";
-    const finalResponse = addShieldHeader(response, status);
+    const finalResponse = respond(response, status);
 
-    if (shouldCache && response.status === 200) {
+    // Coalesced followers skip the store — the leader is already writing this key.
+    // HEAD MISSes are forwarded as HEAD and have no body to store.
+    if (shouldCache && request.method === "GET" && response.status === 200 && !coalesced) {
         ctx.waitUntil(saveToCache(cache, cacheKey, finalResponse.clone(), effectiveTtl));
+        ctx.waitUntil(saveStaleCopy(env, config, cacheKey, finalResponse.clone(), effectiveTtl));
+        ctx.waitUntil(indexCacheEntry(env, config, cacheKey, finalResponse, effectiveTtl));
     }
 
-    return finalResponse;
+    return edgeConditional ? serveConditional(request, finalResponse) : finalResponse;
 }